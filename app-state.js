@@ -0,0 +1,211 @@
+// Application state
+// The try-on flow as a state machine: idle -> hand chosen -> watch ready -> camera ready
+// -> model ready -> detecting <-> paused, or error. Actions record facts and the state
+// is derived from them, along with the status line and the detection button.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.AppState = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const STATES = {
+        IDLE: 'idle',
+        HAND_CHOSEN: 'hand-chosen',
+        WATCH_READY: 'watch-ready',
+        CAMERA_READY: 'camera-ready',
+        MODEL_READY: 'model-ready',
+        DETECTING: 'detecting',
+        PAUSED: 'paused',
+        ERROR: 'error'
+    };
+
+    const ACTIONS = {
+        CHOOSE_HAND: 'choose-hand', // { hand: 'left' | 'right' | 'both' | 'auto' }
+        WATCH_LOADED: 'watch-loaded',
+        WATCH_REMOVED: 'watch-removed', // The last watch is gone
+        SOURCE_READY: 'source-ready', // { source: 'camera' | 'file' }, frames are available
+        SOURCE_LOST: 'source-lost', // { source? }, switching, reconnecting or suspended
+        MODEL_LOADING: 'model-loading',
+        MODEL_LOADED: 'model-loaded',
+        START: 'start',
+        PAUSE: 'pause',
+        FAIL: 'fail', // { cause: 'source' | 'model', status }
+        CLEAR_ERROR: 'clear-error',
+        RESET: 'reset'
+    };
+
+    const HANDS = ['left', 'right', 'both', 'auto'];
+
+    const INITIAL = {
+        hand: null,
+        watch: false,
+        source: 'camera',
+        sourceReady: false,
+        model: 'none', // 'none', 'loading' or 'ready'
+        detecting: false, // Wants detection; it runs once everything is ready
+        paused: false,
+        error: null // { cause, status }
+    };
+
+    function deriveState(facts) {
+        if (facts.error) return STATES.ERROR;
+        if (!facts.hand) return STATES.IDLE;
+        if (!facts.watch) return STATES.HAND_CHOSEN;
+        if (!facts.sourceReady) return STATES.WATCH_READY;
+        if (facts.model !== 'ready') return STATES.CAMERA_READY;
+        if (facts.detecting) return STATES.DETECTING;
+        if (facts.paused) return STATES.PAUSED;
+        return STATES.MODEL_READY;
+    }
+
+    const snapshotOf = facts => Object.freeze({ ...facts, state: deriveState(facts) });
+
+    const INITIAL_SNAPSHOT = snapshotOf(INITIAL);
+
+    // The snapshot after an action; the same snapshot when the action doesn't apply
+    function transition(snapshot, action) {
+        const { state, ...facts } = snapshot;
+        const clearsError = cause => (facts.error?.cause === cause ? null : facts.error);
+
+        switch (action.type) {
+            case ACTIONS.CHOOSE_HAND:
+                if (!HANDS.includes(action.hand)) return snapshot;
+                return snapshotOf({ ...facts, hand: action.hand });
+            case ACTIONS.WATCH_LOADED:
+                return snapshotOf({ ...facts, watch: true });
+            case ACTIONS.WATCH_REMOVED:
+                return snapshotOf({ ...facts, watch: false, detecting: false, paused: false });
+            case ACTIONS.SOURCE_READY:
+                return snapshotOf({
+                    ...facts,
+                    source: action.source || facts.source,
+                    sourceReady: true,
+                    error: clearsError('source')
+                });
+            case ACTIONS.SOURCE_LOST:
+                return snapshotOf({ ...facts, source: action.source || facts.source, sourceReady: false });
+            case ACTIONS.MODEL_LOADING:
+                if (facts.model !== 'none') return snapshot;
+                return snapshotOf({ ...facts, model: 'loading', error: clearsError('model') });
+            case ACTIONS.MODEL_LOADED:
+                return snapshotOf({ ...facts, model: 'ready', error: clearsError('model') });
+            case ACTIONS.START:
+                if (state !== STATES.MODEL_READY && state !== STATES.PAUSED) return snapshot;
+                return snapshotOf({ ...facts, detecting: true, paused: false });
+            case ACTIONS.PAUSE:
+                if (!facts.detecting) return snapshot;
+                return snapshotOf({ ...facts, detecting: false, paused: true });
+            case ACTIONS.FAIL:
+                return snapshotOf({
+                    ...facts,
+                    model: action.cause === 'model' ? 'none' : facts.model,
+                    sourceReady: action.cause === 'source' ? false : facts.sourceReady,
+                    error: { cause: action.cause, status: action.status }
+                });
+            case ACTIONS.CLEAR_ERROR:
+                if (!facts.error) return snapshot;
+                return snapshotOf({ ...facts, error: null });
+            case ACTIONS.RESET:
+                return INITIAL_SNAPSHOT;
+            default:
+                throw new Error(`Unknown action "${action.type}"`);
+        }
+    }
+
+    // "left hand", "right hand", "both hands" or "either hand"
+    function describeHands(hand) {
+        if (hand === 'both') return 'both hands';
+        return hand === 'auto' ? 'either hand' : `${hand} hand`;
+    }
+
+    const HAND_CHOSEN_MESSAGES = {
+        left: 'Left hand selected. Choose or upload a watch to continue.',
+        right: 'Right hand selected. Choose or upload a watch to continue.',
+        both: 'Both wrists selected. Choose a watch for each wrist to compare them.',
+        auto: 'The watch goes on whichever wrist you show. Choose or upload a watch to continue.'
+    };
+
+    // { message, type } for the status line
+    function statusFor(snapshot) {
+        const { hand } = snapshot;
+        switch (snapshot.state) {
+            case STATES.ERROR:
+                return { message: snapshot.error.status, type: 'error' };
+            case STATES.IDLE:
+                return { message: 'Please select which hand to use first', type: 'warning' };
+            case STATES.HAND_CHOSEN:
+                return { message: HAND_CHOSEN_MESSAGES[hand], type: 'warning' };
+            case STATES.WATCH_READY:
+                return {
+                    message: snapshot.source === 'file' ? 'Loading video file...' : 'Waiting for the camera...',
+                    type: 'warning'
+                };
+            case STATES.CAMERA_READY:
+                return {
+                    message: `${snapshot.source === 'file' ? 'Video loaded' : 'Camera ready'}. Loading hand detection model...`,
+                    type: 'warning'
+                };
+            case STATES.MODEL_READY:
+                return { message: `Ready to detect ${describeHands(hand)}!`, type: 'info' };
+            case STATES.DETECTING:
+                return { message: `Detecting ${describeHands(hand)}...`, type: 'info' };
+            case STATES.PAUSED:
+                return { message: 'Detection paused. Click "Start Detection" to resume.', type: 'info' };
+            default:
+                throw new Error(`Unknown state "${snapshot.state}"`);
+        }
+    }
+
+    // Whether the start/stop button works, and which of the two it is
+    function detectionControl(snapshot) {
+        const { state } = snapshot;
+        return {
+            enabled: state === STATES.MODEL_READY || state === STATES.PAUSED || state === STATES.DETECTING,
+            action: state === STATES.DETECTING ? 'stop' : 'start'
+        };
+    }
+
+    // Holds the current snapshot and tells subscribers about every change
+    function createAppState() {
+        let snapshot = INITIAL_SNAPSHOT;
+        let listeners = [];
+
+        function dispatch(action) {
+            const previous = snapshot;
+            snapshot = transition(snapshot, action);
+            if (snapshot !== previous) {
+                listeners.forEach(listener => listener(snapshot, previous));
+            }
+            return snapshot;
+        }
+
+        // listener(snapshot, previous); returns a function that unsubscribes
+        function subscribe(listener) {
+            listeners.push(listener);
+            return () => {
+                listeners = listeners.filter(entry => entry !== listener);
+            };
+        }
+
+        return {
+            dispatch,
+            subscribe,
+            get snapshot() {
+                return snapshot;
+            }
+        };
+    }
+
+    return {
+        STATES,
+        ACTIONS,
+        INITIAL_SNAPSHOT,
+        transition,
+        describeHands,
+        statusFor,
+        detectionControl,
+        createAppState
+    };
+});
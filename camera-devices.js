@@ -0,0 +1,88 @@
+// Camera devices
+// Turns enumerateDevices() output into a camera list, builds getUserMedia constraints
+// for the chosen camera or facing direction, and works out which way the active
+// camera faces. Only front (user-facing) cameras are mirrored on screen.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.CameraDevices = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const FACING = {
+        FRONT: 'user',
+        REAR: 'environment'
+    };
+
+    const DEFAULT_VIDEO = {
+        width: { ideal: 1280 },
+        height: { ideal: 720 },
+        frameRate: { ideal: 30 }
+    };
+
+    const REAR_LABEL = /\b(back|rear|environment|world)\b/i;
+    const FRONT_LABEL = /\b(front|user|facetime|selfie)\b/i;
+
+    // Facing direction from a device label, or null when the label doesn't say
+    function guessFacing(label = '') {
+        if (REAR_LABEL.test(label)) return FACING.REAR;
+        if (FRONT_LABEL.test(label)) return FACING.FRONT;
+        return null;
+    }
+
+    // devices: MediaDeviceInfo-like objects -> [{ deviceId, label, facing }] for the
+    // video inputs. Labels stay empty until camera permission is granted.
+    function listCameras(devices) {
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`,
+                facing: guessFacing(device.label)
+            }));
+    }
+
+    // choice: { deviceId, facing }. A remembered device is asked for exactly, otherwise
+    // the browser picks a camera facing the right way.
+    function cameraConstraints(choice = {}, video = DEFAULT_VIDEO) {
+        const target = choice.deviceId
+            ? { deviceId: { exact: choice.deviceId } }
+            : { facingMode: choice.facing || FACING.FRONT };
+        return { audio: false, video: { ...target, ...video } };
+    }
+
+    // Which way the active camera faces: the track's own report, then its label.
+    // Webcams rarely report either, and are treated as front cameras.
+    function activeFacing(settings = {}, label = '') {
+        if (settings.facingMode === FACING.REAR || settings.facingMode === FACING.FRONT) {
+            return settings.facingMode;
+        }
+        return guessFacing(label) || FACING.FRONT;
+    }
+
+    function isMirrored(facing) {
+        return facing !== FACING.REAR;
+    }
+
+    function oppositeFacing(facing) {
+        return facing === FACING.REAR ? FACING.FRONT : FACING.REAR;
+    }
+
+    // First camera whose label says it faces that way, or null
+    function findCamera(cameras, facing) {
+        return cameras.find(camera => camera.facing === facing) || null;
+    }
+
+    return {
+        FACING,
+        DEFAULT_VIDEO,
+        guessFacing,
+        listCameras,
+        cameraConstraints,
+        activeFacing,
+        isMirrored,
+        oppositeFacing,
+        findCamera
+    };
+});
@@ -0,0 +1,177 @@
+// Camera lifecycle
+// Opens the camera by working down a ladder of constraints (HD, then VGA, then any
+// camera), reconnects when the track ends (unplugged, or taken by another app), and
+// releases the camera while suspended (a hidden tab). getUserMedia is passed in, so
+// it runs in Node tests with fake streams.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./camera-devices.js'));
+    } else {
+        root.CameraManager = factory(root.CameraDevices);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CameraDevices) {
+    const STATES = {
+        STOPPED: 'stopped',
+        STARTING: 'starting',
+        RUNNING: 'running',
+        RECONNECTING: 'reconnecting',
+        SUSPENDED: 'suspended'
+    };
+
+    // Each step requires its resolution: ideal values alone never fail, so without the
+    // minimum a camera below HD would be opened at the HD step and VGA never tried
+    const QUALITY_STEPS = [
+        { width: { min: 1280, ideal: 1280 }, height: { min: 720, ideal: 720 }, frameRate: { ideal: 30 } },
+        { width: { min: 640, ideal: 640 }, height: { min: 480, ideal: 480 } }
+    ];
+
+    // Waits between reconnect attempts, in milliseconds
+    const DEFAULT_RECONNECT_DELAYS = [500, 1000, 2000, 4000];
+
+    // Errors no other constraints can fix
+    const FATAL_ERRORS = ['NotAllowedError', 'SecurityError'];
+
+    // getUserMedia constraints to try in order for a camera choice ({ deviceId, facing }):
+    // each quality step, moving on when the camera cannot reach it (OverconstrainedError),
+    // then VGA by facing direction alone if a device was chosen, then whatever camera the
+    // browser offers
+    function constraintLadder(choice = {}) {
+        const ladder = QUALITY_STEPS.map(video => CameraDevices.cameraConstraints(choice, video));
+        if (choice.deviceId) {
+            ladder.push(CameraDevices.cameraConstraints({ facing: choice.facing }, QUALITY_STEPS[QUALITY_STEPS.length - 1]));
+        }
+        ladder.push({ audio: false, video: true });
+        return ladder;
+    }
+
+    // First stream the ladder yields: { stream, step }. Throws the last error when
+    // every step fails, or straight away for a refused permission.
+    async function openCamera(getUserMedia, ladder) {
+        let lastError = null;
+        for (let step = 0; step < ladder.length; step++) {
+            try {
+                return { stream: await getUserMedia(ladder[step]), step };
+            } catch (error) {
+                if (FATAL_ERRORS.includes(error.name)) throw error;
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    const stopStream = stream => stream.getTracks().forEach(track => track.stop());
+
+    // options: { getUserMedia, getLadder, onStream(stream, step), onReconnecting(),
+    // onError(error), reconnectDelays }
+    function createCameraManager({
+        getUserMedia,
+        getLadder = () => constraintLadder(),
+        onStream = () => {},
+        onReconnecting = () => {},
+        onError = () => {},
+        reconnectDelays = DEFAULT_RECONNECT_DELAYS
+    }) {
+        let state = STATES.STOPPED;
+        let stream = null;
+        let generation = 0; // Bumped by stop and suspend so late results are dropped
+        let reconnectTimer = null;
+
+        function release() {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            if (stream) {
+                stream.getVideoTracks().forEach(track => track.removeEventListener('ended', onTrackEnded));
+                stopStream(stream);
+                stream = null;
+            }
+        }
+
+        // Resolves to the stream, or null if it failed or was stopped meanwhile
+        async function open(attempt) {
+            const current = generation;
+            let result;
+            try {
+                result = await openCamera(getUserMedia, getLadder());
+            } catch (error) {
+                if (current !== generation) return null;
+                if (attempt < reconnectDelays.length && state === STATES.RECONNECTING && !FATAL_ERRORS.includes(error.name)) {
+                    reconnectTimer = setTimeout(() => open(attempt + 1), reconnectDelays[attempt]);
+                } else {
+                    state = STATES.STOPPED;
+                    onError(error);
+                }
+                return null;
+            }
+
+            if (current !== generation) {
+                stopStream(result.stream);
+                return null;
+            }
+            stream = result.stream;
+            stream.getVideoTracks().forEach(track => track.addEventListener('ended', onTrackEnded));
+            state = STATES.RUNNING;
+            onStream(stream, result.step);
+            return stream;
+        }
+
+        function onTrackEnded() {
+            if (state !== STATES.RUNNING) return;
+            release();
+            generation++;
+            state = STATES.RECONNECTING;
+            onReconnecting();
+            reconnectTimer = setTimeout(() => open(1), reconnectDelays[0] ?? 0);
+        }
+
+        function start() {
+            if (state === STATES.RUNNING) return Promise.resolve(stream);
+            release();
+            generation++;
+            state = STATES.STARTING;
+            return open(0);
+        }
+
+        function stop() {
+            release();
+            generation++;
+            state = STATES.STOPPED;
+        }
+
+        // Releases the camera but remembers to bring it back on resume
+        function suspend() {
+            if (state === STATES.STOPPED || state === STATES.SUSPENDED) return false;
+            stop();
+            state = STATES.SUSPENDED;
+            return true;
+        }
+
+        // Restarts a suspended camera; false if there was nothing to resume
+        function resume() {
+            if (state !== STATES.SUSPENDED) return false;
+            start();
+            return true;
+        }
+
+        return {
+            start,
+            stop,
+            suspend,
+            resume,
+            get state() {
+                return state;
+            },
+            get stream() {
+                return stream;
+            }
+        };
+    }
+
+    return {
+        STATES,
+        QUALITY_STEPS,
+        DEFAULT_RECONNECT_DELAYS,
+        constraintLadder,
+        openCamera,
+        createCameraManager
+    };
+});
@@ -0,0 +1,226 @@
+// Strap and dial customization
+// Splits a cut-out watch into strap, case and dial regions and recolors them in
+// place. Works on raw RGBA buffers so it can be tested in Node.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.WatchCustomization = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const REGION = { BACKGROUND: 0, STRAP: 1, CASE: 2, DIAL: 3 };
+    const ALPHA_THRESHOLD = 16;
+
+    // Case columns must be noticeably thicker than the strap
+    const CASE_THICKNESS_RATIO = 1.15;
+    // Dial radius relative to the smaller case half-extent
+    const DIAL_RADIUS_RATIO = 0.78;
+
+    // Target color and tone curve per strap material; lightness is remapped from the
+    // original so stitching and texture survive the recolor
+    const MATERIALS = {
+        leather: { hue: 28, saturation: 55, lightness: [0.12, 0.55], contrast: 1.1 },
+        rubber: { hue: 220, saturation: 10, lightness: [0.06, 0.3], contrast: 0.8 },
+        steel: { hue: 210, saturation: 6, lightness: [0.45, 0.92], contrast: 1.35 }
+    };
+
+    function rgbToHsl(r, g, b) {
+        r /= 255; g /= 255; b /= 255;
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        if (max === min) return [0, 0, l];
+
+        const d = max - min;
+        const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        let h;
+        if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        return [h * 60, s, l];
+    }
+
+    function hslToRgb(h, s, l) {
+        h = ((h % 360) + 360) % 360 / 360;
+        if (s === 0) {
+            const v = Math.round(l * 255);
+            return [v, v, v];
+        }
+
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        const channel = (t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+        return [
+            Math.round(channel(h + 1 / 3) * 255),
+            Math.round(channel(h) * 255),
+            Math.round(channel(h - 1 / 3) * 255)
+        ];
+    }
+
+    function hexToRgb(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    // Label every opaque pixel as strap, case or dial.
+    // The strap runs along the longer side of the image; the case is the run of
+    // columns (or rows) that is clearly thicker than the strap at either end.
+    function segmentWatchRegions(data, width, height) {
+        const labels = new Uint8Array(width * height);
+        const horizontal = width >= height;
+        const length = horizontal ? width : height;
+        const across = horizontal ? height : width;
+        const indexOf = (along, cross) => horizontal ? cross * width + along : along * width + cross;
+
+        // Opaque thickness and extent for every position along the strap axis
+        const thickness = new Float32Array(length);
+        const first = new Int32Array(length).fill(-1);
+        const last = new Int32Array(length).fill(-1);
+
+        for (let along = 0; along < length; along++) {
+            for (let cross = 0; cross < across; cross++) {
+                if (data[indexOf(along, cross) * 4 + 3] > ALPHA_THRESHOLD) {
+                    thickness[along]++;
+                    if (first[along] < 0) first[along] = cross;
+                    last[along] = cross;
+                }
+            }
+        }
+
+        const occupied = [];
+        for (let along = 0; along < length; along++) {
+            if (thickness[along] > 0) occupied.push(along);
+        }
+        if (!occupied.length) {
+            return { labels, horizontal, distinctCase: false, caseRange: null, dial: null };
+        }
+
+        // Strap thickness from the outer quarter at both ends
+        const edgeCount = Math.max(1, Math.floor(occupied.length / 4));
+        const ends = occupied.slice(0, edgeCount).concat(occupied.slice(-edgeCount))
+            .map(along => thickness[along])
+            .sort((a, b) => a - b);
+        const strapThickness = ends[Math.floor(ends.length / 2)];
+
+        // Grow the case outwards from the thickest position
+        let peak = occupied[0];
+        for (const along of occupied) {
+            if (thickness[along] > thickness[peak]) peak = along;
+        }
+
+        const caseThreshold = strapThickness * CASE_THICKNESS_RATIO + 2;
+        let caseStart = peak, caseEnd = peak;
+        const distinctCase = thickness[peak] > caseThreshold;
+        if (distinctCase) {
+            while (caseStart > 0 && thickness[caseStart - 1] > caseThreshold) caseStart--;
+            while (caseEnd < length - 1 && thickness[caseEnd + 1] > caseThreshold) caseEnd++;
+        } else {
+            // No distinct case (e.g. a bare watch head): treat the whole watch as the case
+            caseStart = occupied[0];
+            caseEnd = occupied[occupied.length - 1];
+        }
+
+        let crossMin = across, crossMax = -1;
+        for (let along = caseStart; along <= caseEnd; along++) {
+            if (first[along] >= 0) {
+                crossMin = Math.min(crossMin, first[along]);
+                crossMax = Math.max(crossMax, last[along]);
+            }
+        }
+
+        const centerAlong = (caseStart + caseEnd + 1) / 2;
+        const centerCross = (crossMin + crossMax + 1) / 2;
+        const radius = Math.min(caseEnd - caseStart + 1, crossMax - crossMin + 1) / 2 * DIAL_RADIUS_RATIO;
+
+        for (let along = 0; along < length; along++) {
+            const inCase = along >= caseStart && along <= caseEnd;
+            for (let cross = 0; cross < across; cross++) {
+                const idx = indexOf(along, cross);
+                if (data[idx * 4 + 3] <= ALPHA_THRESHOLD) continue;
+
+                if (!inCase) {
+                    labels[idx] = REGION.STRAP;
+                } else if ((along + 0.5 - centerAlong) ** 2 + (cross + 0.5 - centerCross) ** 2 <= radius * radius) {
+                    labels[idx] = REGION.DIAL;
+                } else {
+                    labels[idx] = REGION.CASE;
+                }
+            }
+        }
+
+        const toImage = (along, cross) => horizontal ? { x: along, y: cross } : { x: cross, y: along };
+        const caseMin = toImage(caseStart, crossMin);
+        const caseMax = toImage(caseEnd + 1, crossMax + 1);
+        const dialCenter = toImage(centerAlong, centerCross);
+
+        return {
+            labels,
+            horizontal,
+            distinctCase,
+            caseRange: { x: caseMin.x, y: caseMin.y, width: caseMax.x - caseMin.x, height: caseMax.y - caseMin.y },
+            dial: { x: dialCenter.x, y: dialCenter.y, radius }
+        };
+    }
+
+    // strap: { material: 'original' | 'leather' | 'rubber' | 'steel', hue, saturation (0-100) }
+    function recolorStrap(data, labels, strap) {
+        const material = MATERIALS[strap?.material];
+        if (!material) return;
+
+        const hue = strap.hue ?? material.hue;
+        const saturation = (strap.saturation ?? material.saturation) / 100;
+        const [low, high] = material.lightness;
+
+        for (let i = 0; i < labels.length; i++) {
+            if (labels[i] !== REGION.STRAP) continue;
+
+            const idx = i * 4;
+            const [, , lightness] = rgbToHsl(data[idx], data[idx + 1], data[idx + 2]);
+            const shaped = Math.min(1, Math.max(0, (lightness - 0.5) * material.contrast + 0.5));
+            const [r, g, b] = hslToRgb(hue, saturation, low + (high - low) * shaped);
+
+            data[idx] = r;
+            data[idx + 1] = g;
+            data[idx + 2] = b;
+        }
+    }
+
+    // dial: { mode: 'original' | 'tint' | 'image', color: '#rrggbb', strength (0-100) }
+    // Image swaps are drawn by the caller, clipped to the dial circle.
+    function tintDial(data, labels, dial) {
+        if (dial?.mode !== 'tint') return;
+
+        const [hue, saturation] = rgbToHsl(...hexToRgb(dial.color));
+        const strength = (dial.strength ?? 60) / 100;
+
+        for (let i = 0; i < labels.length; i++) {
+            if (labels[i] !== REGION.DIAL) continue;
+
+            const idx = i * 4;
+            const [, , lightness] = rgbToHsl(data[idx], data[idx + 1], data[idx + 2]);
+            const tinted = hslToRgb(hue, saturation, lightness);
+
+            data[idx] += (tinted[0] - data[idx]) * strength;
+            data[idx + 1] += (tinted[1] - data[idx + 1]) * strength;
+            data[idx + 2] += (tinted[2] - data[idx + 2]) * strength;
+        }
+    }
+
+    return {
+        REGION,
+        MATERIALS,
+        rgbToHsl,
+        hslToRgb,
+        hexToRgb,
+        segmentWatchRegions,
+        recolorStrap,
+        tintDial
+    };
+});
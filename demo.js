@@ -0,0 +1,24 @@
+// Demo page
+// Mounts one try-on widget and lists the events it reports. ?detector=handpose in
+// the page URL picks the hand detector backend for one visit.
+WatchTryOn.registerServiceWorker();
+
+const eventLog = document.getElementById('demoEventLog');
+const MAX_LOGGED_EVENTS = 8;
+
+function logEvent(message) {
+    const entry = document.createElement('li');
+    entry.textContent = `${new Date().toLocaleTimeString()} ${message}`;
+    eventLog.prepend(entry);
+    while (eventLog.children.length > MAX_LOGGED_EVENTS) {
+        eventLog.lastElementChild.remove();
+    }
+}
+
+const tryOn = WatchTryOn.mount(document.getElementById('tryOn'), {
+    detector: new URLSearchParams(location.search).get('detector') || undefined,
+    onHandDetected: ({ hand, source }) => logEvent(`Hand detected: ${hand} (${source})`),
+    onHandLost: ({ hand }) => logEvent(`Hand lost: ${hand}`),
+    onWatchChange: ({ hand, watch }) => logEvent(`Watch changed: ${watch.name} on the ${hand} wrist`),
+    onCapture: ({ width, height }) => logEvent(`Captured a ${width}x${height} image`)
+});
@@ -0,0 +1,184 @@
+// Hand and wrist geometry
+// Pure functions over handpose landmarks ([x, y, z] per point). Nothing here touches
+// the DOM, so the placement math can be tested in Node without a camera.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.WristGeometry = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Landmark indices used by the placement math
+    const LANDMARKS = {
+        WRIST: 0,
+        THUMB_CMC: 1,
+        INDEX_MCP: 5,
+        MIDDLE_MCP: 9,
+        RING_MCP: 13,
+        PINKY_MCP: 17
+    };
+
+    // Watch region dimensions relative to the wrist width
+    const WATCH_SIZE_RATIO = { width: 0.9, height: 0.7 };
+
+    // Determine if hand is left or right based on landmarks
+    // `mirrored` is true when landmarks were flipped horizontally (front camera view)
+    function determineHandType(landmarks, mirrored = true) {
+        const indexMCP = landmarks[LANDMARKS.INDEX_MCP];
+        const pinkyMCP = landmarks[LANDMARKS.PINKY_MCP];
+
+        // For front camera: if pinky is to the left of index finger, it's a right hand
+        const pinkyLeftOfIndex = pinkyMCP[0] < indexMCP[0];
+        const isRightHand = mirrored ? pinkyLeftOfIndex : !pinkyLeftOfIndex;
+        return isRightHand ? 'right' : 'left';
+    }
+
+    // Determine palm direction ('up' or 'down')
+    function determinePalmDirection(landmarks) {
+        // Key landmarks for palm detection
+        const wrist = landmarks[LANDMARKS.WRIST];
+        const thumbCMC = landmarks[LANDMARKS.THUMB_CMC]; // Thumb base
+        const indexMCP = landmarks[LANDMARKS.INDEX_MCP]; // Index finger base
+        const middleMCP = landmarks[LANDMARKS.MIDDLE_MCP]; // Middle finger base
+        const ringMCP = landmarks[LANDMARKS.RING_MCP]; // Ring finger base
+        const pinkyMCP = landmarks[LANDMARKS.PINKY_MCP]; // Pinky base
+
+        // Calculate the average Z-coordinate of finger bases
+        const fingerBasesZ = (indexMCP[2] + middleMCP[2] + ringMCP[2] + pinkyMCP[2]) / 4;
+        const wristZ = wrist[2];
+        const thumbZ = thumbCMC[2];
+
+        // Calculate vectors
+        const wristToFingers = {
+            x: (indexMCP[0] + middleMCP[0] + ringMCP[0] + pinkyMCP[0]) / 4 - wrist[0],
+            y: (indexMCP[1] + middleMCP[1] + ringMCP[1] + pinkyMCP[1]) / 4 - wrist[1],
+            z: fingerBasesZ - wristZ
+        };
+
+        const wristToThumb = {
+            x: thumbCMC[0] - wrist[0],
+            y: thumbCMC[1] - wrist[1],
+            z: thumbZ - wristZ
+        };
+
+        // Z component of the palm normal (cross product of the two vectors)
+        const palmNormalZ = wristToFingers.x * wristToThumb.y - wristToFingers.y * wristToThumb.x;
+
+        // If fingers are closer to camera than wrist, likely palm down
+        // If wrist is closer to camera than fingers, likely palm up
+        const zDifference = wristToFingers.z;
+        const depthBasedDirection = zDifference < -0.02 ? 'down' : 'up';
+
+        // Use palm normal Z component as additional validation
+        const normalBasedDirection = palmNormalZ > 0 ? 'up' : 'down';
+
+        // Combine both methods for more accuracy
+        return depthBasedDirection === normalBasedDirection ? depthBasedDirection :
+               (Math.abs(zDifference) > 0.03 ? depthBasedDirection : normalBasedDirection);
+    }
+
+    // Compute where the watch sits on the wrist and how big the wrist region is
+    function computeWristPlacement(landmarks, palmDirection) {
+        const wrist = landmarks[LANDMARKS.WRIST];
+        const indexMCP = landmarks[LANDMARKS.INDEX_MCP];
+        const pinkyMCP = landmarks[LANDMARKS.PINKY_MCP];
+        const middleMCP = landmarks[LANDMARKS.MIDDLE_MCP];
+
+        // Index-to-pinky knuckle span; real-world sizing calibrates against this
+        const knuckleSpanPx = Math.hypot(
+            indexMCP[0] - pinkyMCP[0],
+            indexMCP[1] - pinkyMCP[1]
+        );
+        const wristWidthPx = knuckleSpanPx * 1.2; // Adjusted for better proportion
+
+        // Direction from the wrist towards the fingers
+        const angle = Math.atan2(middleMCP[1] - wrist[1], middleMCP[0] - wrist[0]);
+
+        // Shift the watch off the joint towards the back (or inside) of the wrist
+        const offsetMultiplier = palmDirection === 'up' ? 0.15 : 0.1;
+        const offsetAngle = angle + (palmDirection === 'up' ? Math.PI / 2 : -Math.PI / 2);
+
+        return {
+            x: wrist[0] + Math.cos(offsetAngle) * (wristWidthPx * offsetMultiplier),
+            y: wrist[1] + Math.sin(offsetAngle) * (wristWidthPx * offsetMultiplier),
+            width: wristWidthPx * WATCH_SIZE_RATIO.width,
+            height: wristWidthPx * WATCH_SIZE_RATIO.height,
+            span: knuckleSpanPx,
+            angle,
+            rotation: angle - Math.PI / 2
+        };
+    }
+
+    // Whether the watch image must be turned 180° so the dial faces the viewer
+    function shouldFlipWatch(hand, palmDirection) {
+        return (hand === 'left' && palmDirection === 'down') ||
+               (hand === 'right' && palmDirection === 'up');
+    }
+
+    // Axis-aligned box around a hand's landmarks, grown by `padding` (a fraction of
+    // its size) on every side
+    function handBounds(landmarks, padding = 0) {
+        const xs = landmarks.map(([x]) => x);
+        const ys = landmarks.map(([, y]) => y);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const padX = (maxX - minX) * padding, padY = (maxY - minY) * padding;
+
+        return {
+            x: minX - padX,
+            y: minY - padY,
+            width: maxX - minX + 2 * padX,
+            height: maxY - minY + 2 * padY
+        };
+    }
+
+    // Handedness reported by the detector when it has one, otherwise the landmark guess
+    // above (which flips when the palm turns over)
+    function resolveHandType(hand, mirrored = true) {
+        return hand.handedness || determineHandType(hand.landmarks, mirrored);
+    }
+
+    // Split detected hands ({ landmarks, handedness }) between the wrists: { left, right },
+    // either missing when that hand was not found. When two hands are classified
+    // alike, screen position decides; in a mirrored view the left hand is on the left.
+    function assignHands(hands, mirrored = true) {
+        const assigned = {};
+        let conflict = false;
+        hands.forEach(hand => {
+            const type = resolveHandType(hand, mirrored);
+            if (assigned[type]) {
+                conflict = true;
+            } else {
+                assigned[type] = hand;
+            }
+        });
+
+        if (!conflict) return assigned;
+
+        const [leftmost, rightmost] = hands.slice(0, 2).sort(
+            (a, b) => a.landmarks[LANDMARKS.WRIST][0] - b.landmarks[LANDMARKS.WRIST][0]
+        );
+        return mirrored ? { left: leftmost, right: rightmost } : { left: rightmost, right: leftmost };
+    }
+
+    // Wrap an angle into [-π, π]
+    function normalizeAngle(angle) {
+        while (angle > Math.PI) angle -= 2 * Math.PI;
+        while (angle < -Math.PI) angle += 2 * Math.PI;
+        return angle;
+    }
+
+    return {
+        LANDMARKS,
+        WATCH_SIZE_RATIO,
+        determineHandType,
+        determinePalmDirection,
+        computeWristPlacement,
+        shouldFlipWatch,
+        handBounds,
+        resolveHandType,
+        assignHands,
+        normalizeAngle
+    };
+});
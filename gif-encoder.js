@@ -0,0 +1,301 @@
+// Animated GIF encoder
+// Encodes RGBA frames as a looping GIF89a. Each frame gets its own palette of up to
+// 256 colors, found by median cut over a 5-bit-per-channel histogram, and its pixels
+// are LZW compressed. Frames are added one at a time so callers can yield in between.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.GifEncoder = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MAX_COLORS = 256;
+    const MIN_CODE_SIZE = 8;
+    const MAX_CODE = 4095;
+    const SUB_BLOCK_SIZE = 255;
+
+    class ByteWriter {
+        constructor() {
+            this.bytes = new Uint8Array(4096);
+            this.length = 0;
+        }
+
+        ensure(extra) {
+            if (this.length + extra <= this.bytes.length) return;
+            let size = this.bytes.length * 2;
+            while (size < this.length + extra) size *= 2;
+            const bytes = new Uint8Array(size);
+            bytes.set(this.bytes.subarray(0, this.length));
+            this.bytes = bytes;
+        }
+
+        byte(value) {
+            this.ensure(1);
+            this.bytes[this.length++] = value & 0xff;
+        }
+
+        word(value) {
+            this.byte(value);
+            this.byte(value >> 8);
+        }
+
+        write(values) {
+            this.ensure(values.length);
+            this.bytes.set(values, this.length);
+            this.length += values.length;
+        }
+
+        text(value) {
+            for (let i = 0; i < value.length; i++) this.byte(value.charCodeAt(i));
+        }
+
+        result() {
+            return this.bytes.slice(0, this.length);
+        }
+    }
+
+    const colorKey = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    const keyChannel = (key, channel) => (key >> (10 - channel * 5)) & 31;
+
+    // Splits a box of histogram keys at the weighted median of its widest channel
+    function splitBox(box, counts) {
+        let channel = 0;
+        let widest = -1;
+        for (let c = 0; c < 3; c++) {
+            let min = 31, max = 0;
+            for (const key of box.keys) {
+                const value = keyChannel(key, c);
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (max - min > widest) {
+                widest = max - min;
+                channel = c;
+            }
+        }
+        if (widest <= 0) return null;
+
+        const keys = box.keys.slice().sort((a, b) => keyChannel(a, channel) - keyChannel(b, channel));
+        let seen = 0;
+        let split = 1;
+        for (let i = 0; i < keys.length - 1; i++) {
+            seen += counts[keys[i]];
+            split = i + 1;
+            if (seen * 2 >= box.pixels) break;
+        }
+        // Keep equal channel values on one side
+        while (split < keys.length && keyChannel(keys[split], channel) === keyChannel(keys[split - 1], channel)) split++;
+        if (split === keys.length) {
+            split = keys.findIndex(key => keyChannel(key, channel) === keyChannel(keys[keys.length - 1], channel));
+        }
+
+        const make = list => ({ keys: list, pixels: list.reduce((sum, key) => sum + counts[key], 0) });
+        return [make(keys.slice(0, split)), make(keys.slice(split))];
+    }
+
+    // rgba -> { palette: Uint8Array (r, g, b triples), indices: Uint8Array }
+    function quantize(rgba, maxColors = MAX_COLORS) {
+        const pixelCount = rgba.length / 4;
+        const counts = new Uint32Array(32768);
+        const sums = new Float64Array(32768 * 3);
+        const keys = new Uint16Array(pixelCount);
+
+        for (let i = 0; i < pixelCount; i++) {
+            const r = rgba[i * 4], g = rgba[i * 4 + 1], b = rgba[i * 4 + 2];
+            const key = colorKey(r, g, b);
+            keys[i] = key;
+            counts[key]++;
+            sums[key * 3] += r;
+            sums[key * 3 + 1] += g;
+            sums[key * 3 + 2] += b;
+        }
+
+        const used = [];
+        for (let key = 0; key < counts.length; key++) {
+            if (counts[key]) used.push(key);
+        }
+
+        // Split the box covering the most pixels until there are enough colors
+        const boxes = [{ keys: used, pixels: pixelCount }];
+        const settled = [];
+        while (boxes.length + settled.length < maxColors && boxes.length) {
+            boxes.sort((a, b) => b.pixels - a.pixels);
+            const box = boxes.shift();
+            const halves = box.keys.length > 1 ? splitBox(box, counts) : null;
+            if (halves) {
+                boxes.push(...halves);
+            } else {
+                settled.push(box);
+            }
+        }
+
+        const palette = [];
+        const lookup = new Uint8Array(32768);
+        [...settled, ...boxes].filter(box => box.pixels).forEach((box, index) => {
+            const total = [0, 0, 0];
+            for (const key of box.keys) {
+                lookup[key] = index;
+                for (let c = 0; c < 3; c++) total[c] += sums[key * 3 + c];
+            }
+            palette.push(...total.map(sum => Math.round(sum / box.pixels)));
+        });
+
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) indices[i] = lookup[keys[i]];
+        return { palette: Uint8Array.from(palette), indices };
+    }
+
+    // Variable-width GIF LZW, packed least significant bit first
+    function lzwEncode(indices, minCodeSize = MIN_CODE_SIZE) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = new ByteWriter();
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.byte(bitBuffer);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        if (!indices.length) {
+            emit(endCode);
+            if (bitCount) output.byte(bitBuffer);
+            return output.result();
+        }
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode <= MAX_CODE) {
+                table.set(key, nextCode);
+                if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+                nextCode++;
+            } else {
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            prefix = index;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bitCount) output.byte(bitBuffer);
+        return output.result();
+    }
+
+    // Smallest GIF color table size field (table holds 2 ** (field + 1) colors)
+    function colorTableSize(colorCount) {
+        let field = 0;
+        while ((2 << field) < colorCount) field++;
+        return field;
+    }
+
+    // width, height, loop: 0 repeats forever, a count repeats that many times,
+    // null plays once
+    function createGifEncoder({ width, height, loop = 0 }) {
+        const output = new ByteWriter();
+        output.text('GIF89a');
+        output.word(width);
+        output.word(height);
+        output.byte(0); // no global color table
+        output.byte(0);
+        output.byte(0);
+
+        if (loop !== null) {
+            output.byte(0x21);
+            output.byte(0xff);
+            output.byte(11);
+            output.text('NETSCAPE2.0');
+            output.byte(3);
+            output.byte(1);
+            output.word(loop);
+            output.byte(0);
+        }
+
+        let frames = 0;
+        let finished = false;
+
+        return {
+            // rgba: width * height * 4 bytes, delayMs: how long the frame shows
+            addFrame(rgba, delayMs = 100) {
+                if (finished) throw new Error('GIF already finished');
+                if (rgba.length !== width * height * 4) {
+                    throw new Error(`Expected ${width}x${height} RGBA frame`);
+                }
+
+                const { palette, indices } = quantize(rgba);
+                const sizeField = colorTableSize(palette.length / 3);
+
+                // Graphic control extension: frame delay in hundredths of a second
+                output.byte(0x21);
+                output.byte(0xf9);
+                output.byte(4);
+                output.byte(0);
+                output.word(Math.max(2, Math.round(delayMs / 10)));
+                output.byte(0);
+                output.byte(0);
+
+                output.byte(0x2c);
+                output.word(0);
+                output.word(0);
+                output.word(width);
+                output.word(height);
+                output.byte(0x80 | sizeField); // local color table
+
+                const table = new Uint8Array(3 * (2 << sizeField));
+                table.set(palette);
+                output.write(table);
+
+                output.byte(MIN_CODE_SIZE);
+                const data = lzwEncode(indices, MIN_CODE_SIZE);
+                for (let offset = 0; offset < data.length; offset += SUB_BLOCK_SIZE) {
+                    const block = data.subarray(offset, offset + SUB_BLOCK_SIZE);
+                    output.byte(block.length);
+                    output.write(block);
+                }
+                output.byte(0);
+                frames++;
+            },
+
+            get frameCount() {
+                return frames;
+            },
+
+            // -> Uint8Array with the complete file
+            finish() {
+                if (!finished) {
+                    output.byte(0x3b);
+                    finished = true;
+                }
+                return output.result();
+            }
+        };
+    }
+
+    return {
+        quantize,
+        lzwEncode,
+        createGifEncoder
+    };
+});
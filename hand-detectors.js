@@ -0,0 +1,137 @@
+// Hand detector backends
+// Every backend resolves estimate(input, { flipHorizontal }) with
+// [{ landmarks, handedness, score }]: 21 [x, y, z] landmarks in handpose order and
+// pixel units, 'left' / 'right' (or null when the model cannot tell) and a 0-1 score.
+// dispose() releases the model weights; load() can be called again afterwards.
+// The detection libraries are passed in, so backends can be tested with fakes.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.HandDetectors = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const BACKENDS = {
+        MEDIAPIPE_HANDS: 'mediapipe-hands',
+        HANDPOSE: 'handpose'
+    };
+
+    const WRIST = 0, MIDDLE_MCP = 9;
+
+    // Legacy @tensorflow-models/handpose: one hand per call and no handedness
+    function createHandposeBackend(handpose, config = {}) {
+        let model = null;
+
+        return {
+            name: BACKENDS.HANDPOSE,
+            maxHands: 1,
+            async load() {
+                model = await handpose.load(config);
+            },
+            async estimate(input, { flipHorizontal = false } = {}) {
+                const predictions = await model.estimateHands(input, flipHorizontal);
+                return predictions.map(prediction => ({
+                    landmarks: prediction.landmarks,
+                    handedness: null,
+                    score: prediction.handInViewConfidence
+                }));
+            },
+            // handpose has no dispose(), so its palm and landmark graph models and the palm
+            // detector's constant tensors are released directly
+            dispose() {
+                const { boundingBoxDetector: palm, meshDetector } = model?.pipeline || {};
+                [palm?.model, palm?.anchorsTensor, palm?.inputSizeTensor, palm?.doubleInputSizeTensor, meshDetector]
+                    .forEach(resource => resource?.dispose());
+                model = null;
+            }
+        };
+    }
+
+    // @tensorflow-models/hand-pose-detection running MediaPipe Hands on TF.js
+    function createMediaPipeHandsBackend(handPoseDetection, config = {}) {
+        const options = { runtime: 'tfjs', modelType: 'full', maxHands: 2, ...config };
+        let detector = null;
+
+        return {
+            name: BACKENDS.MEDIAPIPE_HANDS,
+            maxHands: options.maxHands,
+            async load() {
+                detector = await handPoseDetection.createDetector(handPoseDetection.SupportedModels.MediaPipeHands, options);
+            },
+            async estimate(input, { flipHorizontal = false } = {}) {
+                const hands = await detector.estimateHands(input, { flipHorizontal });
+                return hands.map(hand => ({
+                    landmarks: toLandmarks(hand),
+                    handedness: normalizeHandedness(hand.handedness, flipHorizontal),
+                    score: hand.score
+                }));
+            },
+            dispose() {
+                detector?.dispose();
+                detector = null;
+            }
+        };
+    }
+
+    // MediaPipe labels hands as they appear in a mirrored (selfie) frame, so the label
+    // is swapped for frames that were not flipped
+    function normalizeHandedness(label, mirrored) {
+        if (!label) return null;
+        const hand = label.toLowerCase();
+        if (mirrored) return hand;
+        return hand === 'left' ? 'right' : 'left';
+    }
+
+    // keypoints are in pixels; keypoints3D are in meters around the hand, so their
+    // depth is brought to pixels with the wrist-to-middle-knuckle length seen in both
+    function toLandmarks({ keypoints, keypoints3D }) {
+        if (!keypoints3D) {
+            return keypoints.map(point => [point.x, point.y, point.z || 0]);
+        }
+
+        const span2d = Math.hypot(keypoints[MIDDLE_MCP].x - keypoints[WRIST].x, keypoints[MIDDLE_MCP].y - keypoints[WRIST].y);
+        const span3d = Math.hypot(keypoints3D[MIDDLE_MCP].x - keypoints3D[WRIST].x, keypoints3D[MIDDLE_MCP].y - keypoints3D[WRIST].y);
+        const pixelsPerMeter = span3d > 0 ? span2d / span3d : 0;
+
+        return keypoints.map((point, index) => [point.x, point.y, keypoints3D[index].z * pixelsPerMeter]);
+    }
+
+    // Backend for `name`, or null when its library is not loaded
+    function createHandDetector(name, libraries = {}, config = {}) {
+        if (name === BACKENDS.MEDIAPIPE_HANDS && libraries.handPoseDetection) {
+            return createMediaPipeHandsBackend(libraries.handPoseDetection, config);
+        }
+        if (name === BACKENDS.HANDPOSE && libraries.handpose) {
+            return createHandposeBackend(libraries.handpose, config);
+        }
+        return null;
+    }
+
+    // Load the preferred backend, falling back to the others in BACKENDS order.
+    // `config` holds options per backend name.
+    async function loadHandDetector(preferred, libraries = {}, config = {}) {
+        const order = [preferred, ...Object.values(BACKENDS).filter(name => name !== preferred)];
+        let lastError = null;
+
+        for (const name of order) {
+            const detector = createHandDetector(name, libraries, config[name]);
+            if (!detector) continue;
+            try {
+                await detector.load();
+                return detector;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError || new Error('No hand detection library is loaded');
+    }
+
+    return {
+        BACKENDS,
+        normalizeHandedness,
+        toLandmarks,
+        createHandDetector,
+        loadHandDetector
+    };
+});
@@ -0,0 +1,79 @@
+// Handedness stabilizer
+// Settles which wrist ('left' or 'right') the hand in view is, for the "Either Hand"
+// mode. A side is taken after a few agreeing detections, and only given up for the
+// other side once that side has outvoted it for several more (hysteresis), so a palm
+// flip misread for a frame or two doesn't throw the watch across to the other wrist.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.HandednessStabilizer = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Counted in detections (about 20 per second):
+    // acquireFrames: agreeing detections before a first side is taken
+    // switchFrames: net lead the other side needs before the side changes
+    // forgetFrames: detections without a hand before the side is dropped
+    const DEFAULT_OPTIONS = {
+        acquireFrames: 3,
+        switchFrames: 8,
+        forgetFrames: 30
+    };
+
+    function createHandednessStabilizer(options = {}) {
+        const { acquireFrames, switchFrames, forgetFrames } = { ...DEFAULT_OPTIONS, ...options };
+        let side = null;
+        let candidate = null, evidence = 0; // Votes for `candidate` over `side`
+        let missing = 0;
+
+        // observed: the side this detection read, or null when no hand was found.
+        // Returns the settled side, or null while there is none yet.
+        function update(observed) {
+            if (!observed) {
+                missing++;
+                if (missing >= forgetFrames) reset();
+                return side;
+            }
+
+            missing = 0;
+            if (observed === side) {
+                evidence = Math.max(0, evidence - 1);
+                return side;
+            }
+
+            if (observed !== candidate) {
+                candidate = observed;
+                evidence = 0;
+            }
+            evidence++;
+            if (evidence >= (side ? switchFrames : acquireFrames)) {
+                side = observed;
+                candidate = null;
+                evidence = 0;
+            }
+            return side;
+        }
+
+        // Forget the history; a known side (from a single photo, say) can be given
+        function reset(startSide = null) {
+            side = startSide;
+            candidate = null;
+            evidence = 0;
+            missing = 0;
+        }
+
+        return {
+            update,
+            reset,
+            get side() {
+                return side;
+            }
+        };
+    }
+
+    return {
+        DEFAULT_OPTIONS,
+        createHandednessStabilizer
+    };
+});
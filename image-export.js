@@ -0,0 +1,254 @@
+// Image export
+// Output formats and sizes for saved images, the caption drawn under them, and an XMP
+// packet describing the watch and settings, embedded into the encoded PNG (iTXt chunk),
+// JPEG (APP1 segment) or WebP (XMP chunk) file.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./zip.js'));
+    } else {
+        root.ImageExport = factory(root.ZipArchive);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ZipArchive) {
+    const FORMATS = {
+        png: { label: 'PNG', type: 'image/png', extension: 'png' },
+        jpeg: { label: 'JPEG', type: 'image/jpeg', extension: 'jpg', quality: 0.92 },
+        webp: { label: 'WebP', type: 'image/webp', extension: 'webp', quality: 0.9 }
+    };
+
+    const XMP_NAMESPACE = 'urn:watch-try-on:1.0#';
+    const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+    const JPEG_XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+    const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    // Format key ('png', 'jpeg', 'webp') for a MIME type, or null
+    function formatForType(type) {
+        return Object.keys(FORMATS).find(key => FORMATS[key].type === type) || null;
+    }
+
+    // Scales down so the longer side is at most maxSide; never scales up
+    function exportSize(width, height, maxSide) {
+        const scale = maxSide > 0 ? Math.min(1, maxSide / Math.max(width, height)) : 1;
+        return { width: Math.round(width * scale), height: Math.round(height * scale) };
+    }
+
+    function watchSizeLabel({ caseDiameterMm, lugToLugMm } = {}) {
+        if (caseDiameterMm > 0) return `${caseDiameterMm} mm`;
+        if (lugToLugMm > 0) return `${lugToLugMm} mm lug to lug`;
+        return '';
+    }
+
+    // watches: [{ hand, name, caseDiameterMm?, lugToLugMm? }] -> "Classic Steel · 40 mm",
+    // with the wrist named when there is more than one
+    function captionText(watches) {
+        const describe = watch => [watch.name, watchSizeLabel(watch)].filter(Boolean).join(' · ');
+        if (watches.length === 1) return describe(watches[0]);
+        return watches.map(watch => `${watch.hand === 'left' ? 'Left' : 'Right'}: ${describe(watch)}`).join(' / ');
+    }
+
+    const escapeXml = value => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    // XMP packet with a readable description and the full details as JSON
+    function buildXmp({ description = '', creatorTool = '', createDate = new Date(), details = {} }) {
+        return [
+            '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+            '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+            '<rdf:Description rdf:about=""',
+            '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+            '    xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+            `    xmlns:wto="${XMP_NAMESPACE}"`,
+            `    xmp:CreatorTool="${escapeXml(creatorTool)}"`,
+            `    xmp:CreateDate="${createDate.toISOString()}">`,
+            `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(description)}</rdf:li></rdf:Alt></dc:description>`,
+            `<wto:Details>${escapeXml(JSON.stringify(details))}</wto:Details>`,
+            '</rdf:Description>',
+            '</rdf:RDF>',
+            '</x:xmpmeta>',
+            '<?xpacket end="r"?>'
+        ].join('\n');
+    }
+
+    // Details object from a packet written by buildXmp, or null
+    function parseXmpDetails(xmp) {
+        const match = /<wto:Details>([\s\S]*?)<\/wto:Details>/.exec(xmp || '');
+        if (!match) return null;
+        const json = match[1]
+            .replace(/&quot;/g, '"')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+        return JSON.parse(json);
+    }
+
+    function detectImageType(bytes) {
+        if (PNG_SIGNATURE.every((value, index) => bytes[index] === value)) return 'image/png';
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+        if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') return 'image/webp';
+        return null;
+    }
+
+    const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+    function concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+
+    function pngChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        chunk.set(encoder.encode(type), 4);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, ZipArchive.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    // iTXt right after IHDR: keyword, no compression, no language tags
+    function embedPng(bytes, xmp) {
+        const data = concat([encoder.encode(PNG_XMP_KEYWORD), new Uint8Array(5), encoder.encode(xmp)]);
+        const afterHeader = 8 + 12 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(8);
+        return concat([bytes.subarray(0, afterHeader), pngChunk('iTXt', data), bytes.subarray(afterHeader)]);
+    }
+
+    // APP1 after SOI and any APP0 (JFIF) segment
+    function embedJpeg(bytes, xmp) {
+        const payload = concat([encoder.encode(JPEG_XMP_HEADER), encoder.encode(xmp)]);
+        if (payload.length + 2 > 0xffff) throw new Error('Metadata is too large for a JPEG segment');
+
+        let offset = 2;
+        if (bytes[offset] === 0xff && bytes[offset + 1] === 0xe0) {
+            offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+        }
+
+        const segment = new Uint8Array(4 + payload.length);
+        segment.set([0xff, 0xe1, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]);
+        segment.set(payload, 4);
+        return concat([bytes.subarray(0, offset), segment, bytes.subarray(offset)]);
+    }
+
+    function riffChunk(type, data) {
+        const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+        chunk.set(encoder.encode(type));
+        new DataView(chunk.buffer).setUint32(4, data.length, true);
+        chunk.set(data, 8);
+        return chunk;
+    }
+
+    // Canvas size and alpha from a simple (VP8 or VP8L) WebP's image chunk
+    function webpImageInfo(bytes) {
+        const type = ascii(bytes, 12, 4);
+        const data = bytes.subarray(20);
+        if (type === 'VP8 ') {
+            return {
+                width: (data[6] | (data[7] << 8)) & 0x3fff,
+                height: (data[8] | (data[9] << 8)) & 0x3fff,
+                alpha: false
+            };
+        }
+        if (type === 'VP8L') {
+            const bits = data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24);
+            return {
+                width: (bits & 0x3fff) + 1,
+                height: ((bits >> 14) & 0x3fff) + 1,
+                alpha: ((bits >> 28) & 1) === 1
+            };
+        }
+        throw new Error(`Unsupported WebP chunk ${type}`);
+    }
+
+    // XMP chunk at the end; simple files get the extended (VP8X) header that announces it
+    function embedWebp(bytes, xmp) {
+        const xmpChunk = riffChunk('XMP ', encoder.encode(xmp));
+        let body;
+        if (ascii(bytes, 12, 4) === 'VP8X') {
+            body = bytes.slice(12);
+            body[8] |= 0x04;
+        } else {
+            const { width, height, alpha } = webpImageInfo(bytes);
+            const header = new Uint8Array(10);
+            header[0] = 0x04 | (alpha ? 0x10 : 0);
+            header.set([(width - 1) & 0xff, ((width - 1) >> 8) & 0xff, (width - 1) >> 16], 4);
+            header.set([(height - 1) & 0xff, ((height - 1) >> 8) & 0xff, (height - 1) >> 16], 7);
+            body = concat([riffChunk('VP8X', header), bytes.subarray(12)]);
+        }
+
+        const result = concat([bytes.subarray(0, 12), body, xmpChunk]);
+        new DataView(result.buffer).setUint32(4, result.length - 8, true);
+        return result;
+    }
+
+    // Encoded image with the XMP packet added; the format is read from the bytes, since
+    // browsers fall back to PNG for types they cannot encode
+    function embedXmp(bytes, xmp) {
+        switch (detectImageType(bytes)) {
+            case 'image/png': return embedPng(bytes, xmp);
+            case 'image/jpeg': return embedJpeg(bytes, xmp);
+            case 'image/webp': return embedWebp(bytes, xmp);
+            default: throw new Error('Unsupported image format');
+        }
+    }
+
+    // XMP packet from a PNG, JPEG or WebP file, or null
+    function readXmp(bytes) {
+        const type = detectImageType(bytes);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (type === 'image/png') {
+            for (let offset = 8; offset + 12 <= bytes.length;) {
+                const length = view.getUint32(offset);
+                const data = bytes.subarray(offset + 8, offset + 8 + length);
+                if (ascii(bytes, offset + 4, 4) === 'iTXt' && ascii(data, 0, PNG_XMP_KEYWORD.length + 1) === `${PNG_XMP_KEYWORD}\0`) {
+                    // Skip keyword, compression flag and method, and the two empty tags
+                    return decoder.decode(data.subarray(PNG_XMP_KEYWORD.length + 5));
+                }
+                offset += 12 + length;
+            }
+        } else if (type === 'image/jpeg') {
+            for (let offset = 2; offset + 4 <= bytes.length && bytes[offset] === 0xff;) {
+                const marker = bytes[offset + 1];
+                const length = view.getUint16(offset + 2);
+                const data = bytes.subarray(offset + 4, offset + 2 + length);
+                if (marker === 0xe1 && ascii(data, 0, JPEG_XMP_HEADER.length) === JPEG_XMP_HEADER) {
+                    return decoder.decode(data.subarray(JPEG_XMP_HEADER.length));
+                }
+                if (marker === 0xda) break; // Image data follows
+                offset += 2 + length;
+            }
+        } else if (type === 'image/webp') {
+            for (let offset = 12; offset + 8 <= bytes.length;) {
+                const length = view.getUint32(offset + 4, true);
+                if (ascii(bytes, offset, 4) === 'XMP ') {
+                    return decoder.decode(bytes.subarray(offset + 8, offset + 8 + length));
+                }
+                offset += 8 + length + (length & 1);
+            }
+        }
+        return null;
+    }
+
+    return {
+        FORMATS,
+        formatForType,
+        exportSize,
+        watchSizeLabel,
+        captionText,
+        buildXmp,
+        parseXmpDetails,
+        detectImageType,
+        embedXmp,
+        readXmp
+    };
+});
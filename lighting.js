@@ -0,0 +1,208 @@
+// Lighting match
+// Estimates the light on the wrist from a patch of the frame around it, smooths the
+// estimate over time and turns it into an adjustment for the watch image and its
+// shadow, so a watch in a dim or warm room doesn't look pasted on. The scene around
+// the wrist is compared against a neutral brightness and a gray-world white balance.
+// Skin is left out of that, since it says more about the wearer than about the light;
+// it only stands in for the scene, relative to the last frame that had both, while the
+// hand fills the patch.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.Lighting = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // The light the watch photos are assumed to be taken in, as the scene reads under it:
+    // mid-gray mean luminance, the spread of a lit room relative to it, and no color cast
+    const NEUTRAL = {
+        brightness: 0.18,
+        contrast: 0.5,
+        color: [1, 1, 1]
+    };
+
+    const LIMITS = {
+        brightness: [0.35, 1.2],
+        contrast: [0.6, 1.3],
+        gain: [0.75, 1.25]
+    };
+
+    const GAMMA = 2.2; // The light is measured linearly and applied to sRGB pixels
+    const BRIGHTNESS_STRENGTH = 0.75; // How much of the difference in brightness is passed on
+    const COLOR_STRENGTH = 0.6; // How much of the color cast is passed on
+    const MIN_SCENE_SHARE = 0.15; // Of the patch, for the scene to be read on its own
+    const DEFAULT_TIME_CONSTANT_MS = 600;
+
+    const NEUTRAL_ADJUSTMENT = Object.freeze({
+        brightness: 1,
+        contrast: 1,
+        gains: Object.freeze([1, 1, 1]),
+        shadowAlpha: 0.3,
+        shadowBlur: 10
+    });
+
+    const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+    const toLinear = value => {
+        const c = value / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+
+    // Skin by its chromaticity, which holds across skin tones and most room light: red
+    // over green over blue, with a clear step from red to green
+    function isSkin(red, green, blue) {
+        const sum = red + green + blue;
+        if (sum < 30 || !(red > green && green > blue)) return false;
+        const r = red / sum, g = green / sum;
+        return r >= 0.36 && r <= 0.6 && g >= 0.25 && g <= 0.37 && r - g >= 0.06;
+    }
+
+    // Mean luminance, its spread relative to the mean and the mean color with green as 1,
+    // all in linear light; null for no pixels
+    function measure({ count, luma, lumaSquares, red, green, blue }) {
+        if (!count) return null;
+        const brightness = luma / count;
+        const spread = Math.sqrt(Math.max(0, lumaSquares / count - brightness * brightness));
+        return {
+            brightness,
+            contrast: brightness > 0 ? spread / brightness : 0,
+            color: green > 0 ? [red / green, 1, blue / green] : [1, 1, 1]
+        };
+    }
+
+    // rgba: the sampled patch -> { scene, skin }, each { brightness, contrast, color } or
+    // null. The scene is null when too little of the patch is anything but skin; the
+    // whole reading is null when the patch has no opaque pixels.
+    function estimateLighting(rgba) {
+        const sums = () => ({ count: 0, luma: 0, lumaSquares: 0, red: 0, green: 0, blue: 0 });
+        const scene = sums(), skin = sums();
+        for (let i = 0; i < rgba.length; i += 4) {
+            if (rgba[i + 3] < 128) continue;
+            const target = isSkin(rgba[i], rgba[i + 1], rgba[i + 2]) ? skin : scene;
+            const [r, g, b] = [toLinear(rgba[i]), toLinear(rgba[i + 1]), toLinear(rgba[i + 2])];
+            const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            target.count++;
+            target.luma += luma;
+            target.lumaSquares += luma * luma;
+            target.red += r;
+            target.green += g;
+            target.blue += b;
+        }
+
+        const total = scene.count + skin.count;
+        if (!total) return null;
+        return {
+            scene: scene.count >= total * MIN_SCENE_SHARE ? measure(scene) : null,
+            skin: measure(skin)
+        };
+    }
+
+    // The scene's lighting for a reading: read directly, or while the hand fills the patch,
+    // the reference's scene scaled by how the skin changed since it. Null when neither works.
+    function sceneLighting(reading, reference) {
+        if (!reading) return null;
+        if (reading.scene) return reading.scene;
+        if (!reading.skin || !reference || !(reference.skin.brightness > 0)) return null;
+
+        const { scene, skin } = reference;
+        return {
+            brightness: scene.brightness * reading.skin.brightness / skin.brightness,
+            contrast: scene.contrast,
+            color: scene.color.map((value, channel) => value * reading.skin.color[channel] / skin.color[channel])
+        };
+    }
+
+    // Scene lighting -> { brightness, contrast, gains: [r, g, b], shadowAlpha, shadowBlur }
+    // against the neutral light. Changes are damped and clamped: the aim is to sit the
+    // watch in the scene, not to copy a camera's exposure mistakes.
+    function lightingAdjustment(lighting) {
+        if (!lighting) return NEUTRAL_ADJUSTMENT;
+
+        const brightness = clamp(Math.pow(lighting.brightness / NEUTRAL.brightness, BRIGHTNESS_STRENGTH / GAMMA), LIMITS.brightness);
+        const contrast = clamp(Math.sqrt(lighting.contrast / NEUTRAL.contrast), LIMITS.contrast);
+
+        // The scene's color cast, assuming it averages to gray, with green held so the
+        // cast doesn't change brightness
+        const gains = [0, 1, 2].map(channel => {
+            const cast = Math.pow(lighting.color[channel] / NEUTRAL.color[channel], 1 / GAMMA);
+            return clamp(1 + (cast - 1) * COLOR_STRENGTH, LIMITS.gain);
+        });
+
+        // Harder light throws darker, sharper shadows
+        return {
+            brightness,
+            contrast,
+            gains,
+            shadowAlpha: clamp(NEUTRAL_ADJUSTMENT.shadowAlpha * contrast * Math.sqrt(brightness), [0.1, 0.45]),
+            shadowBlur: clamp(NEUTRAL_ADJUSTMENT.shadowBlur / contrast, [6, 18])
+        };
+    }
+
+    // Applies an adjustment to RGBA pixels in place; transparent pixels are left alone
+    function adjustPixels(rgba, { brightness, contrast, gains }) {
+        const lookup = gains.map(gain => {
+            const table = new Uint8ClampedArray(256);
+            for (let value = 0; value < 256; value++) {
+                table[value] = ((value / 255 - 0.5) * contrast + 0.5) * brightness * gain * 255;
+            }
+            return table;
+        });
+        for (let i = 0; i < rgba.length; i += 4) {
+            if (!rgba[i + 3]) continue;
+            rgba[i] = lookup[0][rgba[i]];
+            rgba[i + 1] = lookup[1][rgba[i + 1]];
+            rgba[i + 2] = lookup[2][rgba[i + 2]];
+        }
+        return rgba;
+    }
+
+    // Exponential smoothing of the scene lighting over time. Readings are passed in as they
+    // come from estimateLighting; the latest one showing both scene and skin is kept as the
+    // reference for readings without a scene.
+    function createLightingSmoother({ timeConstantMs = DEFAULT_TIME_CONSTANT_MS } = {}) {
+        let value = null, reference = null;
+        let lastTimestamp = 0;
+
+        function update(reading, timestamp) {
+            if (reading?.scene && reading.skin) reference = reading;
+            const lighting = sceneLighting(reading, reference);
+            if (!lighting) return value;
+
+            if (!value) {
+                value = { ...lighting };
+            } else {
+                const alpha = 1 - Math.exp(-Math.max(0, timestamp - lastTimestamp) / timeConstantMs);
+                value = {
+                    brightness: value.brightness + (lighting.brightness - value.brightness) * alpha,
+                    contrast: value.contrast + (lighting.contrast - value.contrast) * alpha,
+                    color: value.color.map((channel, index) => channel + (lighting.color[index] - channel) * alpha)
+                };
+            }
+            lastTimestamp = timestamp;
+            return value;
+        }
+
+        function reset() {
+            value = reference = null;
+        }
+
+        return {
+            update,
+            reset,
+            get value() {
+                return value;
+            }
+        };
+    }
+
+    return {
+        NEUTRAL,
+        NEUTRAL_ADJUSTMENT,
+        estimateLighting,
+        sceneLighting,
+        lightingAdjustment,
+        adjustPixels,
+        createLightingSmoother
+    };
+});
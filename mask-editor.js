@@ -0,0 +1,287 @@
+// Manual mask refinement editor
+// Shows the automatic cut-out over a faded original and lets staff paint pixels back
+// in (keep) or out (erase) before the watch is committed. Strokes are stored as the
+// list of pixels they changed, so undo/redo stays cheap even for large photos.
+(function (root) {
+    const MAX_UNDO_STEPS = 50;
+    const STAGE_MAX_WIDTH = 560;
+    const STAGE_MAX_HEIGHT = 360;
+
+    // Render a 0/1 mask as an opaque-where-kept canvas for compositing
+    function maskToCanvas(mask, width, height, canvas = document.createElement('canvas')) {
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const imageData = context.createImageData(width, height);
+
+        for (let i = 0; i < mask.length; i++) {
+            imageData.data[i * 4 + 3] = mask[i] ? 255 : 0;
+        }
+        context.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    // `elements` holds the editor's dialog, canvas and controls (see index.html)
+    function createMaskEditor(elements) {
+        const {
+            dialog, canvas, keepTool, eraseTool, brushSize,
+            undoButton, redoButton, showOriginal, applyButton, cancelButton
+        } = elements;
+        const context = canvas.getContext('2d');
+        const cutoutCanvas = document.createElement('canvas');
+        const cutoutContext = cutoutCanvas.getContext('2d');
+        const maskCanvas = document.createElement('canvas');
+        const maskContext = maskCanvas.getContext('2d');
+
+        let session = null; // { image, mask, width, height, scale, resolve }
+        let tool = 'keep';
+        let undoStack = [], redoStack = [];
+        let stroke = null; // { value, indices: [] }
+        let lastPoint = null, pointer = null, renderPending = false;
+
+        function open({ image, mask, width, height }) {
+            if (session) close(null);
+
+            const scale = Math.min(STAGE_MAX_WIDTH / width, STAGE_MAX_HEIGHT / height, 1);
+            canvas.width = cutoutCanvas.width = Math.round(width * scale);
+            canvas.height = cutoutCanvas.height = Math.round(height * scale);
+            maskToCanvas(mask, width, height, maskCanvas);
+
+            undoStack = [];
+            redoStack = [];
+            showOriginal.checked = false;
+            setTool('keep');
+            updateHistoryButtons();
+
+            dialog.classList.remove('hidden');
+            return new Promise(resolve => {
+                session = { image, mask: mask.slice(), width, height, scale, resolve };
+                requestRender();
+            });
+        }
+
+        function close(result) {
+            if (!session) return;
+            const { resolve } = session;
+            session = null;
+            stroke = null;
+            dialog.classList.add('hidden');
+            resolve(result);
+        }
+
+        function isOpen() {
+            return session !== null;
+        }
+
+        function setTool(name) {
+            tool = name;
+            keepTool.classList.toggle('active', name === 'keep');
+            eraseTool.classList.toggle('active', name === 'erase');
+        }
+
+        function updateHistoryButtons() {
+            undoButton.disabled = undoStack.length === 0;
+            redoButton.disabled = redoStack.length === 0;
+        }
+
+        function requestRender() {
+            if (renderPending) return;
+            renderPending = true;
+            requestAnimationFrame(() => {
+                renderPending = false;
+                render();
+            });
+        }
+
+        function render() {
+            if (!session) return;
+            const { image } = session;
+            const { width, height } = canvas;
+
+            context.clearRect(0, 0, width, height);
+
+            if (showOriginal.checked) {
+                context.drawImage(image, 0, 0, width, height);
+            } else {
+                // Faded original shows what the keep brush can bring back
+                context.globalAlpha = 0.25;
+                context.drawImage(image, 0, 0, width, height);
+                context.globalAlpha = 1;
+
+                cutoutContext.globalCompositeOperation = 'source-over';
+                cutoutContext.clearRect(0, 0, width, height);
+                cutoutContext.drawImage(image, 0, 0, width, height);
+                cutoutContext.globalCompositeOperation = 'destination-in';
+                cutoutContext.drawImage(maskCanvas, 0, 0, width, height);
+                context.drawImage(cutoutCanvas, 0, 0);
+            }
+
+            if (pointer) {
+                context.beginPath();
+                context.arc(pointer.x, pointer.y, Number(brushSize.value) / 2, 0, 2 * Math.PI);
+                context.strokeStyle = tool === 'keep' ? '#22c55e' : '#ef4444';
+                context.lineWidth = 2;
+                context.stroke();
+            }
+        }
+
+        // Set mask pixels inside a brush circle (image coordinates), recording what changed
+        function stamp(cx, cy) {
+            const { mask, width, height, scale } = session;
+            const radius = Number(brushSize.value) / 2 / scale;
+            const value = stroke.value;
+
+            const minX = Math.max(0, Math.floor(cx - radius));
+            const maxX = Math.min(width - 1, Math.ceil(cx + radius));
+            const minY = Math.max(0, Math.floor(cy - radius));
+            const maxY = Math.min(height - 1, Math.ceil(cy + radius));
+            if (minX > maxX || minY > maxY) return;
+
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    const idx = y * width + x;
+                    if (mask[idx] !== value && (x - cx) ** 2 + (y - cy) ** 2 <= radius * radius) {
+                        mask[idx] = value;
+                        stroke.indices.push(idx);
+                    }
+                }
+            }
+
+            updateMaskRegion(minX, minY, maxX - minX + 1, maxY - minY + 1);
+        }
+
+        function updateMaskRegion(x, y, regionWidth, regionHeight) {
+            const { mask, width } = session;
+            const region = maskContext.createImageData(regionWidth, regionHeight);
+
+            for (let row = 0; row < regionHeight; row++) {
+                for (let col = 0; col < regionWidth; col++) {
+                    region.data[(row * regionWidth + col) * 4 + 3] = mask[(y + row) * width + x + col] ? 255 : 0;
+                }
+            }
+            maskContext.putImageData(region, x, y);
+        }
+
+        // Stamp along the segment so fast pointer moves leave no gaps
+        function paintTo(point) {
+            const { scale } = session;
+            const from = lastPoint || point;
+            const step = Math.max(1, Number(brushSize.value) / 4);
+            const steps = Math.max(1, Math.ceil(Math.hypot(point.x - from.x, point.y - from.y) / step));
+
+            for (let i = 1; i <= steps; i++) {
+                const t = i / steps;
+                stamp((from.x + (point.x - from.x) * t) / scale, (from.y + (point.y - from.y) * t) / scale);
+            }
+            lastPoint = point;
+        }
+
+        function applyChange(change, value) {
+            const { mask } = session;
+            for (const idx of change.indices) {
+                mask[idx] = value;
+            }
+            maskToCanvas(mask, session.width, session.height, maskCanvas);
+            requestRender();
+        }
+
+        function undo() {
+            const change = undoStack.pop();
+            if (!change) return;
+            applyChange(change, 1 - change.value);
+            redoStack.push(change);
+            updateHistoryButtons();
+        }
+
+        function redo() {
+            const change = redoStack.pop();
+            if (!change) return;
+            applyChange(change, change.value);
+            undoStack.push(change);
+            updateHistoryButtons();
+        }
+
+        function canvasPoint(event) {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: (event.clientX - rect.left) * (canvas.width / rect.width),
+                y: (event.clientY - rect.top) * (canvas.height / rect.height)
+            };
+        }
+
+        canvas.addEventListener('pointerdown', (event) => {
+            if (!session || showOriginal.checked) return;
+            canvas.setPointerCapture(event.pointerId);
+            stroke = { value: tool === 'keep' ? 1 : 0, indices: [] };
+            lastPoint = null;
+            paintTo(canvasPoint(event));
+            requestRender();
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            if (!session) return;
+            pointer = canvasPoint(event);
+            if (stroke) paintTo(pointer);
+            requestRender();
+        });
+
+        const endStroke = () => {
+            if (!stroke) return;
+            if (stroke.indices.length) {
+                undoStack.push({ value: stroke.value, indices: Uint32Array.from(stroke.indices) });
+                if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+                redoStack = [];
+                updateHistoryButtons();
+            }
+            stroke = null;
+        };
+        canvas.addEventListener('pointerup', endStroke);
+        canvas.addEventListener('pointercancel', endStroke);
+        canvas.addEventListener('pointerleave', () => {
+            pointer = null;
+            requestRender();
+        });
+
+        keepTool.addEventListener('click', () => setTool('keep'));
+        eraseTool.addEventListener('click', () => setTool('erase'));
+        brushSize.addEventListener('input', requestRender);
+        showOriginal.addEventListener('change', requestRender);
+        undoButton.addEventListener('click', undo);
+        redoButton.addEventListener('click', redo);
+        applyButton.addEventListener('click', () => close(session.mask));
+        cancelButton.addEventListener('click', () => close(null));
+
+        function onKeyDown(event) {
+            if (!session) return;
+
+            // Keep app shortcuts (space, Escape) from acting on the page behind the dialog
+            event.stopImmediatePropagation();
+
+            const key = event.key.toLowerCase();
+            if (event.key === 'Escape') {
+                close(null);
+            } else if ((event.ctrlKey || event.metaKey) && key === 'z') {
+                event.preventDefault();
+                if (event.shiftKey) redo(); else undo();
+            } else if ((event.ctrlKey || event.metaKey) && key === 'y') {
+                event.preventDefault();
+                redo();
+            } else if (key === 'b') {
+                setTool('keep');
+            } else if (key === 'e') {
+                setTool('erase');
+            }
+        }
+        document.addEventListener('keydown', onKeyDown);
+
+        // Cancels an open session and stops listening for shortcuts
+        function destroy() {
+            close(null);
+            document.removeEventListener('keydown', onKeyDown);
+        }
+
+        return { open, isOpen, destroy };
+    }
+
+    root.MaskEditor = { createMaskEditor, maskToCanvas };
+})(window);
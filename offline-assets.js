@@ -0,0 +1,119 @@
+// Offline assets
+// One list of everything the app needs without a network: the app shell, the
+// third-party files `npm run vendor` copies out of node_modules, and the hand models it
+// downloads. scripts/vendor.js builds vendor/ and models/ from it, and
+// service-worker.js precaches it and answers model requests from the local copies.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.OfflineAssets = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const APP_SHELL = [
+        './',
+        'index.html',
+        'style.css',
+        'manifest.webmanifest',
+        'icons/icon.svg',
+        'offline-assets.js',
+        'geometry.js',
+        'segmentation.js',
+        'segmentation-worker.js',
+        'mask-editor.js',
+        'customization.js',
+        'sizing.js',
+        'perspective.js',
+        'strap-wrap.js',
+        'lighting.js',
+        'pose-filter.js',
+        'tracking-state.js',
+        'handedness-stabilizer.js',
+        'hand-detectors.js',
+        'zip.js',
+        'gif-encoder.js',
+        'snapshot-sheet.js',
+        'image-export.js',
+        'watch-library.js',
+        'camera-devices.js',
+        'camera-manager.js',
+        'app-state.js',
+        'widget-template.js',
+        'watch-try-on.js',
+        'demo.js',
+        'watches/catalog.json'
+    ];
+
+    // Copied from node_modules; fonts referenced by a stylesheet's url(...) come along
+    const VENDOR_FILES = [
+        { from: '@tensorflow/tfjs/dist/tf.min.js', to: 'vendor/tf.min.js' },
+        { from: '@tensorflow-models/hand-pose-detection/dist/hand-pose-detection.min.js', to: 'vendor/hand-pose-detection.min.js' },
+        { from: '@tensorflow-models/handpose/dist/handpose.min.js', to: 'vendor/handpose.min.js' },
+        { from: 'material-icons/iconfont/filled.css', to: 'vendor/material-icons/filled.css' },
+        { from: '@fontsource/inter/latin-400.css', to: 'vendor/inter/latin-400.css' },
+        { from: '@fontsource/inter/latin-600.css', to: 'vendor/inter/latin-600.css' },
+        { from: '@fontsource/inter/latin-700.css', to: 'vendor/inter/latin-700.css' }
+    ];
+
+    // Built by `npm run build:css` rather than copied
+    const BUILT_FILES = ['vendor/tailwind.css'];
+
+    // TF.js graph models: `files` are fetched from `remote` into `local`, along with
+    // the weight shards each model.json lists. handpose always requests its models
+    // from tfhub.dev (with ?tfjs-format=file), so those requests are redirected here.
+    const MODELS = [
+        {
+            remote: 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/detector/full/1/',
+            local: 'models/mediapipe-hands/detector/',
+            files: ['model.json']
+        },
+        {
+            remote: 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/landmark/full/1/',
+            local: 'models/mediapipe-hands/landmark/',
+            files: ['model.json']
+        },
+        {
+            remote: 'https://tfhub.dev/mediapipe/tfjs-model/handdetector/1/default/1/',
+            local: 'models/handpose/detector/',
+            files: ['model.json']
+        },
+        {
+            remote: 'https://tfhub.dev/mediapipe/tfjs-model/handskeleton/1/default/1/',
+            local: 'models/handpose/landmark/',
+            files: ['model.json', 'anchors.json']
+        }
+    ];
+
+    const TFHUB_QUERY = '?tfjs-format=file';
+
+    // URL to download a model file from
+    function remoteModelUrl(model, file) {
+        return model.remote + file + (model.remote.startsWith('https://tfhub.dev/') ? TFHUB_QUERY : '');
+    }
+
+    // Local path for a request to a model's remote location, or null for anything else
+    function localModelPath(url) {
+        const [path] = url.split(/[?#]/);
+        const model = MODELS.find(entry => path.startsWith(entry.remote));
+        if (!model) return null;
+
+        const file = path.slice(model.remote.length);
+        return file && !file.includes('/') ? model.local + file : null;
+    }
+
+    // Weight shard file names listed in a model.json
+    function weightFiles(modelJson) {
+        return (modelJson.weightsManifest || []).flatMap(group => group.paths);
+    }
+
+    return {
+        APP_SHELL,
+        VENDOR_FILES,
+        BUILT_FILES,
+        MODELS,
+        remoteModelUrl,
+        localModelPath,
+        weightFiles
+    };
+});
@@ -0,0 +1,195 @@
+// Perspective watch rendering
+// Estimates the wrist plane from handpose depth (z) and projects the watch onto it,
+// then draws the image into the resulting quad as a mesh of affine-mapped triangles.
+// Only drawImageQuad touches a canvas context (passed in), so the math runs in Node.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.WatchPerspective = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const WRIST = 0, INDEX_MCP = 5, PINKY_MCP = 17;
+
+    // Depth from a single RGB camera is noisy; beyond this the warp gets implausible
+    const MAX_TILT = Math.PI / 3;
+    const DEFAULT_SUBDIVISIONS = 8;
+    // Triangles are clipped slightly oversized so antialiasing leaves no visible seams
+    const SEAM_OVERLAP = 0.6;
+
+    const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    const normalize = (v) => {
+        const length = Math.hypot(v[0], v[1], v[2]) || 1;
+        return [v[0] / length, v[1] / length, v[2] / length];
+    };
+
+    // Plane through the wrist and the index/pinky knuckles, as depth gradient
+    // z = gradient.x * x + gradient.y * y (+ const). Larger z is further from the camera.
+    // spanRatio is how much longer the knuckle span is in 3D than on screen.
+    function estimateWristPlane(landmarks, { depthScale = 1 } = {}) {
+        const point = index => {
+            const [x, y, z = 0] = landmarks[index];
+            return [x, y, z * depthScale];
+        };
+        const wrist = point(WRIST);
+        const index = point(INDEX_MCP);
+        const pinky = point(PINKY_MCP);
+
+        const normal = cross(subtract(index, wrist), subtract(pinky, wrist));
+        if (Math.abs(normal[2]) < 1e-9) return null;
+
+        let gradient = { x: -normal[0] / normal[2], y: -normal[1] / normal[2] };
+        const slope = Math.hypot(gradient.x, gradient.y);
+        const maxSlope = Math.tan(MAX_TILT);
+        if (slope > maxSlope) {
+            gradient = { x: gradient.x * maxSlope / slope, y: gradient.y * maxSlope / slope };
+        }
+
+        const span = subtract(index, pinky);
+        const spanRatio = Math.hypot(span[0], span[1], span[2]) / (Math.hypot(span[0], span[1]) || 1);
+
+        return {
+            gradient,
+            tilt: Math.atan(Math.min(slope, maxSlope)),
+            spanRatio: Math.min(spanRatio, 1 / Math.cos(MAX_TILT))
+        };
+    }
+
+    // Corners [top-left, top-right, bottom-right, bottom-left] of a width x height watch
+    // centered at (x, y), rotated like drawWatch, lying on the plane and seen through a
+    // pinhole camera with the given focal length (px). A zero gradient gives the flat rectangle.
+    function projectWatchQuad({ x, y, width, height, rotation }, gradient, { focalLength }) {
+        const across = [Math.cos(rotation), Math.sin(rotation)];
+        const along = [-Math.sin(rotation), Math.cos(rotation)];
+
+        // In-plane axes: `across` keeps its screen direction, `along` is perpendicular on the plane
+        const planeAcross = normalize([across[0], across[1], gradient.x * across[0] + gradient.y * across[1]]);
+        let planeAlong = cross(normalize([gradient.x, gradient.y, -1]), planeAcross);
+        if (planeAlong[0] * along[0] + planeAlong[1] * along[1] < 0) {
+            planeAlong = planeAlong.map(value => -value);
+        }
+
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+            const offset = [0, 1, 2].map(axis =>
+                sx * width / 2 * planeAcross[axis] + sy * height / 2 * planeAlong[axis]);
+            const scale = focalLength / Math.max(focalLength * 0.1, focalLength + offset[2]);
+            return { x: x + offset[0] * scale, y: y + offset[1] * scale };
+        });
+    }
+
+    // Homography taking the unit square (0,0) (1,0) (1,1) (0,1) onto a quad (Heckbert)
+    function squareToQuad([p0, p1, p2, p3]) {
+        const sx = p0.x - p1.x + p2.x - p3.x;
+        const sy = p0.y - p1.y + p2.y - p3.y;
+
+        if (Math.abs(sx) < 1e-9 && Math.abs(sy) < 1e-9) {
+            return [p1.x - p0.x, p3.x - p0.x, p0.x, p1.y - p0.y, p3.y - p0.y, p0.y, 0, 0];
+        }
+
+        const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x;
+        const dy1 = p1.y - p2.y, dy2 = p3.y - p2.y;
+        const denominator = dx1 * dy2 - dx2 * dy1;
+        const g = (sx * dy2 - dx2 * sy) / denominator;
+        const h = (dx1 * sy - sx * dy1) / denominator;
+
+        return [
+            p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x,
+            p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y,
+            g, h
+        ];
+    }
+
+    function applyHomography([a, b, c, d, e, f, g, h], u, v) {
+        const w = g * u + h * v + 1;
+        return { x: (a * u + b * v + c) / w, y: (d * u + e * v + f) / w };
+    }
+
+    // Canvas transform [a, b, c, d, e, f] mapping triangle `from` onto triangle `to`
+    function triangleTransform([s0, s1, s2], [d0, d1, d2]) {
+        const sx1 = s1.x - s0.x, sy1 = s1.y - s0.y;
+        const sx2 = s2.x - s0.x, sy2 = s2.y - s0.y;
+        const dx1 = d1.x - d0.x, dy1 = d1.y - d0.y;
+        const dx2 = d2.x - d0.x, dy2 = d2.y - d0.y;
+        const denominator = sx1 * sy2 - sx2 * sy1;
+
+        const a = (dx1 * sy2 - dx2 * sy1) / denominator;
+        const c = (dx2 * sx1 - dx1 * sx2) / denominator;
+        const b = (dy1 * sy2 - dy2 * sy1) / denominator;
+        const d = (dy2 * sx1 - dy1 * sx2) / denominator;
+
+        return [a, b, c, d, d0.x - a * s0.x - c * s0.y, d0.y - b * s0.x - d * s0.y];
+    }
+
+    // Split the image into a grid of triangle pairs with their positions inside the quad
+    function meshTriangles(quad, imageWidth, imageHeight, subdivisions = DEFAULT_SUBDIVISIONS) {
+        const homography = squareToQuad(quad);
+        const grid = [];
+        for (let j = 0; j <= subdivisions; j++) {
+            for (let i = 0; i <= subdivisions; i++) {
+                const u = i / subdivisions, v = j / subdivisions;
+                grid.push({
+                    src: { x: u * imageWidth, y: v * imageHeight },
+                    dst: applyHomography(homography, u, v)
+                });
+            }
+        }
+
+        const triangles = [];
+        const at = (i, j) => grid[j * (subdivisions + 1) + i];
+        for (let j = 0; j < subdivisions; j++) {
+            for (let i = 0; i < subdivisions; i++) {
+                const cell = [at(i, j), at(i + 1, j), at(i + 1, j + 1), at(i, j + 1)];
+                for (const corners of [[cell[0], cell[1], cell[2]], [cell[0], cell[2], cell[3]]]) {
+                    triangles.push({ src: corners.map(p => p.src), dst: corners.map(p => p.dst) });
+                }
+            }
+        }
+        return triangles;
+    }
+
+    function expandTriangle(points, amount) {
+        const cx = (points[0].x + points[1].x + points[2].x) / 3;
+        const cy = (points[0].y + points[1].y + points[2].y) / 3;
+        return points.map(({ x, y }) => {
+            const distance = Math.hypot(x - cx, y - cy) || 1;
+            return { x: x + (x - cx) / distance * amount, y: y + (y - cy) / distance * amount };
+        });
+    }
+
+    // Draw `image` (imageWidth x imageHeight) warped into `quad`
+    function drawImageQuad(context, image, imageWidth, imageHeight, quad, subdivisions = DEFAULT_SUBDIVISIONS) {
+        for (const { src, dst } of meshTriangles(quad, imageWidth, imageHeight, subdivisions)) {
+            const clip = expandTriangle(dst, SEAM_OVERLAP);
+
+            context.save();
+            context.beginPath();
+            context.moveTo(clip[0].x, clip[0].y);
+            context.lineTo(clip[1].x, clip[1].y);
+            context.lineTo(clip[2].x, clip[2].y);
+            context.closePath();
+            context.clip();
+            context.transform(...triangleTransform(src, dst));
+
+            // Only the source cell (plus a pixel of margin) needs drawing
+            const minX = Math.max(0, Math.floor(Math.min(src[0].x, src[1].x, src[2].x)) - 1);
+            const minY = Math.max(0, Math.floor(Math.min(src[0].y, src[1].y, src[2].y)) - 1);
+            const maxX = Math.min(imageWidth, Math.ceil(Math.max(src[0].x, src[1].x, src[2].x)) + 1);
+            const maxY = Math.min(imageHeight, Math.ceil(Math.max(src[0].y, src[1].y, src[2].y)) + 1);
+            context.drawImage(image, minX, minY, maxX - minX, maxY - minY, minX, minY, maxX - minX, maxY - minY);
+            context.restore();
+        }
+    }
+
+    return {
+        MAX_TILT,
+        estimateWristPlane,
+        projectWatchQuad,
+        squareToQuad,
+        applyHomography,
+        triangleTransform,
+        meshTriangles,
+        drawImageQuad
+    };
+});
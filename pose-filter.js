@@ -0,0 +1,153 @@
+// Wrist pose filtering
+// One Euro filters (Casiez et al., 2012) per pose channel: heavy smoothing while the
+// hand is still, little lag when it moves fast. The filtered velocity also lets the
+// renderer predict the pose between (or in place of) slow detections.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PoseFilter = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // minCutoff (Hz): smoothing at rest, lower is smoother but lags more.
+    // beta: how quickly the cutoff rises with speed (per px/s, or per rad/s for rotation).
+    // dCutoff (Hz): smoothing of the velocity estimate itself.
+    const DEFAULT_PARAMETERS = {
+        position: { minCutoff: 1.0, beta: 0.02 },
+        scale: { minCutoff: 0.5, beta: 0.01 },
+        rotation: { minCutoff: 1.0, beta: 0.3 },
+        dCutoff: 1.0,
+        maxPredictionMs: 150
+    };
+
+    // Which pose fields each parameter group filters
+    const CHANNELS = {
+        position: ['x', 'y'],
+        scale: ['width', 'height', 'span', 'spanRatio', 'depthGradientX', 'depthGradientY'],
+        rotation: ['rotation']
+    };
+
+    function wrapAngle(angle) {
+        return Math.atan2(Math.sin(angle), Math.cos(angle));
+    }
+
+    function smoothingFactor(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    // Scalar One Euro filter; timestamps in milliseconds
+    function createOneEuroFilter(getParameters, { angular = false } = {}) {
+        // velocity drives the adaptive cutoff; trend is the output's own velocity, used for prediction
+        let value = null, velocity = 0, trend = 0, lastTime = null;
+
+        function filter(raw, timestamp) {
+            if (value === null || timestamp <= lastTime) {
+                if (value === null) value = angular ? wrapAngle(raw) : raw;
+                lastTime = timestamp;
+                return value;
+            }
+
+            const { minCutoff, beta, dCutoff } = getParameters();
+            const dt = (timestamp - lastTime) / 1000;
+            const delta = angular ? wrapAngle(raw - value) : raw - value;
+
+            const velocityAlpha = smoothingFactor(dCutoff, dt);
+            velocity += velocityAlpha * (delta / dt - velocity);
+            const cutoff = minCutoff + beta * Math.abs(velocity);
+            const step = smoothingFactor(cutoff, dt) * delta;
+            value += step;
+            if (angular) value = wrapAngle(value);
+            trend += velocityAlpha * (step / dt - trend);
+
+            lastTime = timestamp;
+            return value;
+        }
+
+        // Extrapolate along the filtered output's velocity
+        function predict(timestamp, maxPredictionMs) {
+            if (value === null) return null;
+            const ahead = Math.min(Math.max(0, timestamp - lastTime), maxPredictionMs) / 1000;
+            const predicted = value + trend * ahead;
+            return angular ? wrapAngle(predicted) : predicted;
+        }
+
+        function reset() {
+            value = null;
+            velocity = 0;
+            trend = 0;
+            lastTime = null;
+        }
+
+        return { filter, predict, reset };
+    }
+
+    // Filters whole wrist poses ({ x, y, width, ..., rotation, confidence, orientation });
+    // fields not listed in CHANNELS are passed through from the latest pose.
+    function createPoseFilter(parameters = {}) {
+        const current = structuredClone(DEFAULT_PARAMETERS);
+        let latest = null;
+
+        const filters = {};
+        for (const [group, fields] of Object.entries(CHANNELS)) {
+            const groupParameters = () => ({ ...current[group], dCutoff: current.dCutoff });
+            for (const field of fields) {
+                filters[field] = createOneEuroFilter(groupParameters, { angular: group === 'rotation' });
+            }
+        }
+
+        function setParameters(changes) {
+            for (const [key, value] of Object.entries(changes)) {
+                if (value && typeof value === 'object') {
+                    current[key] = { ...current[key], ...value };
+                } else if (value !== undefined) {
+                    current[key] = value;
+                }
+            }
+        }
+
+        function getParameters() {
+            return structuredClone(current);
+        }
+
+        function update(pose, timestamp) {
+            const filtered = { ...pose };
+            for (const [field, filter] of Object.entries(filters)) {
+                if (typeof pose[field] === 'number') {
+                    filtered[field] = filter.filter(pose[field], timestamp);
+                }
+            }
+            latest = filtered;
+            return filtered;
+        }
+
+        // Pose at `timestamp`, extrapolated at most maxPredictionMs past the last update
+        function predict(timestamp) {
+            if (!latest) return null;
+
+            const predicted = { ...latest };
+            for (const [field, filter] of Object.entries(filters)) {
+                if (typeof latest[field] === 'number') {
+                    predicted[field] = filter.predict(timestamp, current.maxPredictionMs);
+                }
+            }
+            return predicted;
+        }
+
+        function reset() {
+            Object.values(filters).forEach(filter => filter.reset());
+            latest = null;
+        }
+
+        setParameters(parameters);
+        return { update, predict, reset, setParameters, getParameters };
+    }
+
+    return {
+        DEFAULT_PARAMETERS,
+        CHANNELS,
+        createOneEuroFilter,
+        createPoseFilter
+    };
+});
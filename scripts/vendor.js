@@ -0,0 +1,81 @@
+// Copy third-party scripts and fonts into vendor/ and download the hand models into
+// models/, so the app can be served without any CDN. Run with `npm run vendor`
+// (or `npm run build`, which also builds the Tailwind CSS).
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const { VENDOR_FILES, MODELS, remoteModelUrl, weightFiles } = require('../offline-assets.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const NODE_MODULES = path.join(ROOT, 'node_modules');
+
+async function writeFile(relativePath, data) {
+    const target = path.join(ROOT, relativePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, data);
+}
+
+// Relative url(...) references in a stylesheet, such as its font files
+function stylesheetAssets(css) {
+    return [...css.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g)]
+        .map(match => match[1])
+        .filter(url => !/^(?:[a-z]+:|\/|#)/i.test(url));
+}
+
+async function copyVendorFile({ from, to }) {
+    const source = path.join(NODE_MODULES, from);
+    const data = await fs.readFile(source);
+    await writeFile(to, data);
+
+    if (from.endsWith('.css')) {
+        for (const asset of stylesheetAssets(data.toString('utf8'))) {
+            const assetData = await fs.readFile(path.join(path.dirname(source), asset));
+            await writeFile(path.join(path.dirname(to), asset), assetData);
+        }
+    }
+}
+
+async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+async function downloadModel(model) {
+    for (const file of model.files) {
+        const data = await download(remoteModelUrl(model, file));
+        await writeFile(model.local + file, data);
+
+        if (file === 'model.json') {
+            for (const shard of weightFiles(JSON.parse(data.toString('utf8')))) {
+                await writeFile(model.local + shard, await download(remoteModelUrl(model, shard)));
+            }
+        }
+    }
+}
+
+async function main() {
+    for (const file of VENDOR_FILES) {
+        await copyVendorFile(file);
+        console.log(`Copied ${file.to}`);
+    }
+
+    let failed = false;
+    for (const model of MODELS) {
+        try {
+            await downloadModel(model);
+            console.log(`Downloaded ${model.local}`);
+        } catch (error) {
+            failed = true;
+            console.error(`Could not download ${model.local}: ${error.cause?.message || error.message}`);
+        }
+    }
+    if (failed) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
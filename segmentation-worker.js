@@ -0,0 +1,24 @@
+// Background removal worker
+// Receives an ImageBitmap, segments it with WatchSegmentation on an OffscreenCanvas
+// and posts back progress updates and the foreground mask. Jobs are cancelled by
+// terminating the worker, so there is no cancel message.
+importScripts('segmentation.js');
+
+self.onmessage = ({ data: { jobId, bitmap } }) => {
+    try {
+        const { width, height } = bitmap;
+        const canvas = new OffscreenCanvas(width, height);
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const imageData = context.getImageData(0, 0, width, height);
+        const mask = WatchSegmentation.segmentWatch(imageData.data, width, height, {
+            onProgress: progress => self.postMessage({ jobId, type: 'progress', progress })
+        });
+
+        self.postMessage({ jobId, type: 'done', mask, width, height }, [mask.buffer]);
+    } catch (error) {
+        self.postMessage({ jobId, type: 'error', message: error.message });
+    }
+};
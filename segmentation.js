@@ -0,0 +1,248 @@
+// Watch background removal
+// Works on raw RGBA pixel buffers with typed arrays so it can run inside
+// segmentation-worker.js (or on the main thread as a fallback) and in Node tests.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.WatchSegmentation = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const BASE_THRESHOLD = 32; // Higher base threshold for metallic watches
+    const PROGRESS_ROW_INTERVAL = 64;
+
+    // Progress is reported per stage as a fraction of the whole job
+    const STAGES = {
+        sampling: [0, 0.05],
+        edges: [0.05, 0.6],
+        dilate: [0.6, 0.8],
+        fill: [0.8, 1]
+    };
+
+    // Build a foreground mask (1 = watch, 0 = background) for an RGBA buffer
+    function segmentWatch(data, width, height, { onProgress } = {}) {
+        const report = (stage, fraction) => {
+            if (!onProgress) return;
+            const [start, end] = STAGES[stage];
+            onProgress(start + (end - start) * fraction);
+        };
+
+        report('sampling', 0);
+
+        // Sample the entire border (not just corners) for background statistics
+        const borderWidth = Math.max(10, Math.floor(Math.min(width, height) * 0.03));
+        const background = sampleBorder(data, width, height, borderWidth);
+
+        // Adaptive threshold based on variance
+        const threshold = BASE_THRESHOLD + Math.sqrt(background.variance) * 0.7;
+
+        const mask = new Uint8Array(width * height);
+        improvedWatchMask(data, width, height, mask, background, threshold, report);
+
+        // Fill large internal holes (watches often have circular/empty centers)
+        floodFillHoles(mask, width, height);
+        report('fill', 1);
+
+        return mask;
+    }
+
+    // Average border color and its variance, accumulated without per-pixel objects
+    function sampleBorder(data, width, height, borderWidth) {
+        let r = 0, g = 0, b = 0, squares = 0, count = 0;
+
+        const add = (x, y) => {
+            const idx = (y * width + x) * 4;
+            const pr = data[idx], pg = data[idx + 1], pb = data[idx + 2];
+            r += pr; g += pg; b += pb;
+            squares += pr * pr + pg * pg + pb * pb;
+            count++;
+        };
+
+        // Top and bottom borders
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < borderWidth; y++) {
+                add(x, y);
+                add(x, height - y - 1);
+            }
+        }
+
+        // Left and right borders
+        for (let y = borderWidth; y < height - borderWidth; y++) {
+            for (let x = 0; x < borderWidth; x++) {
+                add(x, y);
+                add(width - x - 1, y);
+            }
+        }
+
+        if (count === 0) return { r: 0, g: 0, b: 0, variance: 0 };
+
+        const avg = { r: r / count, g: g / count, b: b / count };
+        // Mean squared distance to the average color
+        const variance = count > 1
+            ? Math.max(0, squares / count - (avg.r * avg.r + avg.g * avg.g + avg.b * avg.b))
+            : 0;
+
+        return { ...avg, variance };
+    }
+
+    function isGoldLike(r, g, b) {
+        // Gold and rose gold have higher red and green channels
+        return r > 180 && g > 140 && r > b + 30;
+    }
+
+    function improvedWatchMask(data, width, height, mask, avgBg, threshold, report = () => {}) {
+        const pixelCount = width * height;
+
+        // Combined metric: color distance plus normalized Sobel edge strength
+        const metric = new Float32Array(pixelCount);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const pixelIndex = y * width + x;
+                const idx = pixelIndex * 4;
+
+                // Color distance to background (weighted for metallic hues)
+                const rDiff = data[idx] - avgBg.r;
+                const gDiff = data[idx + 1] - avgBg.g;
+                const bDiff = data[idx + 2] - avgBg.b;
+
+                // Higher blue weight helps differentiate gold
+                const gold = isGoldLike(data[idx], data[idx + 1], data[idx + 2]);
+                const rWeight = gold ? 0.2 : 0.3;
+                const gWeight = gold ? 0.2 : 0.59;
+                const bWeight = gold ? 0.6 : 0.11;
+
+                const colorDist = Math.sqrt(
+                    rDiff * rDiff * rWeight +
+                    gDiff * gDiff * gWeight +
+                    bDiff * bDiff * bWeight
+                );
+
+                // Sobel edge detection on intensity, unrolled over the 3x3 neighborhood
+                const above = idx - width * 4;
+                const below = idx + width * 4;
+                const tl = intensity(data, above - 4), tc = intensity(data, above), tr = intensity(data, above + 4);
+                const ml = intensity(data, idx - 4), mr = intensity(data, idx + 4);
+                const bl = intensity(data, below - 4), bc = intensity(data, below), br = intensity(data, below + 4);
+
+                const gradX = -tl + tr - 2 * ml + 2 * mr - bl + br;
+                const gradY = -tl - 2 * tc - tr + bl + 2 * bc + br;
+                const edge = Math.sqrt(gradX * gradX + gradY * gradY);
+
+                // Favor high color distance or strong edges
+                metric[pixelIndex] = colorDist + (Math.min(255, edge) / 255) * 80;
+            }
+
+            if (y % PROGRESS_ROW_INTERVAL === 0) report('edges', y / height);
+        }
+
+        // Mark as foreground if the combined metric is significant
+        for (let i = 0; i < pixelCount; i++) {
+            mask[i] = metric[i] > threshold ? 1 : 0;
+        }
+
+        // Dilate (expand) mask to fill holes, reading from the undilated mask
+        const source = mask.slice();
+        const halfThreshold = threshold / 2;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const idx = y * width + x;
+                if (source[idx] === 1 || !hasForegroundNeighbor(source, idx, width)) continue;
+
+                const dataIdx = idx * 4;
+                const r = data[dataIdx];
+                const g = data[dataIdx + 1];
+                const b = data[dataIdx + 2];
+
+                if (isGoldLike(r, g, b) ||
+                    Math.abs(r - avgBg.r) > halfThreshold ||
+                    Math.abs(g - avgBg.g) > halfThreshold ||
+                    Math.abs(b - avgBg.b) > halfThreshold) {
+                    mask[idx] = 1;
+                }
+            }
+
+            if (y % PROGRESS_ROW_INTERVAL === 0) report('dilate', y / height);
+        }
+    }
+
+    function intensity(data, idx) {
+        return (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+    }
+
+    function hasForegroundNeighbor(mask, idx, width) {
+        return mask[idx - width - 1] || mask[idx - width] || mask[idx - width + 1] ||
+               mask[idx - 1] || mask[idx + 1] ||
+               mask[idx + width - 1] || mask[idx + width] || mask[idx + width + 1];
+    }
+
+    // Fill internal holes in the mask: background is whatever the border can reach
+    function floodFillHoles(mask, width, height) {
+        const pixelCount = width * height;
+        const isBackground = new Uint8Array(pixelCount);
+
+        // Every pixel is enqueued at most once, so a flat array with head/tail indices suffices
+        const queue = new Int32Array(pixelCount);
+        let head = 0, tail = 0;
+
+        const seed = (idx) => {
+            if (isBackground[idx]) return;
+            isBackground[idx] = 1;
+            queue[tail++] = idx;
+        };
+
+        // Mark boundary pixels as background
+        for (let x = 0; x < width; x++) {
+            seed(x);
+            seed((height - 1) * width + x);
+        }
+        for (let y = 1; y < height - 1; y++) {
+            seed(y * width);
+            seed(y * width + width - 1);
+        }
+
+        const visit = (neighborIdx) => {
+            if (!isBackground[neighborIdx] && mask[neighborIdx] === 0) {
+                isBackground[neighborIdx] = 1;
+                queue[tail++] = neighborIdx;
+            }
+        };
+
+        // Conduct flood fill from the border through unmasked pixels
+        while (head < tail) {
+            const pixel = queue[head++];
+            const x = pixel % width;
+
+            if (x > 0) visit(pixel - 1);
+            if (x < width - 1) visit(pixel + 1);
+            if (pixel >= width) visit(pixel - width);
+            if (pixel < pixelCount - width) visit(pixel + width);
+        }
+
+        // All unreached pixels with mask=0 are internal holes, set them to 1
+        for (let i = 0; i < pixelCount; i++) {
+            if (mask[i] === 0 && !isBackground[i]) {
+                mask[i] = 1;
+            }
+        }
+    }
+
+    // Make background pixels transparent in place
+    function applyMask(data, mask) {
+        for (let i = 0; i < mask.length; i++) {
+            if (mask[i] === 0) {
+                data[i * 4 + 3] = 0;
+            }
+        }
+    }
+
+    return {
+        segmentWatch,
+        sampleBorder,
+        improvedWatchMask,
+        floodFillHoles,
+        applyMask
+    };
+});
@@ -0,0 +1,105 @@
+// Service worker
+// Precaches the app shell, vendor files and hand models so the app starts without a
+// network. Model requests to their CDN (handpose hard-codes tfhub.dev) are answered
+// from the local copies; vendor files and models are cache-first since they never
+// change for a given build, everything else is network-first so updates show up online.
+importScripts('offline-assets.js');
+
+const CACHE_NAME = 'watch-try-on-v1';
+const { APP_SHELL, VENDOR_FILES, BUILT_FILES, MODELS, localModelPath, weightFiles } = self.OfflineAssets;
+
+// Vendor files include the fonts their stylesheets reference; those are cached when
+// first used rather than listed here
+const VENDOR_PATHS = [...VENDOR_FILES.map(file => file.to), ...BUILT_FILES];
+
+// Catalog watches are listed in the manifest rather than in APP_SHELL
+async function cacheCatalogImages(cache) {
+    const response = await cache.match('watches/catalog.json');
+    const manifest = await response.json();
+    const entries = Array.isArray(manifest) ? manifest : manifest.watches || [];
+    await cache.addAll(entries.map(entry => entry.image));
+}
+
+async function cacheModel(cache, model) {
+    const paths = model.files.map(file => model.local + file);
+    await cache.addAll(paths);
+
+    const response = await cache.match(model.local + 'model.json');
+    if (response) {
+        const shards = weightFiles(await response.json()).map(file => model.local + file);
+        await cache.addAll(shards);
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+
+        // Missing vendor files or models (before `npm run build`) only warn, so the
+        // shell still installs
+        const results = await Promise.allSettled([
+            cacheCatalogImages(cache),
+            ...VENDOR_PATHS.map(path => cache.add(path)),
+            ...MODELS.map(model => cacheModel(cache, model))
+        ]);
+        results.filter(result => result.status === 'rejected')
+            .forEach(result => console.warn('Not cached for offline use:', result.reason));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const modelPath = localModelPath(request.url);
+    if (modelPath) {
+        const localUrl = new URL(modelPath, self.registration.scope);
+        event.respondWith(cacheFirst(new Request(localUrl)).catch(() => fetch(request)));
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+    const immutable = path.startsWith('vendor/') || path.startsWith('models/');
+    event.respondWith(immutable ? cacheFirst(request) : networkFirst(request));
+});
@@ -0,0 +1,81 @@
+// Real-world watch sizing
+// Converts a watch's case diameter / lug-to-lug length (mm) and the hand's knuckle
+// span (px) into an on-screen size, so a 36 mm and a 46 mm watch differ on the wrist.
+// The knuckle span is the distance between the index and pinky MCP landmarks.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.WatchSizing = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // ISO/IEC 7810 ID-1 (bank, ID and most loyalty cards)
+    const CARD_WIDTH_MM = 85.6;
+    const CARD_HEIGHT_MM = 53.98;
+
+    // Used until the wrist is calibrated; a typical adult knuckle span
+    const AVERAGE_KNUCKLE_SPAN_MM = 60;
+
+    // The wrist is modelled as an ellipse this much thinner than it is wide
+    const WRIST_DEPTH_RATIO = 0.7;
+
+    // Typical lug-to-lug length relative to case diameter, for watches that only list one
+    const LUG_TO_CASE_RATIO = 1.2;
+
+    // Wrist breadth from a tape measurement around the wrist (Ramanujan's ellipse
+    // perimeter). Adult knuckle span is close to wrist breadth, so it doubles as the span.
+    function knuckleSpanFromCircumference(circumferenceMm) {
+        const r = WRIST_DEPTH_RATIO;
+        const perimeterPerWidth = (Math.PI / 2) * (3 * (1 + r) - Math.sqrt((3 + r) * (1 + 3 * r)));
+        return circumferenceMm / perimeterPerWidth;
+    }
+
+    // Knuckle span from a card held at wrist depth, both measured in the same frame
+    function knuckleSpanFromCard(cardLengthPx, knuckleSpanPx, cardLengthMm = CARD_WIDTH_MM) {
+        return knuckleSpanPx * cardLengthMm / cardLengthPx;
+    }
+
+    // Size of the whole watch image in mm, or null if the watch has no usable dimensions.
+    // `regions` comes from WatchCustomization.segmentWatchRegions on a width x height image.
+    function measureWatch({ caseDiameterMm, lugToLugMm } = {}, regions, width, height) {
+        if (!regions?.caseRange) return null;
+
+        const { caseRange, horizontal, distinctCase } = regions;
+        const along = horizontal ? caseRange.width : caseRange.height;
+        const across = horizontal ? caseRange.height : caseRange.width;
+
+        let mmPerPixel = null;
+        if (distinctCase) {
+            // Strap attached: the thick middle section is the case itself
+            const diameter = caseDiameterMm > 0 ? caseDiameterMm : lugToLugMm / LUG_TO_CASE_RATIO;
+            if (diameter > 0) mmPerPixel = diameter / along;
+        } else if (lugToLugMm > 0) {
+            // Bare watch head: its long side runs lug to lug
+            mmPerPixel = lugToLugMm / along;
+        } else if (caseDiameterMm > 0) {
+            mmPerPixel = caseDiameterMm / across;
+        }
+
+        return mmPerPixel ? { width: width * mmPerPixel, height: height * mmPerPixel } : null;
+    }
+
+    // On-screen size for a watch measured by measureWatch
+    function watchSizeOnScreen(watchSizeMm, knuckleSpanPx, knuckleSpanMm = AVERAGE_KNUCKLE_SPAN_MM) {
+        const pixelsPerMm = knuckleSpanPx / knuckleSpanMm;
+        return {
+            width: watchSizeMm.width * pixelsPerMm,
+            height: watchSizeMm.height * pixelsPerMm
+        };
+    }
+
+    return {
+        CARD_WIDTH_MM,
+        CARD_HEIGHT_MM,
+        AVERAGE_KNUCKLE_SPAN_MM,
+        knuckleSpanFromCircumference,
+        knuckleSpanFromCard,
+        measureWatch,
+        watchSizeOnScreen
+    };
+});
@@ -0,0 +1,94 @@
+// Snapshot comparison sheet
+// Captions for snapshots from the watches they were taken with, the 2-4 snapshot
+// selection, and the grid layout used to export them side by side as one image.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.SnapshotSheet = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MIN_COMPARE = 2;
+    const MAX_COMPARE = 4;
+
+    const DEFAULT_LAYOUT = {
+        cellWidth: 480,
+        gap: 16,
+        padding: 24,
+        captionHeight: 44
+    };
+
+    // watches: [{ hand, name, scale }] -> "Classic Steel · 110%", with the wrist
+    // named when there is more than one
+    function snapshotCaption(watches) {
+        if (!watches.length) return 'No watch';
+        const describe = watch => `${watch.name} · ${Math.round(watch.scale * 100)}%`;
+        if (watches.length === 1) return describe(watches[0]);
+        return watches.map(watch => `${watch.hand === 'left' ? 'Left' : 'Right'}: ${describe(watch)}`).join(' / ');
+    }
+
+    // Adds or removes an id, keeping selection order; ids past the limit are ignored
+    function toggleSelection(selected, id, max = MAX_COMPARE) {
+        if (selected.includes(id)) return selected.filter(entry => entry !== id);
+        return selected.length < max ? [...selected, id] : selected;
+    }
+
+    function canCompare(selected) {
+        return selected.length >= MIN_COMPARE && selected.length <= MAX_COMPARE;
+    }
+
+    // Two or three snapshots sit in one row, four in a 2x2 grid
+    function gridShape(count) {
+        const columns = count <= 3 ? count : 2;
+        return { columns, rows: Math.ceil(count / columns) };
+    }
+
+    // images: [{ width, height }] -> { width, height, cells: [{ x, y, width, height,
+    // image: { x, y, width, height }, caption: { x, y, width } }] }. Cells share the
+    // tallest image's aspect ratio; each image is fitted and centered in its cell.
+    function layoutSheet(images, options = {}) {
+        const { cellWidth, gap, padding, captionHeight } = { ...DEFAULT_LAYOUT, ...options };
+        const { columns, rows } = gridShape(images.length);
+        const aspect = Math.max(...images.map(image => image.height / image.width));
+        const imageHeight = Math.round(cellWidth * aspect);
+        const cellHeight = imageHeight + captionHeight;
+
+        const cells = images.map((image, index) => {
+            const x = padding + (index % columns) * (cellWidth + gap);
+            const y = padding + Math.floor(index / columns) * (cellHeight + gap);
+            const fit = Math.min(cellWidth / image.width, imageHeight / image.height);
+            const width = Math.round(image.width * fit);
+            const height = Math.round(image.height * fit);
+            return {
+                x,
+                y,
+                width: cellWidth,
+                height: cellHeight,
+                image: {
+                    x: x + Math.round((cellWidth - width) / 2),
+                    y: y + Math.round((imageHeight - height) / 2),
+                    width,
+                    height
+                },
+                caption: { x: x + cellWidth / 2, y: y + imageHeight + captionHeight / 2, width: cellWidth }
+            };
+        });
+
+        return {
+            width: padding * 2 + columns * cellWidth + (columns - 1) * gap,
+            height: padding * 2 + rows * cellHeight + (rows - 1) * gap,
+            cells
+        };
+    }
+
+    return {
+        MIN_COMPARE,
+        MAX_COMPARE,
+        snapshotCaption,
+        toggleSelection,
+        canCompare,
+        gridShape,
+        layoutSheet
+    };
+});
@@ -0,0 +1,83 @@
+// Strap wrap-around
+// Treats the wrist as a cylinder under the watch: the case sits flat on top and each
+// strap segment bends around the cylinder, getting darker as it turns away and
+// disappearing past the silhouette. Works in watch-image pixels so it can be tested
+// in Node; drawWrappedWatch only needs a canvas context passed in.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.StrapWrap = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_STRIPS = 24; // Per strap segment
+    const SHADE_STRENGTH = 0.55; // Darkness at the silhouette
+    const SEAM_OVERLAP = 0.5;
+
+    // Vertical strips mapping source columns to their wrapped position.
+    // caseStart/caseEnd bound the case along the image x-axis; radius is the wrist
+    // cylinder radius, all in image pixels.
+    // Returns [{ sx, sw, dx, dw, shade }]; strap beyond the silhouette is left out.
+    function computeWrapStrips({ imageWidth, caseStart, caseEnd, radius, strips = DEFAULT_STRIPS }) {
+        const center = (caseStart + caseEnd) / 2;
+        const halfCase = (caseEnd - caseStart) / 2;
+        const result = [{ sx: caseStart, sw: caseEnd - caseStart, dx: caseStart, dw: caseEnd - caseStart, shade: 0 }];
+
+        // The strap leaves the case where the case edge meets the cylinder
+        const startAngle = Math.asin(Math.min(1, halfCase / radius));
+        const visibleLength = (Math.PI / 2 - startAngle) * radius;
+        if (visibleLength <= 0) return result;
+
+        const place = (distance) => {
+            const angle = startAngle + distance / radius;
+            return { offset: radius * Math.sin(angle), shade: SHADE_STRENGTH * (1 - Math.cos(angle)) };
+        };
+
+        for (const side of [-1, 1]) {
+            const edge = side < 0 ? caseStart : caseEnd;
+            const length = Math.min(visibleLength, side < 0 ? caseStart : imageWidth - caseEnd);
+            if (length <= 0) continue;
+
+            for (let i = 0; i < strips; i++) {
+                const near = length * i / strips;
+                const far = length * (i + 1) / strips;
+                const from = place(near), to = place(far);
+
+                const sourceA = edge + side * near, sourceB = edge + side * far;
+                const targetA = center + side * from.offset, targetB = center + side * to.offset;
+                result.push({
+                    sx: Math.min(sourceA, sourceB),
+                    sw: Math.abs(sourceB - sourceA),
+                    dx: Math.min(targetA, targetB),
+                    dw: Math.abs(targetB - targetA),
+                    shade: (from.shade + to.shade) / 2
+                });
+            }
+        }
+        return result;
+    }
+
+    // Draw `image` through the strips at the context's current transform (image pixels)
+    function drawWrappedWatch(context, image, imageHeight, strips) {
+        for (const { sx, sw, dx, dw } of strips) {
+            if (sw <= 0 || dw <= 0) continue;
+            context.drawImage(image, sx, 0, sw, imageHeight, dx, 0, dw + SEAM_OVERLAP, imageHeight);
+        }
+
+        // Darken only what was just drawn
+        context.save();
+        context.globalCompositeOperation = 'source-atop';
+        for (const { dx, dw, shade } of strips) {
+            if (shade <= 0 || dw <= 0) continue;
+            context.fillStyle = `rgba(0, 0, 0, ${shade.toFixed(3)})`;
+            context.fillRect(dx, 0, dw + SEAM_OVERLAP, imageHeight);
+        }
+        context.restore();
+    }
+
+    return {
+        computeWrapStrips,
+        drawWrappedWatch
+    };
+});
@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    STATES,
+    ACTIONS,
+    INITIAL_SNAPSHOT,
+    transition,
+    statusFor,
+    detectionControl,
+    createAppState
+} = require('../app-state.js');
+
+const run = (...actions) => actions.reduce(transition, INITIAL_SNAPSHOT);
+
+const ready = [
+    { type: ACTIONS.CHOOSE_HAND, hand: 'left' },
+    { type: ACTIONS.WATCH_LOADED },
+    { type: ACTIONS.SOURCE_READY, source: 'camera' },
+    { type: ACTIONS.MODEL_LOADING },
+    { type: ACTIONS.MODEL_LOADED }
+];
+
+describe('transition', () => {
+    it('walks from idle to detecting and back to paused', () => {
+        const states = [];
+        [...ready, { type: ACTIONS.START }, { type: ACTIONS.PAUSE }, { type: ACTIONS.START }]
+            .reduce((snapshot, action) => {
+                const next = transition(snapshot, action);
+                states.push(next.state);
+                return next;
+            }, INITIAL_SNAPSHOT);
+        assert.deepEqual(states, [
+            STATES.HAND_CHOSEN,
+            STATES.WATCH_READY,
+            STATES.CAMERA_READY,
+            STATES.CAMERA_READY,
+            STATES.MODEL_READY,
+            STATES.DETECTING,
+            STATES.PAUSED,
+            STATES.DETECTING
+        ]);
+    });
+
+    it('reaches the same state whatever order the facts arrive in', () => {
+        const snapshot = run(
+            { type: ACTIONS.MODEL_LOADED },
+            { type: ACTIONS.SOURCE_READY, source: 'file' },
+            { type: ACTIONS.WATCH_LOADED },
+            { type: ACTIONS.CHOOSE_HAND, hand: 'both' }
+        );
+        assert.equal(snapshot.state, STATES.MODEL_READY);
+        assert.equal(snapshot.source, 'file');
+    });
+
+    it('ignores start until detection can run, and unknown hands', () => {
+        const early = run({ type: ACTIONS.CHOOSE_HAND, hand: 'left' });
+        assert.equal(transition(early, { type: ACTIONS.START }), early);
+        assert.equal(transition(early, { type: ACTIONS.PAUSE }), early);
+        assert.equal(transition(early, { type: ACTIONS.CHOOSE_HAND, hand: 'middle' }), early);
+        assert.throws(() => transition(early, { type: 'jump' }), /Unknown action/);
+    });
+
+    it('resumes detecting once a lost source comes back', () => {
+        const detecting = run(...ready, { type: ACTIONS.START });
+        const lost = transition(detecting, { type: ACTIONS.SOURCE_LOST });
+        assert.equal(lost.state, STATES.WATCH_READY);
+        assert.equal(transition(lost, { type: ACTIONS.SOURCE_READY }).state, STATES.DETECTING);
+    });
+
+    it('stops detecting when the last watch is removed', () => {
+        const removed = run(...ready, { type: ACTIONS.START }, { type: ACTIONS.WATCH_REMOVED });
+        assert.equal(removed.state, STATES.HAND_CHOSEN);
+        assert.equal(transition(removed, { type: ACTIONS.WATCH_LOADED }).state, STATES.MODEL_READY);
+    });
+
+    it('clears an error once its cause recovers', () => {
+        const failed = run(...ready, { type: ACTIONS.FAIL, cause: 'source', status: 'Camera unavailable' });
+        assert.equal(failed.state, STATES.ERROR);
+        assert.equal(failed.sourceReady, false);
+        assert.equal(transition(failed, { type: ACTIONS.MODEL_LOADED }).state, STATES.ERROR);
+        assert.equal(transition(failed, { type: ACTIONS.SOURCE_READY }).state, STATES.MODEL_READY);
+
+        const modelFailed = run(...ready.slice(0, 4), { type: ACTIONS.FAIL, cause: 'model', status: 'Model loading failed' });
+        assert.equal(modelFailed.model, 'none');
+        assert.equal(transition(modelFailed, { type: ACTIONS.MODEL_LOADING }).state, STATES.CAMERA_READY);
+        assert.equal(transition(modelFailed, { type: ACTIONS.CLEAR_ERROR }).state, STATES.CAMERA_READY);
+    });
+
+    it('resets everything', () => {
+        const snapshot = run(...ready, { type: ACTIONS.START }, { type: ACTIONS.RESET });
+        assert.equal(snapshot, INITIAL_SNAPSHOT);
+        assert.equal(snapshot.state, STATES.IDLE);
+        assert.ok(Object.isFrozen(snapshot));
+    });
+});
+
+describe('statusFor and detectionControl', () => {
+    it('describes each step', () => {
+        assert.deepEqual(statusFor(INITIAL_SNAPSHOT), { message: 'Please select which hand to use first', type: 'warning' });
+        assert.match(statusFor(run(ready[0])).message, /^Left hand selected/);
+        assert.match(statusFor(run({ type: ACTIONS.CHOOSE_HAND, hand: 'auto' })).message, /whichever wrist/);
+        assert.equal(statusFor(run(...ready.slice(0, 2))).message, 'Waiting for the camera...');
+        assert.deepEqual(statusFor(run(...ready)), { message: 'Ready to detect left hand!', type: 'info' });
+        assert.equal(statusFor(run(...ready, { type: ACTIONS.START })).message, 'Detecting left hand...');
+        assert.equal(statusFor(run(...ready, { type: ACTIONS.CHOOSE_HAND, hand: 'auto' })).message, 'Ready to detect either hand!');
+        assert.deepEqual(statusFor(run({ type: ACTIONS.FAIL, cause: 'source', status: 'Camera access denied' })),
+            { message: 'Camera access denied', type: 'error' });
+    });
+
+    it('enables the button only when detection can start or stop', () => {
+        assert.deepEqual(detectionControl(run(...ready.slice(0, 3))), { enabled: false, action: 'start' });
+        assert.deepEqual(detectionControl(run(...ready)), { enabled: true, action: 'start' });
+        assert.deepEqual(detectionControl(run(...ready, { type: ACTIONS.START })), { enabled: true, action: 'stop' });
+        assert.deepEqual(detectionControl(run(...ready, { type: ACTIONS.START }, { type: ACTIONS.PAUSE })), { enabled: true, action: 'start' });
+    });
+});
+
+describe('createAppState', () => {
+    it('notifies subscribers of changes until they unsubscribe', () => {
+        const appState = createAppState();
+        const calls = [];
+        const unsubscribe = appState.subscribe((snapshot, previous) => calls.push([previous.state, snapshot.state]));
+
+        appState.dispatch({ type: ACTIONS.CHOOSE_HAND, hand: 'right' });
+        appState.dispatch({ type: ACTIONS.START }); // Not ready yet, so nothing changes
+        unsubscribe();
+        appState.dispatch({ type: ACTIONS.RESET });
+
+        assert.deepEqual(calls, [[STATES.IDLE, STATES.HAND_CHOSEN]]);
+        assert.equal(appState.snapshot.state, STATES.IDLE);
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    FACING,
+    guessFacing,
+    listCameras,
+    cameraConstraints,
+    activeFacing,
+    isMirrored,
+    oppositeFacing,
+    findCamera
+} = require('../camera-devices.js');
+
+const devices = [
+    { kind: 'audioinput', deviceId: 'mic', label: 'Built-in Microphone' },
+    { kind: 'videoinput', deviceId: 'front', label: 'Front Camera' },
+    { kind: 'videoinput', deviceId: 'back', label: 'Back Triple Camera' },
+    { kind: 'videoinput', deviceId: 'usb', label: '' }
+];
+
+describe('listCameras', () => {
+    it('keeps video inputs and names unlabeled ones', () => {
+        assert.deepEqual(listCameras(devices), [
+            { deviceId: 'front', label: 'Front Camera', facing: FACING.FRONT },
+            { deviceId: 'back', label: 'Back Triple Camera', facing: FACING.REAR },
+            { deviceId: 'usb', label: 'Camera 3', facing: null }
+        ]);
+    });
+
+    it('reads the facing direction from common labels', () => {
+        assert.equal(guessFacing('camera2 0, facing back'), FACING.REAR);
+        assert.equal(guessFacing('FaceTime HD Camera'), FACING.FRONT);
+        assert.equal(guessFacing('Logitech BRIO'), null);
+        assert.equal(guessFacing(), null);
+    });
+
+    it('finds a camera facing a given way', () => {
+        const cameras = listCameras(devices);
+        assert.equal(findCamera(cameras, FACING.REAR).deviceId, 'back');
+        assert.equal(findCamera(cameras.slice(2), FACING.REAR), null);
+    });
+});
+
+describe('cameraConstraints', () => {
+    it('asks for a chosen device exactly', () => {
+        const { audio, video } = cameraConstraints({ deviceId: 'usb', facing: FACING.REAR });
+        assert.equal(audio, false);
+        assert.deepEqual(video.deviceId, { exact: 'usb' });
+        assert.equal(video.facingMode, undefined);
+        assert.deepEqual(video.width, { ideal: 1280 });
+    });
+
+    it('falls back to a facing direction, front by default', () => {
+        assert.equal(cameraConstraints({ facing: FACING.REAR }).video.facingMode, FACING.REAR);
+        assert.equal(cameraConstraints().video.facingMode, FACING.FRONT);
+        assert.deepEqual(cameraConstraints({}, { width: { ideal: 640 } }).video, { facingMode: FACING.FRONT, width: { ideal: 640 } });
+    });
+});
+
+describe('activeFacing', () => {
+    it('prefers the track settings, then the label', () => {
+        assert.equal(activeFacing({ facingMode: 'environment' }, 'Front Camera'), FACING.REAR);
+        assert.equal(activeFacing({}, 'Back Camera'), FACING.REAR);
+        assert.equal(activeFacing({ facingMode: 'left' }, 'USB Webcam'), FACING.FRONT);
+    });
+
+    it('mirrors only front cameras', () => {
+        assert.equal(isMirrored(FACING.FRONT), true);
+        assert.equal(isMirrored(FACING.REAR), false);
+        assert.equal(oppositeFacing(FACING.FRONT), FACING.REAR);
+        assert.equal(oppositeFacing(FACING.REAR), FACING.FRONT);
+    });
+});
@@ -0,0 +1,201 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { STATES, constraintLadder, openCamera, createCameraManager } = require('../camera-manager.js');
+
+class FakeTrack extends EventTarget {
+    constructor() {
+        super();
+        this.stopped = false;
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    // The browser ends a track when its device goes away
+    end() {
+        this.stopped = true;
+        this.dispatchEvent(new Event('ended'));
+    }
+}
+
+function fakeStream() {
+    const track = new FakeTrack();
+    return { track, getTracks: () => [track], getVideoTracks: () => [track] };
+}
+
+const mediaError = name => Object.assign(new Error(name), { name });
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Reconnect attempts run on timers; wait for them to settle
+async function until(condition, attempts = 100) {
+    for (let i = 0; i < attempts && !condition(); i++) {
+        await tick(1);
+    }
+}
+
+// getUserMedia that fails with the queued error names (null succeeds) and records its calls
+function fakeGetUserMedia(outcomes = []) {
+    const calls = [];
+    const getUserMedia = async (constraints) => {
+        calls.push(constraints);
+        const failure = outcomes.shift();
+        if (failure) throw mediaError(failure);
+        return fakeStream();
+    };
+    return { getUserMedia, calls };
+}
+
+describe('constraintLadder', () => {
+    it('steps down from HD to VGA to any camera', () => {
+        const ladder = constraintLadder({ facing: 'environment' });
+        assert.equal(ladder.length, 3);
+        assert.deepEqual(ladder[0].video, {
+            facingMode: 'environment',
+            width: { min: 1280, ideal: 1280 },
+            height: { min: 720, ideal: 720 },
+            frameRate: { ideal: 30 }
+        });
+        assert.deepEqual(ladder[1].video, { facingMode: 'environment', width: { min: 640, ideal: 640 }, height: { min: 480, ideal: 480 } });
+        assert.deepEqual(ladder[2], { audio: false, video: true });
+    });
+
+    it('tries the facing direction before any camera when a device was chosen', () => {
+        const ladder = constraintLadder({ deviceId: 'usb', facing: 'user' });
+        assert.deepEqual(ladder.map(step => step.video.deviceId?.exact ?? step.video.facingMode ?? step.video), ['usb', 'usb', 'user', true]);
+    });
+});
+
+describe('openCamera', () => {
+    it('returns the first step that works', async () => {
+        const { getUserMedia, calls } = fakeGetUserMedia(['OverconstrainedError', 'NotReadableError']);
+        const { step } = await openCamera(getUserMedia, constraintLadder());
+        assert.equal(step, 2);
+        assert.equal(calls.length, 3);
+    });
+
+    it('falls back to VGA on a camera that cannot reach HD', async () => {
+        // Rejects minimums above a 640x480 camera the way browsers do
+        const getUserMedia = async ({ video }) => {
+            if (video.width?.min > 640 || video.height?.min > 480) throw mediaError('OverconstrainedError');
+            return fakeStream();
+        };
+        const { step } = await openCamera(getUserMedia, constraintLadder());
+        assert.equal(step, 1);
+    });
+
+    it('stops at a refused permission', async () => {
+        const { getUserMedia, calls } = fakeGetUserMedia(['NotAllowedError']);
+        await assert.rejects(openCamera(getUserMedia, constraintLadder()), { name: 'NotAllowedError' });
+        assert.equal(calls.length, 1);
+    });
+
+    it('throws the last error when every step fails', async () => {
+        const { getUserMedia } = fakeGetUserMedia(['OverconstrainedError', 'OverconstrainedError', 'NotFoundError']);
+        await assert.rejects(openCamera(getUserMedia, constraintLadder()), { name: 'NotFoundError' });
+    });
+});
+
+describe('createCameraManager', () => {
+    it('starts once and stops the tracks', async () => {
+        const { getUserMedia, calls } = fakeGetUserMedia();
+        const streams = [];
+        const manager = createCameraManager({ getUserMedia, onStream: stream => streams.push(stream) });
+
+        const stream = await manager.start();
+        assert.equal(manager.state, STATES.RUNNING);
+        assert.equal(await manager.start(), stream);
+        assert.equal(calls.length, 1);
+        assert.deepEqual(streams, [stream]);
+
+        manager.stop();
+        assert.equal(manager.state, STATES.STOPPED);
+        assert.equal(manager.stream, null);
+        assert.equal(stream.track.stopped, true);
+    });
+
+    it('drops a stream that arrives after stop', async () => {
+        const { getUserMedia } = fakeGetUserMedia();
+        let onStreamCalls = 0;
+        const manager = createCameraManager({ getUserMedia, onStream: () => onStreamCalls++ });
+
+        const pending = manager.start();
+        manager.stop();
+        assert.equal(await pending, null);
+        assert.equal(onStreamCalls, 0);
+        assert.equal(manager.state, STATES.STOPPED);
+    });
+
+    it('reports errors from the first start without retrying', async () => {
+        const { getUserMedia, calls } = fakeGetUserMedia(['NotAllowedError']);
+        const errors = [];
+        const manager = createCameraManager({ getUserMedia, onError: error => errors.push(error.name) });
+
+        assert.equal(await manager.start(), null);
+        assert.deepEqual(errors, ['NotAllowedError']);
+        assert.equal(calls.length, 1);
+        assert.equal(manager.state, STATES.STOPPED);
+    });
+
+    it('reconnects when the track ends', async () => {
+        // The first reconnect finds no camera at any step, the second works
+        const { getUserMedia, calls } = fakeGetUserMedia([null, 'NotFoundError', 'NotFoundError', 'NotFoundError']);
+        const events = [];
+        const manager = createCameraManager({
+            getUserMedia,
+            onStream: () => events.push('stream'),
+            onReconnecting: () => events.push('reconnecting'),
+            reconnectDelays: [0, 0, 0]
+        });
+
+        const first = await manager.start();
+        first.track.end();
+        assert.equal(manager.state, STATES.RECONNECTING);
+
+        await until(() => manager.state === STATES.RUNNING);
+        assert.deepEqual(events, ['stream', 'reconnecting', 'stream']);
+        assert.equal(manager.state, STATES.RUNNING);
+        assert.notEqual(manager.stream, first);
+        assert.equal(calls.length, 5);
+    });
+
+    it('gives up after the last reconnect attempt', async () => {
+        const { getUserMedia } = fakeGetUserMedia([null, ...new Array(6).fill('NotFoundError')]);
+        const errors = [];
+        const manager = createCameraManager({ getUserMedia, onError: error => errors.push(error.name), reconnectDelays: [0, 0] });
+
+        (await manager.start()).track.end();
+        await until(() => manager.state === STATES.STOPPED);
+        assert.deepEqual(errors, ['NotFoundError']);
+        assert.equal(manager.state, STATES.STOPPED);
+    });
+
+    it('ignores tracks it stopped itself', async () => {
+        const { getUserMedia } = fakeGetUserMedia();
+        let reconnects = 0;
+        const manager = createCameraManager({ getUserMedia, onReconnecting: () => reconnects++ });
+
+        const stream = await manager.start();
+        manager.stop();
+        stream.track.dispatchEvent(new Event('ended'));
+        assert.equal(reconnects, 0);
+    });
+
+    it('releases the camera while suspended and restarts on resume', async () => {
+        const { getUserMedia, calls } = fakeGetUserMedia();
+        const manager = createCameraManager({ getUserMedia });
+
+        assert.equal(manager.suspend(), false);
+        const stream = await manager.start();
+        assert.equal(manager.suspend(), true);
+        assert.equal(manager.state, STATES.SUSPENDED);
+        assert.equal(stream.track.stopped, true);
+
+        assert.equal(manager.resume(), true);
+        await tick();
+        assert.equal(manager.state, STATES.RUNNING);
+        assert.equal(calls.length, 2);
+        assert.equal(manager.resume(), false);
+    });
+});
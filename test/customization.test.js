@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    REGION,
+    rgbToHsl,
+    hslToRgb,
+    segmentWatchRegions,
+    recolorStrap,
+    tintDial
+} = require('../customization.js');
+
+// 200x80 cut-out: a 20px strap across the image and a round case of radius 30 in the middle
+function watchImage({ width = 200, height = 80, transpose = false } = {}) {
+    const w = transpose ? height : width;
+    const h = transpose ? width : height;
+    const data = new Uint8ClampedArray(w * h * 4);
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const along = transpose ? y : x;
+            const cross = transpose ? x : y;
+            const inStrap = Math.abs(cross + 0.5 - height / 2) <= 10;
+            const inCase = Math.hypot(along + 0.5 - width / 2, cross + 0.5 - height / 2) <= 30;
+            if (inStrap || inCase) {
+                data.set([120, 90, 60, 255], (y * w + x) * 4);
+            }
+        }
+    }
+    return { data, width: w, height: h };
+}
+
+const labelAt = (regions, width, x, y) => regions.labels[y * width + x];
+
+describe('segmentWatchRegions', () => {
+    it('separates strap, case and dial for a horizontal watch', () => {
+        const { data, width, height } = watchImage();
+        const regions = segmentWatchRegions(data, width, height);
+
+        assert.equal(regions.horizontal, true);
+        assert.equal(labelAt(regions, width, 0, 0), REGION.BACKGROUND);
+        assert.equal(labelAt(regions, width, 10, 40), REGION.STRAP);
+        assert.equal(labelAt(regions, width, 190, 40), REGION.STRAP);
+        assert.equal(labelAt(regions, width, 100, 40), REGION.DIAL);
+        assert.equal(labelAt(regions, width, 100, 12), REGION.CASE);
+
+        // The case is the thick middle section, roughly the 60px circle
+        assert.ok(Math.abs(regions.caseRange.width - 60) <= 6, `case width ${regions.caseRange.width}`);
+        assert.ok(Math.abs(regions.dial.x - 100) <= 1);
+        assert.ok(Math.abs(regions.dial.y - 40) <= 1);
+    });
+
+    it('follows the strap when the watch is vertical', () => {
+        const { data, width, height } = watchImage({ transpose: true });
+        const regions = segmentWatchRegions(data, width, height);
+
+        assert.equal(regions.horizontal, false);
+        assert.equal(labelAt(regions, width, 40, 5), REGION.STRAP);
+        assert.equal(labelAt(regions, width, 40, 100), REGION.DIAL);
+        assert.ok(Math.abs(regions.caseRange.height - 60) <= 6);
+    });
+
+    it('treats a watch without a distinct strap as all case and dial', () => {
+        const size = 50;
+        const data = new Uint8ClampedArray(size * size * 4);
+        for (let i = 0; i < size * size; i++) data[i * 4 + 3] = 255;
+
+        const regions = segmentWatchRegions(data, size, size);
+        assert.ok(!regions.labels.includes(REGION.STRAP));
+        assert.equal(labelAt(regions, size, 25, 25), REGION.DIAL);
+    });
+
+    it('handles fully transparent images', () => {
+        const regions = segmentWatchRegions(new Uint8ClampedArray(16), 2, 2);
+        assert.equal(regions.caseRange, null);
+    });
+});
+
+describe('recolorStrap and tintDial', () => {
+    it('only touch their own region', () => {
+        const { data, width, height } = watchImage();
+        const regions = segmentWatchRegions(data, width, height);
+        const original = data.slice();
+
+        recolorStrap(data, regions.labels, { material: 'rubber' });
+        const strapPixel = (40 * width + 10) * 4;
+        const dialPixel = (40 * width + 100) * 4;
+
+        assert.notDeepEqual([...data.subarray(strapPixel, strapPixel + 3)], [...original.subarray(strapPixel, strapPixel + 3)]);
+        assert.deepEqual([...data.subarray(dialPixel, dialPixel + 4)], [...original.subarray(dialPixel, dialPixel + 4)]);
+
+        const afterStrap = data.slice();
+        tintDial(data, regions.labels, { mode: 'tint', color: '#1d4ed8', strength: 100 });
+        assert.deepEqual([...data.subarray(strapPixel, strapPixel + 4)], [...afterStrap.subarray(strapPixel, strapPixel + 4)]);
+
+        const [hue] = rgbToHsl(data[dialPixel], data[dialPixel + 1], data[dialPixel + 2]);
+        assert.ok(Math.abs(hue - rgbToHsl(0x1d, 0x4e, 0xd8)[0]) < 2);
+    });
+
+    it('leaves pixels untouched for the original material and dial', () => {
+        const { data, width, height } = watchImage();
+        const regions = segmentWatchRegions(data, width, height);
+        const original = data.slice();
+
+        recolorStrap(data, regions.labels, { material: 'original' });
+        tintDial(data, regions.labels, { mode: 'original' });
+        assert.deepEqual(data, original);
+    });
+
+    it('uses the hue and saturation overrides', () => {
+        const { data, width, height } = watchImage();
+        const regions = segmentWatchRegions(data, width, height);
+
+        recolorStrap(data, regions.labels, { material: 'leather', hue: 120, saturation: 80 });
+        const strapPixel = (40 * width + 10) * 4;
+        const [hue, saturation] = rgbToHsl(data[strapPixel], data[strapPixel + 1], data[strapPixel + 2]);
+
+        assert.ok(Math.abs(hue - 120) < 3);
+        assert.ok(Math.abs(saturation - 0.8) < 0.05);
+    });
+});
+
+describe('color conversion', () => {
+    it('round-trips RGB through HSL', () => {
+        for (const rgb of [[0, 0, 0], [255, 255, 255], [200, 30, 90], [12, 200, 180]]) {
+            assert.deepEqual(hslToRgb(...rgbToHsl(...rgb)), rgb);
+        }
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    determineHandType,
+    determinePalmDirection,
+    computeWristPlacement,
+    shouldFlipWatch,
+    handBounds,
+    resolveHandType,
+    assignHands,
+    normalizeAngle
+} = require('../geometry.js');
+// handpose landmarks ([x, y, z] for all 21 points) in the mirrored front-camera
+// frame: wrist at (320, 400), fingers pointing up the image. The palm-down hands
+// have their finger bases closer to the camera than the wrist.
+const hands = require('./fixtures/hands.json');
+
+const mirrorLandmarks = (landmarks, width = 640) =>
+    landmarks.map(([x, y, z]) => [width - x, y, z]);
+
+const shiftLandmarks = (landmarks, dx) =>
+    landmarks.map(([x, y, z]) => [x + dx, y, z]);
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+describe('determineHandType', () => {
+    it('classifies mirrored front-camera landmarks', () => {
+        assert.equal(determineHandType(hands.rightPalmUp), 'right');
+        assert.equal(determineHandType(hands.rightPalmDown), 'right');
+        assert.equal(determineHandType(hands.leftPalmUp), 'left');
+        assert.equal(determineHandType(hands.leftPalmDown), 'left');
+    });
+
+    it('inverts the rule for un-mirrored sources such as photos', () => {
+        const photoOfRightHand = mirrorLandmarks(hands.rightPalmUp);
+        assert.equal(determineHandType(photoOfRightHand, false), 'right');
+        assert.equal(determineHandType(photoOfRightHand, true), 'left');
+    });
+});
+
+describe('determinePalmDirection', () => {
+    it('returns up or down for every fixture', () => {
+        assert.equal(determinePalmDirection(hands.rightPalmUp), 'up');
+        assert.equal(determinePalmDirection(hands.rightPalmDown), 'down');
+        assert.equal(determinePalmDirection(hands.leftPalmUp), 'up');
+        assert.equal(determinePalmDirection(hands.leftPalmDown), 'down');
+    });
+
+    it('lets a clear depth difference override the palm normal', () => {
+        // Left palm down has its thumb on the side that the normal reads as "up"
+        const flatLeft = hands.leftPalmDown.map(([x, y]) => [x, y, 0]);
+        assert.equal(determinePalmDirection(flatLeft), 'up');
+        assert.equal(determinePalmDirection(hands.leftPalmDown), 'down');
+    });
+});
+
+describe('shouldFlipWatch', () => {
+    it('flips for the orientations determinePalmDirection actually returns', () => {
+        const flips = Object.fromEntries(Object.entries(hands).map(([name, landmarks]) => [
+            name,
+            shouldFlipWatch(determineHandType(landmarks), determinePalmDirection(landmarks))
+        ]));
+
+        assert.deepEqual(flips, {
+            rightPalmUp: true,
+            rightPalmDown: false,
+            leftPalmUp: false,
+            leftPalmDown: true
+        });
+    });
+
+    it('ignores orientation labels that are not up or down', () => {
+        assert.equal(shouldFlipWatch('left', 'palm-down'), false);
+        assert.equal(shouldFlipWatch('right', 'palm-up'), false);
+    });
+});
+
+describe('computeWristPlacement', () => {
+    it('sizes the watch region from the index-to-pinky knuckle span', () => {
+        const placement = computeWristPlacement(hands.rightPalmUp, 'up');
+
+        // |360 - 285| * 1.2 = 90px wrist width
+        assertClose(placement.width, 81);
+        assertClose(placement.height, 63);
+        assertClose(placement.span, 75);
+    });
+
+    it('points along the wrist-to-middle-finger direction', () => {
+        const placement = computeWristPlacement(hands.rightPalmUp, 'up');
+        const expectedAngle = Math.atan2(300 - 400, 335 - 320);
+
+        assertClose(placement.angle, expectedAngle);
+        assertClose(placement.rotation, expectedAngle - Math.PI / 2);
+    });
+
+    it('offsets the watch to opposite sides for palm up and palm down', () => {
+        const up = computeWristPlacement(hands.rightPalmUp, 'up');
+        const down = computeWristPlacement(hands.rightPalmUp, 'down');
+        const offset = p => Math.hypot(p.x - 320, p.y - 400);
+
+        assertClose(offset(up), 90 * 0.15);
+        assertClose(offset(down), 90 * 0.1);
+
+        // Perpendicular to a roughly vertical forearm: up shifts right, down shifts left
+        assert.ok(up.x > 320);
+        assert.ok(down.x < 320);
+    });
+});
+
+describe('handBounds', () => {
+    it('boxes the landmarks and pads each side', () => {
+        const landmarks = [[10, 20, 0], [50, 100, 0], [30, 60, 0]];
+        assert.deepEqual(handBounds(landmarks), { x: 10, y: 20, width: 40, height: 80 });
+        assert.deepEqual(handBounds(landmarks, 0.25), { x: 0, y: 0, width: 60, height: 120 });
+    });
+});
+
+describe('resolveHandType', () => {
+    it('prefers the handedness reported by the detector', () => {
+        assert.equal(resolveHandType({ landmarks: hands.rightPalmUp, handedness: 'left' }), 'left');
+        assert.equal(resolveHandType({ landmarks: hands.rightPalmUp, handedness: null }), 'right');
+        assert.equal(resolveHandType({ landmarks: mirrorLandmarks(hands.rightPalmUp) }, false), 'right');
+    });
+});
+
+describe('assignHands', () => {
+    it('assigns hands by their detected type', () => {
+        const left = { landmarks: shiftLandmarks(hands.leftPalmUp, -150) };
+        const right = { landmarks: shiftLandmarks(hands.rightPalmDown, 150) };
+        assert.deepEqual(assignHands([right, left]), { left, right });
+    });
+
+    it('uses reported handedness over the landmark guess', () => {
+        const first = { landmarks: shiftLandmarks(hands.rightPalmUp, -150), handedness: 'right' };
+        const second = { landmarks: shiftLandmarks(hands.rightPalmDown, 150), handedness: 'left' };
+        assert.deepEqual(assignHands([first, second]), { right: first, left: second });
+    });
+
+    it('leaves a wrist empty when only one hand is found', () => {
+        const right = { landmarks: hands.rightPalmUp };
+        assert.deepEqual(assignHands([right]), { right });
+        assert.deepEqual(assignHands([]), {});
+    });
+
+    it('falls back to screen position when both hands read as the same type', () => {
+        const onLeft = { landmarks: shiftLandmarks(hands.rightPalmUp, -150) };
+        const onRight = { landmarks: shiftLandmarks(hands.rightPalmUp, 150) };
+
+        assert.deepEqual(assignHands([onRight, onLeft]), { left: onLeft, right: onRight });
+        // Un-mirrored photos show the left hand on the right of the image
+        const photo = [onLeft, onRight].map(hand => ({ landmarks: mirrorLandmarks(hand.landmarks) }));
+        const assigned = assignHands(photo, false);
+        assert.equal(assigned.left, photo[0]);
+        assert.equal(assigned.right, photo[1]);
+    });
+});
+
+describe('normalizeAngle', () => {
+    it('wraps angles into [-π, π]', () => {
+        assertClose(normalizeAngle(3 * Math.PI / 2), -Math.PI / 2);
+        assertClose(normalizeAngle(-5 * Math.PI / 2), -Math.PI / 2);
+        assertClose(normalizeAngle(0.25), 0.25);
+    });
+});
@@ -0,0 +1,208 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { quantize, lzwEncode, createGifEncoder } = require('../gif-encoder.js');
+
+// Reference GIF LZW decoder
+function lzwDecode(data, minCodeSize, pixelCount) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let table = [];
+    let previous = null;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let offset = 0;
+
+    const reset = () => {
+        table = [];
+        for (let i = 0; i < clearCode; i++) table[i] = [i];
+        table[clearCode] = [];
+        table[endCode] = [];
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    while (output.length < pixelCount || offset < data.length) {
+        while (bitCount < codeSize && offset < data.length) {
+            bitBuffer |= data[offset++] << bitCount;
+            bitCount += 8;
+        }
+        if (bitCount < codeSize) break;
+        const code = bitBuffer & ((1 << codeSize) - 1);
+        bitBuffer >>>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === endCode) break;
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+            if (previous) table.push([...previous, entry[0]]);
+        } else {
+            entry = [...previous, previous[0]];
+            table.push(entry);
+        }
+        output.push(...entry);
+        previous = entry;
+        if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    return output;
+}
+
+// Splits a GIF into its extensions and frames
+function parseGif(bytes) {
+    const text = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+    const word = offset => bytes[offset] | (bytes[offset + 1] << 8);
+    const readSubBlocks = (offset) => {
+        const chunks = [];
+        while (bytes[offset]) {
+            chunks.push(...bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+            offset += bytes[offset] + 1;
+        }
+        return { data: Uint8Array.from(chunks), end: offset + 1 };
+    };
+
+    const gif = { signature: text(0, 6), width: word(6), height: word(8), loop: null, frames: [] };
+    let offset = 13;
+    let delay = null;
+
+    while (bytes[offset] !== 0x3b) {
+        if (bytes[offset] === 0x21) {
+            const label = bytes[offset + 1];
+            const { data, end } = readSubBlocks(offset + 2);
+            if (label === 0xff && text(offset + 3, 11) === 'NETSCAPE2.0') {
+                gif.loop = bytes[offset + 16] | (bytes[offset + 17] << 8);
+            } else if (label === 0xf9) {
+                delay = (data[1] | (data[2] << 8)) * 10;
+            }
+            offset = end;
+        } else if (bytes[offset] === 0x2c) {
+            const width = word(offset + 5);
+            const height = word(offset + 7);
+            const packed = bytes[offset + 9];
+            const tableLength = 3 * (2 << (packed & 7));
+            const palette = bytes.subarray(offset + 10, offset + 10 + tableLength);
+            offset += 10 + tableLength;
+            const minCodeSize = bytes[offset];
+            const { data, end } = readSubBlocks(offset + 1);
+            const indices = lzwDecode(data, minCodeSize, width * height);
+            gif.frames.push({ width, height, delay, palette, indices });
+            offset = end;
+        } else {
+            throw new Error(`Unexpected block 0x${bytes[offset].toString(16)} at ${offset}`);
+        }
+    }
+    return gif;
+}
+
+const solidFrame = (width, height, [r, g, b]) => {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < rgba.length; i += 4) {
+        rgba.set([r, g, b, 255], i);
+    }
+    return rgba;
+};
+
+describe('lzwEncode', () => {
+    it('round-trips short and repetitive input', () => {
+        for (const input of [[], [7], [1, 2, 1, 2, 1, 2, 1, 2], new Array(1000).fill(42)]) {
+            const indices = Uint8Array.from(input);
+            assert.deepEqual(lzwDecode(lzwEncode(indices), 8, indices.length), [...indices]);
+        }
+    });
+
+    it('round-trips input long enough to fill the code table', () => {
+        let seed = 1;
+        const indices = new Uint8Array(20000).map(() => {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            return (seed >> 16) & 0xff;
+        });
+        assert.deepEqual(lzwDecode(lzwEncode(indices), 8, indices.length), [...indices]);
+    });
+});
+
+describe('quantize', () => {
+    it('keeps exact colors when there are few of them', () => {
+        const rgba = Uint8ClampedArray.from([
+            255, 0, 0, 255,
+            0, 0, 255, 255,
+            255, 0, 0, 255,
+            16, 200, 80, 255
+        ]);
+        const { palette, indices } = quantize(rgba);
+        const colors = [...indices].map(index => [...palette.subarray(index * 3, index * 3 + 3)]);
+        assert.deepEqual(colors, [[255, 0, 0], [0, 0, 255], [255, 0, 0], [16, 200, 80]]);
+        assert.equal(palette.length, 9);
+    });
+
+    it('limits the palette to 256 colors and maps the rest to near colors', () => {
+        const rgba = new Uint8ClampedArray(64 * 64 * 4);
+        for (let i = 0; i < 64 * 64; i++) {
+            rgba.set([(i % 64) * 4, Math.floor(i / 64) * 4, 128, 255], i * 4);
+        }
+        const { palette, indices } = quantize(rgba);
+        assert.equal(palette.length, 256 * 3);
+
+        for (let i = 0; i < indices.length; i++) {
+            const index = indices[i];
+            const distance = Math.abs(palette[index * 3] - rgba[i * 4]) + Math.abs(palette[index * 3 + 1] - rgba[i * 4 + 1]);
+            assert.ok(distance <= 24, `pixel ${i} is ${distance} away from its palette color`);
+        }
+    });
+});
+
+describe('createGifEncoder', () => {
+    it('writes a looping GIF89a with one image per frame', () => {
+        const encoder = createGifEncoder({ width: 4, height: 3 });
+        encoder.addFrame(solidFrame(4, 3, [255, 0, 0]), 100);
+        encoder.addFrame(solidFrame(4, 3, [0, 128, 255]), 250);
+        assert.equal(encoder.frameCount, 2);
+
+        const bytes = encoder.finish();
+        const gif = parseGif(bytes);
+        assert.equal(gif.signature, 'GIF89a');
+        assert.equal(gif.width, 4);
+        assert.equal(gif.height, 3);
+        assert.equal(gif.loop, 0);
+        assert.equal(bytes[bytes.length - 1], 0x3b);
+
+        assert.deepEqual(gif.frames.map(frame => frame.delay), [100, 250]);
+        assert.deepEqual(gif.frames.map(frame => frame.indices.length), [12, 12]);
+        assert.deepEqual([...gif.frames[1].palette.subarray(0, 3)], [0, 128, 255]);
+    });
+
+    it('decodes back to the original pixels', () => {
+        const width = 40;
+        const height = 30;
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const color = (x < 20) === (y < 15) ? [250, 250, 240] : [20, 30, 40];
+                rgba.set([...color, 255], (y * width + x) * 4);
+            }
+        }
+
+        const encoder = createGifEncoder({ width, height });
+        encoder.addFrame(rgba);
+        const [frame] = parseGif(encoder.finish()).frames;
+
+        frame.indices.forEach((index, i) => {
+            assert.deepEqual([...frame.palette.subarray(index * 3, index * 3 + 3)], [...rgba.subarray(i * 4, i * 4 + 3)]);
+        });
+    });
+
+    it('plays once without a loop extension and rejects bad frames', () => {
+        const encoder = createGifEncoder({ width: 2, height: 2, loop: null });
+        assert.throws(() => encoder.addFrame(new Uint8ClampedArray(4)), /2x2/);
+        encoder.addFrame(solidFrame(2, 2, [1, 2, 3]));
+        assert.equal(parseGif(encoder.finish()).loop, null);
+        assert.throws(() => encoder.addFrame(solidFrame(2, 2, [1, 2, 3])), /finished/);
+    });
+});
@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    BACKENDS,
+    normalizeHandedness,
+    toLandmarks,
+    createHandDetector,
+    loadHandDetector
+} = require('../hand-detectors.js');
+const hands = require('./fixtures/hands.json');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+// hand-pose-detection output for a fixture hand: pixel keypoints, and the same
+// hand in meters (1 m = 1000 px) for keypoints3D
+const mediaPipeHand = (landmarks, handedness = 'Right') => ({
+    handedness,
+    score: 0.9,
+    keypoints: landmarks.map(([x, y]) => ({ x, y })),
+    keypoints3D: landmarks.map(([x, y, z]) => ({ x: (x - 320) / 1000, y: (y - 400) / 1000, z: z / 1000 }))
+});
+
+// A model or tensor that records its disposal under `name`
+const resource = (name, disposed) => ({ dispose: () => disposed.push(name) });
+
+const fakeHandpose = (predictions = [], calls = [], disposed = []) => ({
+    load: async config => ({
+        estimateHands: async (input, flipHorizontal) => {
+            calls.push({ config, flipHorizontal });
+            return predictions;
+        },
+        pipeline: {
+            boundingBoxDetector: {
+                model: resource('palm', disposed),
+                anchorsTensor: resource('anchors', disposed),
+                inputSizeTensor: resource('inputSize', disposed),
+                doubleInputSizeTensor: resource('doubleInputSize', disposed)
+            },
+            meshDetector: resource('mesh', disposed)
+        }
+    })
+});
+
+const fakeHandPoseDetection = (hands = [], calls = [], disposed = []) => ({
+    SupportedModels: { MediaPipeHands: 'MediaPipeHands' },
+    createDetector: async (model, options) => ({
+        estimateHands: async (input, estimationConfig) => {
+            calls.push({ model, options, estimationConfig });
+            return hands;
+        },
+        dispose: () => disposed.push(model)
+    })
+});
+
+describe('normalizeHandedness', () => {
+    it('keeps labels for mirrored frames and swaps them otherwise', () => {
+        assert.equal(normalizeHandedness('Left', true), 'left');
+        assert.equal(normalizeHandedness('Left', false), 'right');
+        assert.equal(normalizeHandedness('Right', false), 'left');
+        assert.equal(normalizeHandedness(undefined, true), null);
+    });
+});
+
+describe('toLandmarks', () => {
+    it('converts keypoints to [x, y, z] with depth in pixels', () => {
+        const landmarks = toLandmarks(mediaPipeHand(hands.rightPalmDown));
+        assert.equal(landmarks.length, 21);
+        landmarks.forEach((point, index) => {
+            assert.equal(point[0], hands.rightPalmDown[index][0]);
+            assertClose(point[2], hands.rightPalmDown[index][2]);
+        });
+    });
+
+    it('uses flat depth when there are no 3D keypoints', () => {
+        const { keypoints } = mediaPipeHand(hands.leftPalmUp);
+        assert.deepEqual(toLandmarks({ keypoints })[0], [keypoints[0].x, keypoints[0].y, 0]);
+    });
+});
+
+describe('createHandDetector', () => {
+    it('returns the common shape from the MediaPipe Hands backend', async () => {
+        const calls = [];
+        const detector = createHandDetector(BACKENDS.MEDIAPIPE_HANDS, {
+            handPoseDetection: fakeHandPoseDetection([mediaPipeHand(hands.leftPalmUp, 'Left')], calls)
+        }, { modelType: 'lite' });
+        await detector.load();
+        const [hand] = await detector.estimate('frame', { flipHorizontal: true });
+
+        assert.equal(detector.maxHands, 2);
+        assert.equal(hand.handedness, 'left');
+        assert.equal(hand.score, 0.9);
+        assert.equal(hand.landmarks.length, 21);
+        assert.equal(calls[0].options.modelType, 'lite');
+        assert.deepEqual(calls[0].estimationConfig, { flipHorizontal: true });
+    });
+
+    it('wraps handpose without handedness', async () => {
+        const calls = [];
+        const detector = createHandDetector(BACKENDS.HANDPOSE, {
+            handpose: fakeHandpose([{ landmarks: hands.rightPalmUp, handInViewConfidence: 0.8 }], calls)
+        }, { detectionConfidence: 0.8 });
+        await detector.load();
+
+        assert.deepEqual(await detector.estimate('frame', { flipHorizontal: true }), [
+            { landmarks: hands.rightPalmUp, handedness: null, score: 0.8 }
+        ]);
+        assert.equal(detector.maxHands, 1);
+        assert.deepEqual(calls[0], { config: { detectionConfidence: 0.8 }, flipHorizontal: true });
+    });
+
+    it('releases the model weights of either backend', async () => {
+        const disposed = [];
+        const mediaPipe = createHandDetector(BACKENDS.MEDIAPIPE_HANDS, { handPoseDetection: fakeHandPoseDetection([], [], disposed) });
+        const handpose = createHandDetector(BACKENDS.HANDPOSE, { handpose: fakeHandpose([], [], disposed) });
+        await mediaPipe.load();
+        await handpose.load();
+
+        mediaPipe.dispose();
+        handpose.dispose();
+        assert.deepEqual(disposed, ['MediaPipeHands', 'palm', 'anchors', 'inputSize', 'doubleInputSize', 'mesh']);
+
+        // A second dispose, or one before loading, has nothing left to release
+        mediaPipe.dispose();
+        createHandDetector(BACKENDS.HANDPOSE, { handpose: fakeHandpose() }).dispose();
+        assert.equal(disposed.length, 6);
+    });
+
+    it('returns null when the library is missing', () => {
+        assert.equal(createHandDetector(BACKENDS.MEDIAPIPE_HANDS, { handpose: fakeHandpose() }), null);
+        assert.equal(createHandDetector('unknown', { handpose: fakeHandpose() }), null);
+    });
+});
+
+describe('loadHandDetector', () => {
+    it('loads the preferred backend', async () => {
+        const detector = await loadHandDetector(BACKENDS.HANDPOSE, {
+            handPoseDetection: fakeHandPoseDetection(),
+            handpose: fakeHandpose()
+        });
+        assert.equal(detector.name, BACKENDS.HANDPOSE);
+    });
+
+    it('falls back to handpose when the preferred backend fails to load', async () => {
+        const broken = { ...fakeHandPoseDetection(), createDetector: async () => { throw new Error('no weights'); } };
+        const detector = await loadHandDetector(BACKENDS.MEDIAPIPE_HANDS, { handPoseDetection: broken, handpose: fakeHandpose() });
+        assert.equal(detector.name, BACKENDS.HANDPOSE);
+    });
+
+    it('falls back when the preferred library is not loaded', async () => {
+        const detector = await loadHandDetector(BACKENDS.MEDIAPIPE_HANDS, { handpose: fakeHandpose() });
+        assert.equal(detector.name, BACKENDS.HANDPOSE);
+    });
+
+    it('rejects with the last error when nothing loads', async () => {
+        await assert.rejects(loadHandDetector(BACKENDS.MEDIAPIPE_HANDS, {}), /No hand detection library/);
+        const broken = { load: async () => { throw new Error('offline'); } };
+        await assert.rejects(loadHandDetector(BACKENDS.HANDPOSE, { handpose: broken }), /offline/);
+    });
+});
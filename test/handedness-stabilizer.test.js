@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHandednessStabilizer } = require('../handedness-stabilizer.js');
+
+// Feeds a sequence of observations and returns the side after each one
+const feed = (stabilizer, observations) => observations.map(observed => stabilizer.update(observed));
+
+const repeat = (value, count) => new Array(count).fill(value);
+
+describe('createHandednessStabilizer', () => {
+    it('takes a side after a few agreeing detections', () => {
+        const stabilizer = createHandednessStabilizer({ acquireFrames: 3 });
+        assert.deepEqual(feed(stabilizer, ['left', 'left', 'left']), [null, null, 'left']);
+        assert.equal(stabilizer.side, 'left');
+    });
+
+    it('does not settle while the reading keeps alternating', () => {
+        const stabilizer = createHandednessStabilizer({ acquireFrames: 3 });
+        feed(stabilizer, ['left', 'right', 'left', 'right', 'left', 'right']);
+        assert.equal(stabilizer.side, null);
+    });
+
+    it('keeps its side through brief misreadings', () => {
+        const stabilizer = createHandednessStabilizer({ acquireFrames: 1, switchFrames: 4 });
+        const sides = feed(stabilizer, ['left', 'right', 'right', 'left', 'right', 'right', 'left', 'left']);
+        assert.ok(sides.every(side => side === 'left'));
+    });
+
+    it('switches once the other side clearly leads', () => {
+        const stabilizer = createHandednessStabilizer({ acquireFrames: 1, switchFrames: 4 });
+        stabilizer.update('left');
+        assert.deepEqual(feed(stabilizer, repeat('right', 4)), ['left', 'left', 'left', 'right']);
+
+        // A noisy but mostly-right reading gets there too, just later
+        const noisy = createHandednessStabilizer({ acquireFrames: 1, switchFrames: 4 });
+        noisy.update('left');
+        const sides = feed(noisy, ['right', 'right', 'left', 'right', 'right', 'left', 'right', 'right']);
+        assert.equal(sides.indexOf('right'), 7);
+    });
+
+    it('forgets the side after the hand has been gone a while', () => {
+        const stabilizer = createHandednessStabilizer({ acquireFrames: 2, forgetFrames: 3 });
+        feed(stabilizer, ['right', 'right']);
+        assert.deepEqual(feed(stabilizer, [null, null]), ['right', 'right']);
+        stabilizer.update('right'); // The hand came back in time
+        assert.deepEqual(feed(stabilizer, [null, null, null]), ['right', 'right', null]);
+        assert.deepEqual(feed(stabilizer, ['left', 'left']), [null, 'left']);
+    });
+
+    it('can be reset to a known side', () => {
+        const stabilizer = createHandednessStabilizer();
+        stabilizer.reset('right');
+        assert.equal(stabilizer.update('left'), 'right');
+        stabilizer.reset();
+        assert.equal(stabilizer.side, null);
+    });
+});
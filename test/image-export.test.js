@@ -0,0 +1,169 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+const {
+    FORMATS,
+    formatForType,
+    exportSize,
+    captionText,
+    buildXmp,
+    parseXmpDetails,
+    detectImageType,
+    embedXmp,
+    readXmp
+} = require('../image-export.js');
+const { crc32 } = require('../zip.js');
+
+const text = value => new TextEncoder().encode(value);
+const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    Buffer.from(data).copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+// 1x1 RGBA PNG
+function samplePng() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(1, 0);
+    header.writeUInt32BE(1, 4);
+    header.set([8, 6, 0, 0, 0], 8);
+    return new Uint8Array(Buffer.concat([
+        Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(Buffer.from([0, 200, 100, 50, 255]))),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]));
+}
+
+// SOI, JFIF APP0, a stand-in table segment, start of scan and EOI
+function sampleJpeg() {
+    return Uint8Array.from([
+        0xff, 0xd8,
+        0xff, 0xe0, 0x00, 0x10, ...text('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0,
+        0xff, 0xdb, 0x00, 0x04, 0x00, 0x00,
+        0xff, 0xda, 0x00, 0x02, 0x12, 0x34,
+        0xff, 0xd9
+    ]);
+}
+
+function sampleWebp(chunkType, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+    chunk.set(text(chunkType));
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+
+    const file = new Uint8Array(12 + chunk.length);
+    file.set(text('RIFF'));
+    new DataView(file.buffer).setUint32(4, file.length - 8, true);
+    file.set(text('WEBP'), 8);
+    file.set(chunk, 12);
+    return file;
+}
+
+// Lossless: signature byte, then 14-bit width - 1, 14-bit height - 1 and the alpha bit
+const losslessWebp = (width, height, alpha) => {
+    const bits = (width - 1) | ((height - 1) << 14) | ((alpha ? 1 : 0) << 28);
+    return sampleWebp('VP8L', Uint8Array.from([0x2f, bits & 0xff, (bits >> 8) & 0xff, (bits >> 16) & 0xff, bits >>> 24, 0, 0]));
+};
+
+// Lossy: frame tag, start code, then 14-bit width and height
+const lossyWebp = (width, height) => sampleWebp('VP8 ', Uint8Array.from([
+    0, 0, 0, 0x9d, 0x01, 0x2a, width & 0xff, width >> 8, height & 0xff, height >> 8
+]));
+
+const details = {
+    watches: [{ hand: 'left', name: 'Diver <42> & "Co"', caseDiameterMm: 42, scale: 1.1 }],
+    settings: { format: 'png', mirrored: true }
+};
+const xmp = buildXmp({ description: 'Diver · 42 mm', creatorTool: 'Watch Try-On', details });
+
+describe('export options', () => {
+    it('maps MIME types to formats', () => {
+        assert.equal(formatForType('image/jpeg'), 'jpeg');
+        assert.equal(formatForType('image/gif'), null);
+        assert.equal(FORMATS.jpeg.extension, 'jpg');
+    });
+
+    it('scales the longer side down but never up', () => {
+        assert.deepEqual(exportSize(1920, 1080, 1280), { width: 1280, height: 720 });
+        assert.deepEqual(exportSize(480, 640, 1280), { width: 480, height: 640 });
+        assert.deepEqual(exportSize(1920, 1080, 0), { width: 1920, height: 1080 });
+    });
+
+    it('captions watches with their size', () => {
+        assert.equal(captionText([{ hand: 'left', name: 'Classic Steel', caseDiameterMm: 40 }]), 'Classic Steel · 40 mm');
+        assert.equal(captionText([{ hand: 'right', name: 'Upload', lugToLugMm: 47 }]), 'Upload · 47 mm lug to lug');
+        assert.equal(captionText([
+            { hand: 'left', name: 'Diver', caseDiameterMm: 42 },
+            { hand: 'right', name: 'Dress' }
+        ]), 'Left: Diver · 42 mm / Right: Dress');
+    });
+});
+
+describe('XMP', () => {
+    it('escapes values and round-trips the details', () => {
+        assert.match(xmp, /<rdf:li xml:lang="x-default">Diver · 42 mm<\/rdf:li>/);
+        assert.match(xmp, /xmp:CreatorTool="Watch Try-On"/);
+        assert.doesNotMatch(xmp, /<42>/);
+        assert.deepEqual(parseXmpDetails(xmp), details);
+        assert.equal(parseXmpDetails('<x:xmpmeta/>'), null);
+    });
+
+    it('embeds an iTXt chunk after IHDR in PNG files', () => {
+        const png = samplePng();
+        const output = embedXmp(png, xmp);
+        assert.equal(detectImageType(output), 'image/png');
+        assert.equal(ascii(output, 37, 4), 'iTXt');
+        assert.deepEqual(parseXmpDetails(readXmp(output)), details);
+
+        // The chunk CRC covers its type and data
+        const length = new DataView(output.buffer).getUint32(33);
+        const stored = new DataView(output.buffer).getUint32(41 + length);
+        assert.equal(stored, crc32(output.subarray(37, 41 + length)));
+        assert.deepEqual([...output.subarray(output.length - png.length + 33)], [...png.subarray(33)]);
+    });
+
+    it('embeds an APP1 segment after APP0 in JPEG files', () => {
+        const jpeg = sampleJpeg();
+        const output = embedXmp(jpeg, xmp);
+        assert.deepEqual([...output.subarray(20, 22)], [0xff, 0xe1]);
+        assert.equal(readXmp(output), xmp);
+        assert.equal(readXmp(jpeg), null);
+    });
+
+    it('adds a VP8X header and XMP chunk to simple WebP files', () => {
+        const output = embedXmp(losslessWebp(300, 200, true), xmp);
+        const view = new DataView(output.buffer);
+        assert.equal(ascii(output, 12, 4), 'VP8X');
+        assert.equal(output[20], 0x04 | 0x10);
+        assert.equal((view.getUint32(24, true) & 0xffffff) + 1, 300);
+        assert.equal((view.getUint32(27, true) & 0xffffff) + 1, 200);
+        assert.equal(ascii(output, 30, 4), 'VP8L');
+        assert.equal(view.getUint32(4, true), output.length - 8);
+        assert.equal(readXmp(output), xmp);
+
+        const lossy = embedXmp(lossyWebp(640, 480), xmp);
+        assert.equal(lossy[20], 0x04);
+        assert.equal((new DataView(lossy.buffer).getUint32(24, true) & 0xffffff) + 1, 640);
+        assert.deepEqual(parseXmpDetails(readXmp(lossy)), details);
+    });
+
+    it('only sets the XMP flag on extended WebP files', () => {
+        const extended = embedXmp(lossyWebp(64, 48), '<a/>');
+        const output = embedXmp(extended, xmp);
+        assert.equal(ascii(output, 12, 4), 'VP8X');
+        assert.equal(ascii(output, 30, 4), 'VP8 ');
+        assert.equal(new DataView(output.buffer).getUint32(4, true), output.length - 8);
+    });
+
+    it('rejects other formats', () => {
+        assert.throws(() => embedXmp(text('GIF89a'), xmp), /Unsupported/);
+        assert.equal(readXmp(text('GIF89a')), null);
+    });
+});
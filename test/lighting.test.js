@@ -0,0 +1,163 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    NEUTRAL,
+    NEUTRAL_ADJUSTMENT,
+    estimateLighting,
+    sceneLighting,
+    lightingAdjustment,
+    adjustPixels,
+    createLightingSmoother
+} = require('../lighting.js');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+const toSrgb = c => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+
+// RGBA patch cycling through the given colors
+function patch(colors, count = 64) {
+    const rgba = new Uint8ClampedArray(count * 4);
+    for (let i = 0; i < count; i++) {
+        rgba.set([...colors[i % colors.length], 255], i * 4);
+    }
+    return rgba;
+}
+
+// Surfaces (linear reflectance per channel) lit by `light` (linear [r, g, b]), each
+// also in shade
+const litPatch = (surfaces, light) => patch(surfaces.flatMap(surface => [1, 0.6].map(shade =>
+    surface.map((value, channel) => toSrgb(Math.min(1, value * light[channel] * shade))))));
+
+const FAIR = [0.75, 0.45, 0.32], DEEP = [0.16, 0.07, 0.035];
+const WALL = [0.4, 0.4, 0.4], SHIRT = [0.1, 0.15, 0.3];
+const ROOM = [1, 1, 1], DIM_WARM = [0.35, 0.3, 0.22];
+
+describe('estimateLighting', () => {
+    it('measures the scene from linear luminance', () => {
+        const { scene, skin } = estimateLighting(patch([[188, 188, 188]]));
+        assertClose(scene.brightness, 0.5, 0.01);
+        assert.ok(scene.contrast < 0.001);
+        assert.deepEqual(scene.color, [1, 1, 1]);
+        assert.equal(skin, null);
+
+        const striped = estimateLighting(patch([[0, 0, 0], [255, 255, 255]])).scene;
+        assertClose(striped.brightness, 0.5, 0.01);
+        assertClose(striped.contrast, 1, 0.01);
+    });
+
+    it('separates skin of any tone from the scene', () => {
+        for (const tone of [FAIR, DEEP]) {
+            for (const light of [ROOM, DIM_WARM]) {
+                const { scene, skin } = estimateLighting(litPatch([tone, WALL], light));
+                const wall = estimateLighting(litPatch([WALL], light)).scene;
+                assertClose(scene.brightness, wall.brightness);
+                scene.color.forEach((value, channel) => assertClose(value, wall.color[channel]));
+                assert.ok(skin.color[0] > scene.color[0]);
+            }
+        }
+    });
+
+    it('leaves the scene out when the hand fills the patch', () => {
+        const reading = estimateLighting(litPatch([FAIR], ROOM));
+        assert.equal(reading.scene, null);
+        assert.ok(reading.skin.color[0] > 1);
+    });
+
+    it('skips transparent pixels', () => {
+        const rgba = patch([[255, 255, 255]]);
+        rgba.set([0, 0, 0, 0], 0);
+        assert.ok(estimateLighting(rgba).scene.brightness > 0.99);
+        assert.equal(estimateLighting(new Uint8ClampedArray(8)), null);
+    });
+});
+
+describe('lightingAdjustment', () => {
+    it('leaves the watch alone in neutral light or without a reading', () => {
+        const adjustment = lightingAdjustment(NEUTRAL);
+        assertClose(adjustment.brightness, 1);
+        assertClose(adjustment.contrast, 1);
+        adjustment.gains.forEach(gain => assertClose(gain, 1));
+        assert.equal(lightingAdjustment(null), NEUTRAL_ADJUSTMENT);
+    });
+
+    it('dims and warms the watch from a single frame of a dim warm room', () => {
+        const adjustment = lightingAdjustment(sceneLighting(estimateLighting(litPatch([DEEP, WALL, SHIRT], DIM_WARM))));
+        assert.ok(adjustment.brightness < 0.8);
+        assert.ok(adjustment.gains[0] > 1 && adjustment.gains[2] < 1);
+        assert.ok(adjustment.shadowAlpha < NEUTRAL_ADJUSTMENT.shadowAlpha);
+    });
+
+    it('gives two skin tones under the same light the same adjustment', () => {
+        for (const light of [ROOM, DIM_WARM]) {
+            const [fair, deep] = [FAIR, DEEP].map(tone =>
+                lightingAdjustment(sceneLighting(estimateLighting(litPatch([tone, WALL, SHIRT], light)))));
+            assert.deepEqual(fair, deep);
+        }
+    });
+
+    it('clamps extremes', () => {
+        const adjustment = lightingAdjustment({ brightness: 20, contrast: 10, color: [0.1, 1, 10] });
+        assert.equal(adjustment.brightness, 1.2);
+        assert.equal(adjustment.contrast, 1.3);
+        assert.deepEqual(adjustment.gains, [0.75, 1, 1.25]);
+    });
+});
+
+describe('sceneLighting', () => {
+    it('scales the reference scene by the change in the skin while the hand fills the patch', () => {
+        const reference = estimateLighting(litPatch([FAIR, WALL], ROOM));
+        const dimmed = sceneLighting(estimateLighting(litPatch([FAIR], DIM_WARM)), reference);
+        const seen = estimateLighting(litPatch([FAIR, WALL], DIM_WARM)).scene;
+
+        assertClose(dimmed.brightness, seen.brightness, 0.01);
+        dimmed.color.forEach((value, channel) => assertClose(value, seen.color[channel], 0.02));
+        assert.equal(sceneLighting(estimateLighting(litPatch([FAIR], DIM_WARM)), null), null);
+    });
+});
+
+describe('adjustPixels', () => {
+    it('scales opaque pixels and keeps transparent ones', () => {
+        const rgba = Uint8ClampedArray.from([200, 100, 50, 255, 200, 100, 50, 0]);
+        adjustPixels(rgba, { brightness: 0.5, contrast: 1, gains: [1, 1, 2] });
+        assert.deepEqual([...rgba], [100, 50, 50, 255, 200, 100, 50, 0]);
+
+        const flat = Uint8ClampedArray.from([64, 128, 192, 255]);
+        adjustPixels(flat, { brightness: 1, contrast: 0, gains: [1, 1, 1] });
+        assert.deepEqual([...flat], [128, 128, 128, 255]);
+    });
+});
+
+describe('createLightingSmoother', () => {
+    const reading = (brightness, color, skin = null) => ({ scene: { brightness, contrast: 0.5, color }, skin });
+
+    it('starts at the first reading and eases toward later ones', () => {
+        const smoother = createLightingSmoother({ timeConstantMs: 100 });
+        smoother.update(reading(0.2, [1.2, 1, 0.8]), 0);
+        assert.equal(smoother.value.brightness, 0.2);
+
+        const next = smoother.update(reading(0.8, [0.8, 1, 1.2]), 100);
+        const alpha = 1 - Math.exp(-1);
+        assertClose(next.brightness, 0.2 + 0.6 * alpha);
+        assertClose(next.color[0], 1.2 - 0.4 * alpha);
+        assert.equal(smoother.update(null, 200), next);
+
+        smoother.reset();
+        assert.equal(smoother.value, null);
+    });
+
+    it('follows the skin from the last full reading while the scene is hidden', () => {
+        const smoother = createLightingSmoother({ timeConstantMs: 0 });
+        const skin = { brightness: 0.4, contrast: 0.1, color: [1.6, 1, 0.7] };
+        smoother.update(reading(0.2, [1, 1, 1], skin), 0);
+
+        const hidden = smoother.update({ scene: null, skin: { ...skin, brightness: 0.2 } }, 50);
+        assertClose(hidden.brightness, 0.1);
+
+        // Nothing to go on after a reset
+        smoother.reset();
+        assert.equal(smoother.update({ scene: null, skin }, 100), null);
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { APP_SHELL, MODELS, remoteModelUrl, localModelPath, weightFiles } = require('../offline-assets.js');
+
+const [mediaPipeDetector, , handposeDetector, handposeLandmark] = MODELS;
+
+describe('APP_SHELL', () => {
+    it('lists files that exist in the repository', () => {
+        const missing = APP_SHELL.filter(file => file !== './' && !fs.existsSync(path.join(__dirname, '..', file)));
+        assert.deepEqual(missing, []);
+    });
+
+    it('includes every script index.html loads from the repository', () => {
+        const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        const scripts = [...html.matchAll(/<script src="([^"]+)"/g)].map(match => match[1])
+            .filter(src => !src.startsWith('vendor/'));
+        assert.deepEqual(scripts.filter(src => !APP_SHELL.includes(src)), []);
+    });
+});
+
+describe('remoteModelUrl', () => {
+    it('asks tfhub.dev for the file itself', () => {
+        assert.equal(remoteModelUrl(handposeLandmark, 'anchors.json'),
+            'https://tfhub.dev/mediapipe/tfjs-model/handskeleton/1/default/1/anchors.json?tfjs-format=file');
+        assert.equal(remoteModelUrl({ remote: 'https://example.com/model/', local: 'models/x/' }, 'model.json'),
+            'https://example.com/model/model.json');
+    });
+});
+
+describe('localModelPath', () => {
+    it('maps the URLs handpose requests to local copies', () => {
+        assert.equal(localModelPath(remoteModelUrl(handposeDetector, 'model.json')), 'models/handpose/detector/model.json');
+        assert.equal(localModelPath(`${handposeDetector.remote}group1-shard1of1.bin?tfjs-format=file`),
+            'models/handpose/detector/group1-shard1of1.bin');
+        assert.equal(localModelPath(remoteModelUrl(mediaPipeDetector, 'model.json')), 'models/mediapipe-hands/detector/model.json');
+    });
+
+    it('ignores other URLs', () => {
+        assert.equal(localModelPath('https://tfhub.dev/mediapipe/tfjs-model/facemesh/1/default/1/model.json'), null);
+        assert.equal(localModelPath(handposeDetector.remote), null);
+        assert.equal(localModelPath(`${handposeDetector.remote}nested/model.json`), null);
+        assert.equal(localModelPath('http://localhost:3000/index.html'), null);
+    });
+});
+
+describe('weightFiles', () => {
+    it('lists the shards of every weight group', () => {
+        const modelJson = {
+            weightsManifest: [
+                { paths: ['group1-shard1of2.bin', 'group1-shard2of2.bin'], weights: [] },
+                { paths: ['group2-shard1of1.bin'], weights: [] }
+            ]
+        };
+        assert.deepEqual(weightFiles(modelJson), ['group1-shard1of2.bin', 'group1-shard2of2.bin', 'group2-shard1of1.bin']);
+        assert.deepEqual(weightFiles({}), []);
+    });
+});
@@ -0,0 +1,160 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MAX_TILT,
+    estimateWristPlane,
+    projectWatchQuad,
+    squareToQuad,
+    applyHomography,
+    triangleTransform,
+    meshTriangles,
+    drawImageQuad
+} = require('../perspective.js');
+const hands = require('./fixtures/hands.json');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+const assertPointClose = (actual, expected, tolerance = 1e-6) => {
+    assertClose(actual.x, expected.x, tolerance);
+    assertClose(actual.y, expected.y, tolerance);
+};
+
+// Wrist at the origin, knuckles 80px up the image; z is added per test
+const hand = (indexZ, pinkyZ, wristZ = 0) => {
+    const landmarks = Array.from({ length: 21 }, () => [0, 0, 0]);
+    landmarks[0] = [0, 0, wristZ];
+    landmarks[5] = [30, -80, indexZ];
+    landmarks[17] = [-30, -80, pinkyZ];
+    return landmarks;
+};
+
+const width = quad => Math.hypot(quad[1].x - quad[0].x, quad[1].y - quad[0].y);
+
+describe('estimateWristPlane', () => {
+    it('sees a hand at constant depth as facing the camera', () => {
+        const plane = estimateWristPlane(hand(0, 0));
+        assertClose(plane.gradient.x, 0);
+        assertClose(plane.gradient.y, 0);
+        assertClose(plane.tilt, 0);
+        assertClose(plane.spanRatio, 1);
+    });
+
+    it('tilts towards the side whose knuckles are further away', () => {
+        // Pinky (left) 60px deeper than the index finger (right) over a 60px span
+        const plane = estimateWristPlane(hand(0, 60, 30));
+        assertClose(plane.gradient.y, 0);
+        assert.ok(plane.gradient.x < 0, `gradient ${plane.gradient.x}`);
+        assertClose(plane.tilt, Math.PI / 4, 1e-6);
+        assertClose(plane.spanRatio, Math.SQRT2, 1e-6);
+    });
+
+    it('clamps implausibly steep planes', () => {
+        const plane = estimateWristPlane(hand(0, 600));
+        assertClose(plane.tilt, MAX_TILT);
+        assertClose(plane.spanRatio, 2);
+    });
+
+    it('works on the handpose fixtures', () => {
+        for (const landmarks of Object.values(hands)) {
+            const plane = estimateWristPlane(landmarks);
+            assert.ok(plane && plane.tilt >= 0 && plane.tilt <= MAX_TILT);
+        }
+    });
+});
+
+describe('projectWatchQuad', () => {
+    const watch = { x: 100, y: 200, width: 80, height: 40, rotation: 0 };
+
+    it('gives the flat rectangle for a plane facing the camera', () => {
+        const quad = projectWatchQuad(watch, { x: 0, y: 0 }, { focalLength: 800 });
+        assertPointClose(quad[0], { x: 60, y: 180 });
+        assertPointClose(quad[1], { x: 140, y: 180 });
+        assertPointClose(quad[2], { x: 140, y: 220 });
+        assertPointClose(quad[3], { x: 60, y: 220 });
+    });
+
+    it('follows the rotation of the watch', () => {
+        const quad = projectWatchQuad({ ...watch, rotation: Math.PI / 2 }, { x: 0, y: 0 }, { focalLength: 800 });
+        // Top-left moves to where the flat watch would have its top-right
+        assertPointClose(quad[0], { x: 120, y: 160 });
+    });
+
+    it('foreshortens the watch across a tilted wrist', () => {
+        const flat = projectWatchQuad(watch, { x: 0, y: 0 }, { focalLength: 800 });
+        const tilted = projectWatchQuad(watch, { x: 1, y: 0 }, { focalLength: 800 });
+        assert.ok(width(tilted) < width(flat) * 0.75, `width ${width(tilted)}`);
+    });
+
+    it('draws the nearer edge larger than the far edge', () => {
+        const quad = projectWatchQuad(watch, { x: 1, y: 0 }, { focalLength: 400 });
+        const leftEdge = quad[3].y - quad[0].y; // nearer (smaller z)
+        const rightEdge = quad[2].y - quad[1].y;
+        assert.ok(leftEdge > rightEdge, `${leftEdge} vs ${rightEdge}`);
+    });
+});
+
+describe('squareToQuad', () => {
+    const quad = [{ x: 10, y: 20 }, { x: 110, y: 30 }, { x: 90, y: 120 }, { x: 0, y: 90 }];
+
+    it('maps the unit square corners onto the quad', () => {
+        const homography = squareToQuad(quad);
+        assertPointClose(applyHomography(homography, 0, 0), quad[0]);
+        assertPointClose(applyHomography(homography, 1, 0), quad[1]);
+        assertPointClose(applyHomography(homography, 1, 1), quad[2]);
+        assertPointClose(applyHomography(homography, 0, 1), quad[3]);
+    });
+
+    it('reduces to an affine map for parallelograms', () => {
+        const parallelogram = [{ x: 0, y: 0 }, { x: 10, y: 2 }, { x: 13, y: 12 }, { x: 3, y: 10 }];
+        const homography = squareToQuad(parallelogram);
+        assert.equal(homography[6], 0);
+        assert.equal(homography[7], 0);
+        assertPointClose(applyHomography(homography, 0.5, 0.5), { x: 6.5, y: 6 });
+    });
+});
+
+describe('triangleTransform', () => {
+    it('maps each source vertex onto its destination', () => {
+        const from = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }];
+        const to = [{ x: 5, y: 5 }, { x: 5, y: 25 }, { x: -15, y: 5 }];
+        const [a, b, c, d, e, f] = triangleTransform(from, to);
+        from.forEach((point, i) => {
+            assertPointClose({ x: a * point.x + c * point.y + e, y: b * point.x + d * point.y + f }, to[i]);
+        });
+    });
+});
+
+describe('meshTriangles', () => {
+    it('covers the image with two triangles per cell', () => {
+        const quad = [{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 100 }, { x: 0, y: 100 }];
+        const triangles = meshTriangles(quad, 400, 200, 4);
+        assert.equal(triangles.length, 32);
+        assertPointClose(triangles[0].src[1], { x: 100, y: 0 });
+        assertPointClose(triangles[0].dst[1], { x: 50, y: 0 });
+    });
+});
+
+describe('drawImageQuad', () => {
+    it('clips and draws every triangle inside a save/restore pair', () => {
+        const calls = [];
+        const context = new Proxy({}, {
+            get: (target, name) => (...args) => calls.push({ name, args })
+        });
+        const quad = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }, { x: 0, y: 50 }];
+        drawImageQuad(context, 'image', 100, 50, quad, 2);
+
+        const count = name => calls.filter(call => call.name === name).length;
+        assert.equal(count('drawImage'), 8);
+        assert.equal(count('clip'), 8);
+        assert.equal(count('save'), count('restore'));
+
+        // Source rectangles stay inside the image
+        for (const { args } of calls.filter(call => call.name === 'drawImage')) {
+            const [, sx, sy, sw, sh] = args;
+            assert.ok(sx >= 0 && sy >= 0 && sx + sw <= 100 && sy + sh <= 50);
+        }
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_PARAMETERS, createOneEuroFilter, createPoseFilter } = require('../pose-filter.js');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+// Deterministic jitter in [-amplitude, amplitude]
+const jitter = (i, amplitude) => amplitude * Math.sin(i * 12.9898) * Math.cos(i * 78.233);
+
+const FRAME_MS = 50; // Detection runs at about 20 FPS
+
+const pose = (x, extra = {}) => ({
+    x, y: 100, width: 80, height: 60, span: 70, rotation: 0, confidence: 0.9, orientation: 'up', ...extra
+});
+
+describe('createOneEuroFilter', () => {
+    const parameters = { minCutoff: 1, beta: 0.02, dCutoff: 1 };
+
+    it('passes the first sample through', () => {
+        const filter = createOneEuroFilter(() => parameters);
+        assert.equal(filter.filter(42, 0), 42);
+    });
+
+    it('suppresses jitter while the hand is still', () => {
+        const filter = createOneEuroFilter(() => parameters);
+        let maxError = 0;
+        for (let i = 0; i < 100; i++) {
+            const output = filter.filter(200 + jitter(i, 4), i * FRAME_MS);
+            if (i > 20) maxError = Math.max(maxError, Math.abs(output - 200));
+        }
+        assert.ok(maxError < 2, `max error ${maxError}`);
+    });
+
+    it('lags less during fast motion than a fixed low-pass filter', () => {
+        const adaptive = createOneEuroFilter(() => parameters);
+        const fixed = createOneEuroFilter(() => ({ ...parameters, beta: 0 }));
+        let adaptiveLag = 0, fixedLag = 0;
+
+        // 600 px/s sweep
+        for (let i = 0; i < 20; i++) {
+            const target = i * 30;
+            adaptiveLag = target - adaptive.filter(target, i * FRAME_MS);
+            fixedLag = target - fixed.filter(target, i * FRAME_MS);
+        }
+        assert.ok(adaptiveLag < fixedLag / 3, `adaptive ${adaptiveLag}, fixed ${fixedLag}`);
+    });
+
+    it('wraps angles instead of swinging through zero', () => {
+        const filter = createOneEuroFilter(() => parameters, { angular: true });
+        filter.filter(Math.PI - 0.05, 0);
+        const output = filter.filter(-Math.PI + 0.05, FRAME_MS);
+        assert.ok(Math.abs(Math.abs(output) - Math.PI) < 0.1, `output ${output}`);
+    });
+
+    it('ignores samples that do not move time forward', () => {
+        const filter = createOneEuroFilter(() => parameters);
+        filter.filter(10, 100);
+        assert.equal(filter.filter(50, 100), 10);
+    });
+});
+
+describe('createPoseFilter', () => {
+    it('filters pose channels and passes other fields through', () => {
+        const filter = createPoseFilter();
+        filter.update(pose(0), 0);
+        const filtered = filter.update(pose(100, { orientation: 'down', confidence: 0.5 }), FRAME_MS);
+
+        assert.ok(filtered.x > 0 && filtered.x < 100);
+        assert.equal(filtered.y, 100);
+        assert.equal(filtered.orientation, 'down');
+        assert.equal(filtered.confidence, 0.5);
+    });
+
+    it('predicts along the current velocity, up to the prediction limit', () => {
+        const filter = createPoseFilter({ position: { minCutoff: 5, beta: 0.05 }, maxPredictionMs: 100 });
+        let last;
+        for (let i = 0; i < 30; i++) {
+            last = filter.update(pose(i * 10), i * FRAME_MS); // 200 px/s
+        }
+        const now = 29 * FRAME_MS;
+
+        assertClose(filter.predict(now).x, last.x);
+        const ahead = filter.predict(now + 50).x - last.x;
+        assert.ok(ahead > 7 && ahead < 11, `moved ${ahead}px in 50ms`);
+        assertClose(filter.predict(now + 1000).x, filter.predict(now + 100).x);
+    });
+
+    it('returns null before the first update and after a reset', () => {
+        const filter = createPoseFilter();
+        assert.equal(filter.predict(0), null);
+        filter.update(pose(10), 0);
+        filter.reset();
+        assert.equal(filter.predict(0), null);
+        assert.equal(filter.update(pose(30), 10).x, 30);
+    });
+
+    it('merges parameter changes over the defaults', () => {
+        const filter = createPoseFilter();
+        filter.setParameters({ rotation: { beta: 1 }, maxPredictionMs: 80 });
+        const parameters = filter.getParameters();
+
+        assert.equal(parameters.rotation.beta, 1);
+        assert.equal(parameters.rotation.minCutoff, DEFAULT_PARAMETERS.rotation.minCutoff);
+        assert.equal(parameters.maxPredictionMs, 80);
+
+        // The returned copy does not change the filter
+        parameters.position.beta = 99;
+        assert.equal(filter.getParameters().position.beta, DEFAULT_PARAMETERS.position.beta);
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { segmentWatch, sampleBorder, floodFillHoles, applyMask } = require('../segmentation.js');
+
+// White product shot with a dark ring (a watch case with a light dial) in the middle
+function ringImage(width, height, { outer, inner, color = [40, 40, 48] }) {
+    const data = new Uint8ClampedArray(width * height * 4).fill(255);
+    const cx = width / 2, cy = height / 2;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+            if (distance <= outer && distance >= inner) {
+                data.set(color, (y * width + x) * 4);
+            }
+        }
+    }
+    return data;
+}
+
+describe('sampleBorder', () => {
+    it('averages the border color and reports zero variance for a flat background', () => {
+        const data = ringImage(60, 60, { outer: 10, inner: 6 });
+        const background = sampleBorder(data, 60, 60, 10);
+
+        assert.deepEqual(background, { r: 255, g: 255, b: 255, variance: 0 });
+    });
+});
+
+describe('segmentWatch', () => {
+    const width = 80, height = 60;
+    const data = ringImage(width, height, { outer: 20, inner: 12 });
+    const at = (mask, x, y) => mask[y * width + x];
+
+    it('keeps the watch, fills its dial and clears the background', () => {
+        const mask = segmentWatch(data, width, height);
+
+        assert.ok(mask instanceof Uint8Array);
+        assert.equal(at(mask, 0, 0), 0);
+        assert.equal(at(mask, 5, 30), 0);
+        assert.equal(at(mask, 40 + 16, 30), 1); // on the ring
+        assert.equal(at(mask, 40, 30), 1); // dial center, filled as an internal hole
+    });
+
+    it('reports monotonic progress that finishes at 1', () => {
+        const updates = [];
+        segmentWatch(data, width, height, { onProgress: progress => updates.push(progress) });
+
+        assert.ok(updates.length > 1);
+        assert.ok(updates.every((value, i) => i === 0 || value >= updates[i - 1]));
+        assert.equal(updates[updates.length - 1], 1);
+    });
+});
+
+describe('floodFillHoles', () => {
+    it('fills regions the border cannot reach and leaves open ones alone', () => {
+        const mask = Uint8Array.from([
+            0, 0, 0, 0, 0, 0,
+            0, 1, 1, 1, 0, 0,
+            0, 1, 0, 1, 0, 0,
+            0, 1, 1, 1, 0, 0,
+            0, 0, 0, 0, 0, 0
+        ]);
+        floodFillHoles(mask, 6, 5);
+
+        assert.equal(mask[2 * 6 + 2], 1);
+        assert.equal(mask[2 * 6 + 4], 0);
+        assert.equal(mask.reduce((sum, value) => sum + value, 0), 9);
+    });
+});
+
+describe('applyMask', () => {
+    it('makes background pixels transparent', () => {
+        const data = new Uint8ClampedArray(8).fill(200);
+        applyMask(data, Uint8Array.from([1, 0]));
+
+        assert.deepEqual([...data], [200, 200, 200, 200, 200, 200, 200, 0]);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    CARD_WIDTH_MM,
+    AVERAGE_KNUCKLE_SPAN_MM,
+    knuckleSpanFromCircumference,
+    knuckleSpanFromCard,
+    measureWatch,
+    watchSizeOnScreen
+} = require('../sizing.js');
+const { segmentWatchRegions } = require('../customization.js');
+
+const assertClose = (actual, expected, tolerance) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+// Opaque cut-out: optional 20px strap across the image and a case circle in the middle
+function watchImage({ width = 240, height = 80, caseRadius = 30, strap = true } = {}) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inStrap = strap && Math.abs(y + 0.5 - height / 2) <= 10;
+            const inCase = Math.hypot(x + 0.5 - width / 2, y + 0.5 - height / 2) <= caseRadius;
+            if (inStrap || inCase) data.set([80, 80, 80, 255], (y * width + x) * 4);
+        }
+    }
+    return { regions: segmentWatchRegions(data, width, height), width, height };
+}
+
+describe('knuckleSpanFromCircumference', () => {
+    it('maps a typical wrist to a plausible breadth', () => {
+        const span = knuckleSpanFromCircumference(160);
+        assert.ok(span > 55 && span < 65, `span ${span}`);
+    });
+
+    it('scales linearly with circumference', () => {
+        assertClose(knuckleSpanFromCircumference(200) / knuckleSpanFromCircumference(100), 2, 1e-9);
+    });
+});
+
+describe('knuckleSpanFromCard', () => {
+    it('converts the knuckle span through the card scale', () => {
+        // Card is 171.2px long, so 2px per mm
+        assertClose(knuckleSpanFromCard(CARD_WIDTH_MM * 2, 124), 62, 1e-9);
+    });
+
+    it('accepts the short side of the card', () => {
+        assertClose(knuckleSpanFromCard(100, 120, 50), 60, 1e-9);
+    });
+});
+
+describe('measureWatch', () => {
+    it('uses the case diameter when a strap is attached', () => {
+        const { regions, width, height } = watchImage();
+        assert.equal(regions.distinctCase, true);
+
+        const size = measureWatch({ caseDiameterMm: 40 }, regions, width, height);
+        // The 60px case is 40mm, so the 240px image is about 160mm long. Where the
+        // strap meets the round case the edge is indistinct, so the case reads a bit short.
+        assertClose(size.width, 160, 20);
+        assertClose(size.height / size.width, height / width, 1e-9);
+    });
+
+    it('falls back to lug-to-lug when only that is known', () => {
+        const { regions, width, height } = watchImage();
+        const fromCase = measureWatch({ caseDiameterMm: 40 }, regions, width, height);
+        const fromLugs = measureWatch({ lugToLugMm: 48 }, regions, width, height);
+        assertClose(fromLugs.width, fromCase.width, 1e-9);
+    });
+
+    it('measures a bare watch head lug to lug along its long side', () => {
+        const { regions, width, height } = watchImage({ width: 70, height: 50, caseRadius: 40, strap: false });
+        assert.equal(regions.distinctCase, false);
+
+        const size = measureWatch({ lugToLugMm: 35 }, regions, width, height);
+        assertClose(size.width, 35, 1);
+    });
+
+    it('returns null without dimensions or regions', () => {
+        const { regions, width, height } = watchImage();
+        assert.equal(measureWatch({}, regions, width, height), null);
+        assert.equal(measureWatch(undefined, regions, width, height), null);
+        assert.equal(measureWatch({ caseDiameterMm: 40 }, { caseRange: null }, width, height), null);
+    });
+});
+
+describe('watchSizeOnScreen', () => {
+    it('renders larger cases larger on the same wrist', () => {
+        const { regions, width, height } = watchImage();
+        const small = watchSizeOnScreen(measureWatch({ caseDiameterMm: 36 }, regions, width, height), 120);
+        const large = watchSizeOnScreen(measureWatch({ caseDiameterMm: 46 }, regions, width, height), 120);
+        assertClose(large.width / small.width, 46 / 36, 1e-9);
+    });
+
+    it('uses the calibrated knuckle span when given', () => {
+        const size = { width: 50, height: 20 };
+        assert.deepEqual(watchSizeOnScreen(size, 120, 60), { width: 100, height: 40 });
+        assertClose(watchSizeOnScreen(size, 120).width, 50 * 120 / AVERAGE_KNUCKLE_SPAN_MM, 1e-9);
+    });
+});
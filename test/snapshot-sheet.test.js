@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    snapshotCaption,
+    toggleSelection,
+    canCompare,
+    gridShape,
+    layoutSheet
+} = require('../snapshot-sheet.js');
+
+describe('snapshotCaption', () => {
+    it('names the watch and its scale', () => {
+        assert.equal(snapshotCaption([{ hand: 'left', name: 'Classic Steel', scale: 1.1 }]), 'Classic Steel · 110%');
+        assert.equal(snapshotCaption([]), 'No watch');
+    });
+
+    it('names the wrist when both wear a watch', () => {
+        assert.equal(snapshotCaption([
+            { hand: 'left', name: 'Diver', scale: 1 },
+            { hand: 'right', name: 'Dress', scale: 0.95 }
+        ]), 'Left: Diver · 100% / Right: Dress · 95%');
+    });
+});
+
+describe('toggleSelection', () => {
+    it('adds and removes ids in selection order', () => {
+        let selected = toggleSelection([], 'a');
+        selected = toggleSelection(selected, 'b');
+        assert.deepEqual(selected, ['a', 'b']);
+        assert.deepEqual(toggleSelection(selected, 'a'), ['b']);
+    });
+
+    it('ignores ids past the limit', () => {
+        const selected = ['a', 'b', 'c', 'd'];
+        assert.equal(toggleSelection(selected, 'e'), selected);
+        assert.deepEqual(toggleSelection(['a', 'b'], 'c', 2), ['a', 'b']);
+    });
+
+    it('allows comparing two to four snapshots', () => {
+        assert.deepEqual([1, 2, 3, 4, 5].map(count => canCompare(new Array(count).fill('x'))), [false, true, true, true, false]);
+    });
+});
+
+describe('layoutSheet', () => {
+    it('puts up to three snapshots in a row and four in a grid', () => {
+        assert.deepEqual(gridShape(2), { columns: 2, rows: 1 });
+        assert.deepEqual(gridShape(3), { columns: 3, rows: 1 });
+        assert.deepEqual(gridShape(4), { columns: 2, rows: 2 });
+    });
+
+    it('sizes the sheet from the cells, gaps and padding', () => {
+        const layout = layoutSheet(new Array(4).fill({ width: 640, height: 480 }), {
+            cellWidth: 400, gap: 10, padding: 20, captionHeight: 40
+        });
+        assert.equal(layout.width, 20 * 2 + 400 * 2 + 10);
+        assert.equal(layout.height, 20 * 2 + (300 + 40) * 2 + 10);
+        assert.deepEqual(layout.cells.map(cell => [cell.x, cell.y]), [[20, 20], [430, 20], [20, 370], [430, 370]]);
+        assert.deepEqual(layout.cells[3].image, { x: 430, y: 370, width: 400, height: 300 });
+        assert.deepEqual(layout.cells[0].caption, { x: 220, y: 340, width: 400 });
+    });
+
+    it('fits differently shaped snapshots inside equal cells', () => {
+        const layout = layoutSheet([{ width: 640, height: 480 }, { width: 480, height: 640 }], {
+            cellWidth: 300, gap: 0, padding: 0, captionHeight: 0
+        });
+        // The portrait snapshot sets the cell height
+        assert.equal(layout.height, 400);
+        assert.deepEqual(layout.cells[0].image, { x: 0, y: 88, width: 300, height: 225 });
+        assert.deepEqual(layout.cells[1].image, { x: 300, y: 0, width: 300, height: 400 });
+    });
+});
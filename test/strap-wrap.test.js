@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeWrapStrips, drawWrappedWatch } = require('../strap-wrap.js');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+// 400px image with a 60px case in the middle, on a wrist of radius 50
+const layout = { imageWidth: 400, caseStart: 170, caseEnd: 230, radius: 50 };
+
+describe('computeWrapStrips', () => {
+    it('keeps the case flat and unshaded', () => {
+        const [caseStrip] = computeWrapStrips(layout);
+        assert.deepEqual(caseStrip, { sx: 170, sw: 60, dx: 170, dw: 60, shade: 0 });
+    });
+
+    it('starts each strap at the case edge', () => {
+        const strips = computeWrapStrips({ ...layout, strips: 4 });
+        const left = strips.slice(1, 5), right = strips.slice(5);
+
+        assertClose(left[0].sx + left[0].sw, 170);
+        assertClose(left[0].dx + left[0].dw, 170);
+        assertClose(right[0].sx, 230);
+        assertClose(right[0].dx, 230);
+    });
+
+    it('never draws past the wrist silhouette', () => {
+        for (const strip of computeWrapStrips(layout)) {
+            assert.ok(strip.dx >= 200 - 50 - 1e-6, `strip starts at ${strip.dx}`);
+            assert.ok(strip.dx + strip.dw <= 200 + 50 + 1e-6, `strip ends at ${strip.dx + strip.dw}`);
+        }
+    });
+
+    it('hides the strap that wraps behind the wrist', () => {
+        const strips = computeWrapStrips(layout);
+        const visibleSource = strips.slice(1).reduce((sum, strip) => sum + strip.sw, 0);
+
+        // Visible arc per side: (π/2 - asin(30/50)) * 50
+        const arc = (Math.PI / 2 - Math.asin(0.6)) * 50;
+        assertClose(visibleSource, 2 * arc, 1e-6);
+        assert.ok(visibleSource < 400 - 60);
+    });
+
+    it('compresses and darkens the strap towards the silhouette', () => {
+        const right = computeWrapStrips({ ...layout, strips: 8 }).slice(9);
+        for (let i = 1; i < right.length; i++) {
+            assert.ok(right[i].dw / right[i].sw < right[i - 1].dw / right[i - 1].sw);
+            assert.ok(right[i].shade > right[i - 1].shade);
+        }
+    });
+
+    it('stops at the end of a short strap', () => {
+        const strips = computeWrapStrips({ imageWidth: 100, caseStart: 40, caseEnd: 60, radius: 200 });
+        const right = strips.filter(strip => strip.sx >= 60);
+        assertClose(Math.max(...right.map(strip => strip.sx + strip.sw)), 100);
+    });
+
+    it('drops both straps when the case is wider than the wrist', () => {
+        assert.equal(computeWrapStrips({ ...layout, radius: 20 }).length, 1);
+    });
+});
+
+describe('drawWrappedWatch', () => {
+    it('draws every strip and shades only strap strips', () => {
+        const calls = [];
+        const context = new Proxy({}, {
+            get: (target, name) => (...args) => calls.push({ name, args }),
+            set: (target, name, value) => {
+                calls.push({ name, value });
+                return true;
+            }
+        });
+        const strips = computeWrapStrips({ ...layout, strips: 3 });
+        drawWrappedWatch(context, 'image', 80, strips);
+
+        assert.equal(calls.filter(call => call.name === 'drawImage').length, 7);
+        assert.equal(calls.filter(call => call.name === 'fillRect').length, 6);
+        assert.ok(calls.some(call => call.name === 'globalCompositeOperation' && call.value === 'source-atop'));
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { STATES, createTrackingState } = require('../tracking-state.js');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+const timeouts = { tracking: 300, brieflyLost: 600, reacquired: 200 };
+
+// Detected at t=0 and held until tracking
+function trackingAt(time = 1000) {
+    const tracker = createTrackingState(timeouts);
+    for (let t = 0; t <= time; t += 50) {
+        tracker.detected(t);
+        tracker.update(t);
+    }
+    return tracker;
+}
+
+describe('createTrackingState', () => {
+    it('starts lost with nothing to draw', () => {
+        const tracker = createTrackingState(timeouts);
+        assert.deepEqual(tracker.update(0), { state: STATES.LOST, opacity: 0, changed: false });
+    });
+
+    it('fades in when the hand is first found, then tracks', () => {
+        const tracker = createTrackingState(timeouts);
+        tracker.detected(0);
+
+        const start = tracker.update(0);
+        assert.equal(start.state, STATES.REACQUIRED);
+        assert.equal(start.changed, true);
+        assertClose(tracker.update(100).opacity, 0.5);
+
+        tracker.detected(150);
+        const done = tracker.update(200);
+        assert.equal(done.state, STATES.TRACKING);
+        assert.equal(done.opacity, 1);
+    });
+
+    it('holds and fades out once detections stop for the tracking timeout, then clears', () => {
+        const tracker = trackingAt(1000);
+        assert.equal(tracker.update(1050).state, STATES.TRACKING);
+
+        // Last detection at 1000, so the fade starts at 1300
+        assert.equal(tracker.update(1310).state, STATES.BRIEFLY_LOST);
+        assertClose(tracker.update(1600).opacity, 0.5);
+
+        const lost = tracker.update(1900);
+        assert.equal(lost.state, STATES.LOST);
+        assert.equal(lost.opacity, 0);
+        assert.equal(lost.changed, true);
+    });
+
+    it('keeps tracking through a single dropped detection', () => {
+        const tracker = trackingAt(1000);
+        assert.equal(tracker.update(1050).state, STATES.TRACKING);
+
+        tracker.detected(1100);
+        const next = tracker.update(1100);
+        assert.equal(next.state, STATES.TRACKING);
+        assert.equal(next.opacity, 1);
+        assert.equal(next.changed, false);
+    });
+
+    it('counts a detection that stops arriving as briefly lost', () => {
+        const tracker = trackingAt(1000);
+        assert.equal(tracker.update(1200).state, STATES.TRACKING);
+
+        // Last detection at 1000, so the fade starts at 1300
+        const fading = tracker.update(1450);
+        assert.equal(fading.state, STATES.BRIEFLY_LOST);
+        assertClose(fading.opacity, 0.75);
+    });
+
+    it('blends back in from the faded opacity when re-acquired', () => {
+        const tracker = trackingAt(1000);
+        assertClose(tracker.update(1600).opacity, 0.5);
+
+        tracker.detected(1600);
+        const reacquired = tracker.update(1600);
+        assert.equal(reacquired.state, STATES.REACQUIRED);
+        assertClose(reacquired.opacity, 0.5);
+        assertClose(tracker.update(1700).opacity, 0.75);
+    });
+
+    it('applies new timeouts and resets to lost', () => {
+        const tracker = trackingAt(1000);
+        tracker.setTimeouts({ brieflyLost: 100 });
+        assert.equal(tracker.getTimeouts().brieflyLost, 100);
+        assert.equal(tracker.getTimeouts().reacquired, 200);
+
+        assert.equal(tracker.update(1410).state, STATES.LOST);
+
+        tracker.reset();
+        assert.equal(tracker.state, STATES.LOST);
+    });
+});
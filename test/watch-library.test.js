@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { exportJSON, importJSON, exportZip, importZip, importFile } = require('../watch-library.js');
+
+const record = {
+    id: 'upload-1700000000000',
+    name: 'Diver',
+    createdAt: 1700000000000,
+    updatedAt: 1700000000500,
+    settings: { scale: 1.2 },
+    metadata: { source: 'upload' },
+    sourceBlob: new Blob([Uint8Array.from([255, 216, 255, 1, 2, 3])], { type: 'image/jpeg' }),
+    processedBlob: new Blob([Uint8Array.from([137, 80, 78, 71, 4, 5])], { type: 'image/png' })
+};
+
+const bytesOf = async blob => [...new Uint8Array(await blob.arrayBuffer())];
+
+async function assertSameRecord(actual) {
+    assert.equal(actual.id, record.id);
+    assert.equal(actual.name, record.name);
+    assert.deepEqual(actual.settings, record.settings);
+    assert.deepEqual(actual.metadata, record.metadata);
+    assert.equal(actual.processedBlob.type, 'image/png');
+    assert.equal(actual.sourceBlob.type, 'image/jpeg');
+    assert.deepEqual(await bytesOf(actual.processedBlob), await bytesOf(record.processedBlob));
+    assert.deepEqual(await bytesOf(actual.sourceBlob), await bytesOf(record.sourceBlob));
+}
+
+describe('library export and import', () => {
+    it('round-trips records through JSON with embedded images', async () => {
+        const json = await (await exportJSON([record])).text();
+        assert.equal(JSON.parse(json).format, 'watch-try-on-library');
+
+        const [imported] = importJSON(json);
+        await assertSameRecord(imported);
+    });
+
+    it('round-trips records through a ZIP archive', async () => {
+        const archive = new Uint8Array(await (await exportZip([record])).arrayBuffer());
+        const [imported] = await importZip(archive);
+        await assertSameRecord(imported);
+    });
+
+    it('detects the format of an imported file', async () => {
+        const [fromZip] = await importFile(await exportZip([record]));
+        const [fromJson] = await importFile(await exportJSON([record]));
+
+        await assertSameRecord(fromZip);
+        await assertSameRecord(fromJson);
+    });
+
+    it('keeps records without a source image', async () => {
+        const [imported] = importJSON(await (await exportJSON([{ ...record, sourceBlob: null }])).text());
+        assert.equal(imported.sourceBlob, null);
+    });
+
+    it('rejects files that are not library exports', () => {
+        assert.throws(() => importJSON('{"watches": []}'), /not a watch library export/);
+    });
+});
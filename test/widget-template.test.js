@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MARKUP, renderWidget } = require('../widget-template.js');
+
+const attributeValues = (html, attribute) =>
+    [...html.matchAll(new RegExp(`\\s${attribute}="([^"]*)"`, 'g'))].map(match => match[1]);
+
+describe('renderWidget', () => {
+    it('prefixes every id', () => {
+        const html = renderWidget('wto1-');
+        const ids = attributeValues(html, 'id');
+        assert.ok(ids.length > 50);
+        assert.deepEqual(ids.filter(id => !id.startsWith('wto1-')), []);
+        assert.equal(new Set(ids).size, ids.length);
+        assert.ok(ids.includes('wto1-videoElement'));
+    });
+
+    it('prefixes label and ARIA references to match', () => {
+        const html = renderWidget('wto2-');
+        const ids = new Set(attributeValues(html, 'id'));
+        const references = ['for', 'aria-labelledby', 'aria-describedby']
+            .flatMap(attribute => attributeValues(html, attribute))
+            .flatMap(value => value.split(' '));
+        assert.ok(references.length > 0);
+        assert.deepEqual(references.filter(id => !ids.has(id)), []);
+    });
+
+    it('leaves data attributes and text alone', () => {
+        const html = renderWidget('wto3-');
+        assert.equal(html.replace(/wto3-/g, ''), MARKUP);
+        assert.match(html, /data-hand="left"/);
+        assert.doesNotMatch(html, /data-wto3-/);
+    });
+
+    it('gives two widgets on one page distinct ids', () => {
+        const first = new Set(attributeValues(renderWidget('wto1-'), 'id'));
+        assert.deepEqual(attributeValues(renderWidget('wto2-'), 'id').filter(id => first.has(id)), []);
+    });
+});
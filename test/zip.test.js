@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+const { crc32, createZip, readZip, isZip } = require('../zip.js');
+
+const text = value => new TextEncoder().encode(value);
+
+describe('crc32', () => {
+    it('matches the standard check value', () => {
+        assert.equal(crc32(text('123456789')), 0xcbf43926);
+        assert.equal(crc32(new Uint8Array(0)), 0);
+    });
+});
+
+describe('createZip / readZip', () => {
+    it('round-trips file names and contents', async () => {
+        const files = [
+            { name: 'library.json', data: text('{"watches":[]}') },
+            { name: 'images/montre-été.png', data: Uint8Array.from([137, 80, 78, 71, 0, 255]) }
+        ];
+
+        const archive = createZip(files);
+        assert.ok(isZip(archive));
+
+        const entries = await readZip(archive);
+        assert.deepEqual(entries.map(entry => entry.name), files.map(file => file.name));
+        assert.deepEqual([...entries[1].data], [...files[1].data]);
+    });
+
+    it('reads deflated entries written by other tools', async () => {
+        const content = text('strap strap strap strap strap');
+        const archive = createZip([{ name: 'notes.txt', data: content }]);
+
+        // Rewrite the single entry as deflate (method 8) with the compressed payload
+        const compressed = zlib.deflateRawSync(content);
+        const view = new DataView(archive.buffer);
+        const nameLength = view.getUint16(26, true);
+        const local = archive.subarray(0, 30 + nameLength);
+        const central = archive.subarray(30 + nameLength + content.length);
+
+        const rebuilt = new Uint8Array(local.length + compressed.length + central.length);
+        rebuilt.set(local, 0);
+        rebuilt.set(compressed, local.length);
+        rebuilt.set(central, local.length + compressed.length);
+
+        const out = new DataView(rebuilt.buffer);
+        const centralOffset = local.length + compressed.length;
+        out.setUint16(8, 8, true);
+        out.setUint32(18, compressed.length, true);
+        out.setUint16(centralOffset + 10, 8, true);
+        out.setUint32(centralOffset + 20, compressed.length, true);
+        out.setUint32(rebuilt.length - 6, centralOffset, true);
+
+        const [entry] = await readZip(rebuilt);
+        assert.equal(new TextDecoder().decode(entry.data), 'strap strap strap strap strap');
+    });
+
+    it('rejects data that is not an archive', async () => {
+        assert.equal(isZip(text('{"format":"json"}')), false);
+        await assert.rejects(readZip(text('definitely not a zip file at all')), /Not a ZIP archive/);
+    });
+});
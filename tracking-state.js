@@ -0,0 +1,116 @@
+// Tracking-loss states
+// Decides what to do with the watch when detections stop: keep tracking, hold the
+// last pose while fading out (briefly lost), clear it (lost), and fade back in once
+// the hand is found again (reacquired). Time-driven, so it runs in Node tests.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.TrackingState = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const STATES = {
+        TRACKING: 'tracking',
+        BRIEFLY_LOST: 'briefly-lost',
+        LOST: 'lost',
+        REACQUIRED: 'reacquired'
+    };
+
+    // Milliseconds spent in each state before moving on:
+    // tracking: without a fresh detection before the hand counts as briefly lost
+    // brieflyLost: fading out the held pose before it is cleared
+    // reacquired: blending back in before normal tracking resumes
+    const DEFAULT_TIMEOUTS = {
+        tracking: 300,
+        brieflyLost: 700,
+        reacquired: 250
+    };
+
+    function createTrackingState(timeouts = {}) {
+        const current = { ...DEFAULT_TIMEOUTS, ...timeouts };
+        let state = STATES.LOST;
+        let enteredAt = 0, lastDetection = -Infinity;
+        let startOpacity = 0, opacity = 0;
+        let reportedState = state; // As of the last update, so changes made by detected() are reported too
+
+        function enter(next, timestamp) {
+            startOpacity = opacity;
+            state = next;
+            enteredAt = timestamp;
+        }
+
+        // A detection found the hand. Frames without one need no call: a single dropped frame
+        // shouldn't make the watch flicker, so update() only lets the hand go briefly lost
+        // once the tracking timeout passes without a detection.
+        function detected(timestamp) {
+            lastDetection = timestamp;
+            if (state === STATES.LOST || state === STATES.BRIEFLY_LOST) {
+                enter(STATES.REACQUIRED, timestamp);
+            }
+        }
+
+        // Apply timeouts and return { state, opacity, changed } for this frame
+        function update(timestamp) {
+            const elapsed = timestamp - enteredAt;
+
+            if ((state === STATES.TRACKING || state === STATES.REACQUIRED) &&
+                timestamp - lastDetection > current.tracking) {
+                enter(STATES.BRIEFLY_LOST, lastDetection + current.tracking);
+            } else if (state === STATES.REACQUIRED && elapsed >= current.reacquired) {
+                enter(STATES.TRACKING, timestamp);
+            }
+
+            if (state === STATES.BRIEFLY_LOST && timestamp - enteredAt >= current.brieflyLost) {
+                enter(STATES.LOST, timestamp);
+            }
+
+            const progress = (duration) => duration > 0 ? Math.min(1, (timestamp - enteredAt) / duration) : 1;
+            switch (state) {
+                case STATES.TRACKING:
+                    opacity = 1;
+                    break;
+                case STATES.REACQUIRED:
+                    opacity = startOpacity + (1 - startOpacity) * progress(current.reacquired);
+                    break;
+                case STATES.BRIEFLY_LOST:
+                    opacity = startOpacity * (1 - progress(current.brieflyLost));
+                    break;
+                default:
+                    opacity = 0;
+            }
+
+            const changed = state !== reportedState;
+            reportedState = state;
+            return { state, opacity, changed };
+        }
+
+        function reset() {
+            state = reportedState = STATES.LOST;
+            enteredAt = 0;
+            lastDetection = -Infinity;
+            startOpacity = opacity = 0;
+        }
+
+        function setTimeouts(changes) {
+            Object.assign(current, changes);
+        }
+
+        function getTimeouts() {
+            return { ...current };
+        }
+
+        return {
+            detected,
+            update,
+            reset,
+            setTimeouts,
+            getTimeouts,
+            get state() {
+                return state;
+            }
+        };
+    }
+
+    return { STATES, DEFAULT_TIMEOUTS, createTrackingState };
+});
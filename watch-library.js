@@ -0,0 +1,229 @@
+// Persistent watch library
+// Keeps processed watches, their source images and per-watch settings in IndexedDB,
+// and moves whole libraries between machines as JSON (data URLs) or ZIP archives.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./zip.js'));
+    } else {
+        root.WatchLibrary = factory(root.ZipArchive);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ZipArchive) {
+    const DB_NAME = 'watch-try-on';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'watches';
+    const EXPORT_FORMAT = 'watch-try-on-library';
+    const EXPORT_VERSION = 1;
+    const ZIP_MANIFEST_NAME = 'library.json';
+
+    const EXTENSIONS = {
+        'image/png': 'png',
+        'image/jpeg': 'jpg',
+        'image/webp': 'webp',
+        'image/gif': 'gif',
+        'image/svg+xml': 'svg'
+    };
+
+    let databasePromise = null;
+
+    // Records: { id, name, createdAt, updatedAt, sourceBlob, processedBlob, settings, metadata }
+
+    function openDatabase() {
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                databasePromise = null;
+                throw error;
+            });
+        }
+        return databasePromise;
+    }
+
+    async function withStore(mode, operation) {
+        const database = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async function list() {
+        const records = await withStore('readonly', store => store.getAll());
+        return records.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    function get(id) {
+        return withStore('readonly', store => store.get(id));
+    }
+
+    function save(record) {
+        const now = Date.now();
+        const stored = {
+            settings: {},
+            metadata: {},
+            createdAt: now,
+            ...record,
+            updatedAt: now
+        };
+        return withStore('readwrite', store => store.put(stored)).then(() => stored);
+    }
+
+    async function update(id, changes) {
+        const record = await get(id);
+        if (!record) throw new Error(`No saved watch with id ${id}`);
+        return save({ ...record, ...changes });
+    }
+
+    function rename(id, name) {
+        return update(id, { name });
+    }
+
+    function updateSettings(id, settings) {
+        return get(id).then(record => record && save({ ...record, settings: { ...record.settings, ...settings } }));
+    }
+
+    function remove(id) {
+        return withStore('readwrite', store => store.delete(id));
+    }
+
+    // Blob <-> data URL without FileReader, so exports also work in workers and Node
+    async function blobToDataURL(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+    }
+
+    function dataURLToBlob(dataURL) {
+        const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataURL || '');
+        if (!match) throw new Error('Invalid image data in library file');
+
+        const [, type, isBase64, payload] = match;
+        if (!isBase64) {
+            return new Blob([decodeURIComponent(payload)], { type });
+        }
+
+        const binary = atob(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type });
+    }
+
+    function describe(record) {
+        const { id, name, createdAt, updatedAt, settings, metadata } = record;
+        return { id, name, createdAt, updatedAt, settings, metadata };
+    }
+
+    function manifest(watches) {
+        return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), watches };
+    }
+
+    function checkManifest(data) {
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.watches)) {
+            throw new Error('This file is not a watch library export');
+        }
+        if (data.version > EXPORT_VERSION) {
+            throw new Error('This library was exported by a newer version of the app');
+        }
+        return data.watches;
+    }
+
+    async function exportJSON(records) {
+        const watches = await Promise.all(records.map(async record => ({
+            ...describe(record),
+            source: record.sourceBlob ? await blobToDataURL(record.sourceBlob) : null,
+            processed: await blobToDataURL(record.processedBlob)
+        })));
+        return new Blob([JSON.stringify(manifest(watches))], { type: 'application/json' });
+    }
+
+    function importJSON(text) {
+        return checkManifest(JSON.parse(text)).map(watch => ({
+            ...describe(watch),
+            sourceBlob: watch.source ? dataURLToBlob(watch.source) : null,
+            processedBlob: dataURLToBlob(watch.processed)
+        }));
+    }
+
+    function imagePath(id, kind, blob) {
+        const safeId = String(id).replace(/[^\w.-]+/g, '_');
+        return `images/${safeId}-${kind}.${EXTENSIONS[blob.type] || 'bin'}`;
+    }
+
+    async function exportZip(records) {
+        const files = [];
+        const watches = [];
+
+        for (const record of records) {
+            const entry = { ...describe(record), source: null, processed: imagePath(record.id, 'processed', record.processedBlob) };
+            files.push({ name: entry.processed, data: new Uint8Array(await record.processedBlob.arrayBuffer()) });
+
+            if (record.sourceBlob) {
+                entry.source = imagePath(record.id, 'source', record.sourceBlob);
+                files.push({ name: entry.source, data: new Uint8Array(await record.sourceBlob.arrayBuffer()) });
+            }
+            watches.push(entry);
+        }
+
+        files.unshift({
+            name: ZIP_MANIFEST_NAME,
+            data: new TextEncoder().encode(JSON.stringify(manifest(watches), null, 2))
+        });
+        return new Blob([ZipArchive.createZip(files)], { type: 'application/zip' });
+    }
+
+    async function importZip(bytes) {
+        const files = new Map((await ZipArchive.readZip(bytes)).map(file => [file.name, file.data]));
+        const manifestBytes = files.get(ZIP_MANIFEST_NAME);
+        if (!manifestBytes) throw new Error(`The archive has no ${ZIP_MANIFEST_NAME}`);
+
+        const typeFor = path => Object.keys(EXTENSIONS).find(type => path.endsWith(`.${EXTENSIONS[type]}`)) || '';
+        const blobFor = path => {
+            if (!files.has(path)) throw new Error(`The archive is missing ${path}`);
+            return new Blob([files.get(path)], { type: typeFor(path) });
+        };
+
+        return checkManifest(JSON.parse(new TextDecoder().decode(manifestBytes))).map(watch => ({
+            ...describe(watch),
+            sourceBlob: watch.source ? blobFor(watch.source) : null,
+            processedBlob: blobFor(watch.processed)
+        }));
+    }
+
+    // Accepts a File/Blob holding either export format
+    async function importFile(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        return ZipArchive.isZip(bytes) ? importZip(bytes) : importJSON(new TextDecoder().decode(bytes));
+    }
+
+    return {
+        list,
+        get,
+        save,
+        rename,
+        updateSettings,
+        remove,
+        exportJSON,
+        importJSON,
+        exportZip,
+        importZip,
+        importFile
+    };
+});
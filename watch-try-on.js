@@ -0,0 +1,3291 @@
+// Virtual Watch Try-On widget
+// WatchTryOn.mount(container, options) renders the try-on UI (widget-template.js) into
+// a container and returns an instance with setWatch, setHand, capture, on and destroy.
+// Each instance has its own camera, detectors and state, so several can share a page.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.WatchTryOn = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const APP_NAME = 'Virtual Watch Try-On';
+    const SERVICE_WORKER_WAIT_MS = 5000; // Longest wait for a new service worker before loading models
+    // Models, the catalog and the segmentation worker sit next to this script
+    const SCRIPT_BASE = typeof document !== 'undefined' ? document.currentScript?.src || location.href : '';
+    let instanceCount = 0;
+    let serviceWorkerReady = Promise.resolve();
+
+    // Offline support
+    // service-worker.js caches the app, vendor files and models. Resolves once the worker
+    // controls the page (or it is unavailable), so model requests can be served locally.
+    // Pages that want offline use call this before mounting.
+    function registerServiceWorker(url = 'service-worker.js') {
+        serviceWorkerReady = (async () => {
+            if (!('serviceWorker' in navigator)) return;
+            try {
+                await navigator.serviceWorker.register(url);
+                if (navigator.serviceWorker.controller) return;
+
+                // First visit: the new worker claims the page once it has cached everything
+                await new Promise(resolve => {
+                    navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true });
+                    setTimeout(resolve, SERVICE_WORKER_WAIT_MS);
+                });
+            } catch (error) {
+                console.warn("Offline support is unavailable:", error);
+            }
+        })();
+        return serviceWorkerReady;
+    }
+
+    // options: { watches (definitions or a manifest URL), hand ('left', 'right', 'both'),
+    // placement ({ scale, perspective, strapWrap }), detector, baseUrl, onHandDetected,
+    // onHandLost, onWatchChange, onCapture }
+    function mount(container, options = {}) {
+        if (!container) throw new Error('WatchTryOn.mount needs a container element');
+
+        const prefix = `wto${++instanceCount}-`;
+        container.innerHTML = WidgetTemplate.renderWidget(prefix);
+        container.classList.add('watch-try-on');
+        const byId = id => container.querySelector(`#${prefix}${id}`);
+        const baseUrl = options.baseUrl ? new URL(options.baseUrl, location.href).href : SCRIPT_BASE;
+        const assetUrl = path => new URL(path, baseUrl).href;
+        let destroyed = false;
+
+        // Window and document listeners, removed again by destroy()
+        const windowListeners = [];
+        function listen(target, type, handler) {
+            target.addEventListener(type, handler);
+            windowListeners.push([target, type, handler]);
+        }
+
+        // Instance events; options.onHandDetected etc. are subscribed up front
+        const eventListeners = { handDetected: [], handLost: [], watchChange: [], capture: [] };
+
+        function on(event, callback) {
+            if (!eventListeners[event]) throw new Error(`Unknown event "${event}"`);
+            eventListeners[event].push(callback);
+            return () => {
+                eventListeners[event] = eventListeners[event].filter(entry => entry !== callback);
+            };
+        }
+
+        function emit(event, detail) {
+            eventListeners[event].forEach(callback => {
+                // A failing host callback must not break tracking
+                try {
+                    callback(detail);
+                } catch (error) {
+                    console.error(`WatchTryOn ${event} callback failed:`, error);
+                }
+            });
+        }
+
+        Object.keys(eventListeners).forEach(event => {
+            const callback = options[`on${event[0].toUpperCase()}${event.slice(1)}`];
+            if (callback) on(event, callback);
+        });
+
+        // DOM Elements
+        const videoElement = byId('videoElement');
+        const overlayCanvas = byId('overlayCanvas');
+        const watchCanvas = byId('watchCanvas');
+        const overlayContext = overlayCanvas?.getContext('2d');
+        const watchContext = watchCanvas?.getContext('2d');
+        const imageUpload = byId('imageUpload');
+        const uploadButton = byId('uploadButton');
+        const watchImage = byId('watchImage');
+        const feedback = byId('feedback');
+        const errorDisplay = byId('error');
+        const detectionStatus = byId('detectionStatus');
+        const statusIndicator = byId('statusIndicator');
+        const handInfo = byId('handInfo');
+        const palmIndicator = byId('palmIndicator');
+        const offlineBadge = byId('offlineBadge');
+        const autoHandBtn = byId('autoHandBtn');
+        const leftHandBtn = byId('leftHandBtn');
+        const rightHandBtn = byId('rightHandBtn');
+        const bothHandsBtn = byId('bothHandsBtn');
+        const editedHandControls = byId('editedHandControls');
+        const editedHandSelect = byId('editedHandSelect');
+        const toggleDetectionBtn = byId('toggleDetection');
+        const exportImageBtn = byId('exportImage');
+        const snapshotButton = byId('snapshotButton');
+        const snapshotGallery = byId('snapshotGallery');
+        const snapshotList = byId('snapshotList');
+        const snapshotHint = byId('snapshotHint');
+        const compareSnapshotsBtn = byId('compareSnapshots');
+        const comparisonDialog = byId('comparisonDialog');
+        const comparisonCanvas = byId('comparisonCanvas');
+        const comparisonCloseBtn = byId('comparisonClose');
+        const saveComparisonBtn = byId('saveComparison');
+        const exportOptionInputs = container.querySelectorAll('[data-export-option]');
+        const recordButton = byId('recordButton');
+        const recordingLimitSelect = byId('recordingLimit');
+        const recordGifToggle = byId('recordGifToggle');
+        const recordingStatus = byId('recordingStatus');
+        const recordingDialog = byId('recordingDialog');
+        const recordingPreview = byId('recordingPreview');
+        const gifPreview = byId('gifPreview');
+        const gifStatus = byId('gifStatus');
+        const recordingDiscardBtn = byId('recordingDiscard');
+        const saveGifBtn = byId('saveGif');
+        const saveVideoBtn = byId('saveVideo');
+        const watchCatalogElement = byId('watchCatalog');
+        const strapMaterialSelect = byId('strapMaterial');
+        const strapHueInput = byId('strapHue');
+        const strapSaturationInput = byId('strapSaturation');
+        const dialModeSelect = byId('dialMode');
+        const dialColorInput = byId('dialColor');
+        const dialStrengthInput = byId('dialStrength');
+        const dialImageButton = byId('dialImageButton');
+        const dialImageUpload = byId('dialImageUpload');
+        const watchSizeInput = byId('watchSize');
+        const watchSizeValue = byId('watchSizeValue');
+        const resetCustomizationBtn = byId('resetCustomization');
+        const caseDiameterInput = byId('caseDiameter');
+        const lugToLugInput = byId('lugToLug');
+        const calibrationSummary = byId('calibrationSummary');
+        const calibrateButton = byId('calibrateButton');
+        const calibrationDialog = byId('calibrationDialog');
+        const calibrationStatus = byId('calibrationStatus');
+        const wristCircumferenceInput = byId('wristCircumference');
+        const saveCircumferenceBtn = byId('saveCircumference');
+        const captureCardFrameBtn = byId('captureCardFrame');
+        const calibrationCanvas = byId('calibrationCanvas');
+        const clearCalibrationBtn = byId('clearCalibration');
+        const calibrationCloseBtn = byId('calibrationClose');
+        const perspectiveToggle = byId('perspectiveToggle');
+        const strapWrapToggle = byId('strapWrapToggle');
+        const lightingToggle = byId('lightingToggle');
+        const trackingInputs = container.querySelectorAll('[data-filter-param]');
+        const trackingTimeoutInputs = container.querySelectorAll('[data-tracking-timeout]');
+        const trackingDefaultsBtn = byId('trackingDefaults');
+        const libraryButton = byId('libraryButton');
+        const libraryDialog = byId('libraryDialog');
+        const libraryList = byId('libraryList');
+        const libraryEmpty = byId('libraryEmpty');
+        const libraryImportBtn = byId('libraryImport');
+        const libraryImportInput = byId('libraryImportInput');
+        const libraryExportJsonBtn = byId('libraryExportJson');
+        const libraryExportZipBtn = byId('libraryExportZip');
+        const libraryCloseBtn = byId('libraryClose');
+        const videoContainer = container.querySelector('.video-container');
+        const photoElement = byId('photoElement');
+        const handPhotoUpload = byId('handPhotoUpload');
+        const handPhotoButton = byId('handPhotoButton');
+        const cameraSourceBtn = byId('cameraSourceBtn');
+        const cameraControls = byId('cameraControls');
+        const cameraSelect = byId('cameraSelect');
+        const cameraFacingBtn = byId('cameraFacingBtn');
+        const videoFileButton = byId('videoFileButton');
+        const videoFileUpload = byId('videoFileUpload');
+        const videoFileControls = byId('videoFileControls');
+        const videoPlayPauseBtn = byId('videoPlayPause');
+        const videoSeek = byId('videoSeek');
+        const videoTime = byId('videoTime');
+        const processingCanvas = document.createElement('canvas');
+        const processingContext = processingCanvas?.getContext('2d', { willReadFrequently: true });
+        const maskEditor = MaskEditor.createMaskEditor({
+            dialog: byId('maskEditor'),
+            canvas: byId('maskEditorCanvas'),
+            keepTool: byId('maskKeepTool'),
+            eraseTool: byId('maskEraseTool'),
+            brushSize: byId('maskBrushSize'),
+            undoButton: byId('maskUndo'),
+            redoButton: byId('maskRedo'),
+            showOriginal: byId('maskShowOriginal'),
+            applyButton: byId('maskApply'),
+            cancelButton: byId('maskCancel')
+        });
+
+        // Check if all elements are properly loaded
+        if (!videoElement || !overlayCanvas || !watchCanvas || !overlayContext || !watchContext) {
+            console.error('Required elements not found. Please check your HTML structure.');
+            throw new Error('Required elements not found');
+        }
+
+        // Placement math lives in geometry.js
+        const {
+            resolveHandType,
+            determinePalmDirection,
+            computeWristPlacement,
+            shouldFlipWatch,
+            handBounds,
+            assignHands,
+            WATCH_SIZE_RATIO
+        } = WristGeometry;
+
+        // Global variables
+        const appState = AppState.createAppState(); // Hand, watch, source, model and detection (app-state.js)
+        const { STATES, ACTIONS } = AppState;
+        let handDetector = null, lastFrameTime = 0; // handDetector: a HandDetectors backend
+        let handOrientation = 'unknown';
+        let isDragging = false, dragStartX = 0, dragStartY = 0, initialDistance = 0;
+        let editedHand = 'left'; // Wrist the catalog, customization and size controls apply to in both-wrists mode
+        let autoHand = 'left'; // Wrist wearing the watch in "Either Hand" mode
+        const handednessStabilizer = HandednessStabilizer.createHandednessStabilizer(); // Decides when autoHand switches
+        let secondHandDetector = null; // Second single-hand detector that tracks the other hand in both-wrists mode
+        let modelLoadPromise = null; // Shared by concurrent loadHandDetectionModel callers
+        let detectorGeneration = 0; // Bumped by disposeHandDetectors so loads still running are dropped
+        let segmentationWorker = null, segmentationJob = null, segmentationJobCounter = 0; // Background removal job: { id, resolve, reject }
+        let inputMode = 'video'; // 'video' (camera or file through videoElement) or 'photo'
+        let cameraStoppedForPhoto = false; // Restarted on leaving photo mode
+        let isSeeking = false;
+        let watchCatalog = []; // { id, name, src, metadata, settings, inLibrary, image, width, height, rendered, sizeMm }
+        let activeWatchId = null; // Watch shown in the catalog and customization panel
+        let watchCustomization = null, dialSwapImage = null, customizationRenderPending = false;
+        const handMaskCanvas = document.createElement('canvas'); // Frame with the first hand blanked out
+        const handMaskContext = handMaskCanvas.getContext('2d');
+        const perspectiveCanvas = document.createElement('canvas'); // Warped watch before its shadow is added
+        const perspectiveContext = perspectiveCanvas.getContext('2d');
+        const wrapCanvas = document.createElement('canvas'); // Watch with its straps bent around the wrist
+        const wrapContext = wrapCanvas.getContext('2d');
+        const DETECTION_INTERVAL_MS = 50; // Detection runs at up to ~20 FPS; rendering predicts in between
+        const TRACKING_STORAGE_KEY = 'watch-try-on-tracking';
+        let renderFrameId = null;
+        const TRACKING_TIMEOUTS_STORAGE_KEY = 'watch-try-on-tracking-timeouts';
+        // One track per wrist, each with its own smoothing, loss state, watch and scale
+        const handTracks = {
+            left: createHandTrack('left'),
+            right: createHandTrack('right')
+        };
+        const CUSTOMIZATION_MAX_SIZE = 800; // Longest side of the recolored watch, in pixels
+        const LIT_WATCH_MAX_SIZE = 800; // Longest side of the lighting-adjusted watch, in pixels
+        const DEFAULT_CUSTOMIZATION = {
+            strap: { material: 'original', hue: 28, saturation: 55 },
+            dial: { mode: 'original', color: '#1e3a8a', strength: 60 }
+        };
+        const CATALOG_MANIFEST_URL = assetUrl('watches/catalog.json');
+        // Hand detector backend (see hand-detectors.js) and its options; options.detector
+        // picks another backend. handpose is the fallback for either.
+        const HAND_DETECTOR_BACKEND = options.detector || HandDetectors.BACKENDS.MEDIAPIPE_HANDS;
+        const HAND_DETECTOR_CONFIG = {
+            [HandDetectors.BACKENDS.MEDIAPIPE_HANDS]: {
+                modelType: 'full',
+                maxHands: 2,
+                // Local copies from `npm run vendor` (see offline-assets.js)
+                detectorModelUrl: assetUrl('models/mediapipe-hands/detector/model.json'),
+                landmarkModelUrl: assetUrl('models/mediapipe-hands/landmark/model.json')
+            },
+            [HandDetectors.BACKENDS.HANDPOSE]: {
+                detectionConfidence: 0.8,
+                iouThreshold: 0.3,
+                scoreThreshold: 0.75
+            }
+        };
+        const HAND_MASK_PADDING = 0.25; // Fraction of the first hand's size blanked around it
+        const LIGHTING_SAMPLE_SIZE = 16; // The patch around the wrist is averaged down to this many pixels across
+        const LIGHTING_SAMPLE_SCALE = 2; // Patch size as a multiple of the wrist region
+        const CALIBRATION_STORAGE_KEY = 'watch-try-on-calibration';
+        const RECORDING_FPS = 30;
+        const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        const GIF_FPS = 10;
+        const GIF_MAX_SECONDS = 5; // The GIF covers the start of the recording
+        const GIF_MAX_WIDTH = 320;
+        const recordingCanvas = document.createElement('canvas'); // Video frame with the watches drawn on, streamed to MediaRecorder
+        const recordingContext = recordingCanvas.getContext('2d');
+        const gifFrameCanvas = document.createElement('canvas'); // Downscaled recording frames for the GIF
+        const gifFrameContext = gifFrameCanvas.getContext('2d', { willReadFrequently: true });
+        let recording = null; // { recorder, chunks, mimeType, startedAt, limitMs, frameId, limitTimer, gifFrames, gifWidth, gifHeight, lastGifFrameAt }
+        let recordedClip = null; // { videoUrl, gifUrl } shown in the recording dialog
+        let snapshots = []; // { id, blob, url, width, height, watches, settings, caption, takenAt } taken this session
+        let selectedSnapshots = []; // Snapshot ids picked for comparison, in the order they were picked
+        let snapshotCounter = 0;
+        const EXPORT_STORAGE_KEY = 'watch-try-on-export';
+        const DEFAULT_EXPORT_OPTIONS = {
+            format: 'png', // Key of ImageExport.FORMATS
+            maxSide: 0, // Longest side in pixels; 0 keeps the source size
+            landmarks: false,
+            caption: false,
+            brand: 'Virtual Watch Try-On',
+            metadata: true
+        };
+        const DOWNLOAD_URL_LIFETIME_MS = 40000; // Keeps blob URLs alive until the download has started
+        let exportOptions = loadExportOptions();
+        let wristCalibration = loadWristCalibration(); // { method, knuckleSpanMm } or null
+        let cardCalibration = null; // { knuckleSpanPx, frame, points } while measuring a card
+        const CAMERA_STORAGE_KEY = 'watch-try-on-camera';
+        let cameraChoice = loadCameraChoice(); // { deviceId, facing } asked for when the camera starts
+        let cameraFacing = CameraDevices.FACING.FRONT; // Direction the running camera faces
+        let cameras = []; // { deviceId, label, facing } from CameraDevices.listCameras
+
+        // Display functions
+        const showError = message => {
+            errorDisplay.textContent = message;
+            errorDisplay.style.display = 'block';
+        };
+
+        const clearError = () => {
+            errorDisplay.textContent = '';
+            errorDisplay.style.display = 'none';
+        };
+
+        const updateStatus = (message, type = 'info') => {
+            detectionStatus.textContent = message;
+            statusIndicator.className = `status-indicator ${type === 'error' ? 'inactive' : type === 'warning' ? 'warning' : 'active'}`;
+            detectionStatus.className = `font-medium ${type === 'error' ? 'text-red-600' : type === 'warning' ? 'text-yellow-600' : 'text-blue-600'}`;
+        };
+
+        const updateHandInfo = (handType, palmDir, confidence) => {
+            if (handType !== 'unknown') {
+                handInfo.textContent = `Detected: ${handType} hand, palm ${palmDir} (${(confidence * 100).toFixed(0)}%)`;
+
+                // Update palm indicator
+                palmIndicator.textContent = `${handType.toUpperCase()} HAND - PALM ${palmDir.toUpperCase()}`;
+                palmIndicator.className = `palm-indicator palm-${palmDir} tracking-${editedTrack().state.state}`;
+                palmIndicator.classList.remove('hidden');
+            } else {
+                handInfo.textContent = '';
+                palmIndicator.classList.add('hidden');
+            }
+        };
+
+        // Validate if detected hand matches selected hand
+        function validateHandMatch(detectedHand, selectedHand) {
+            return detectedHand === selectedHand;
+        }
+
+        // Both-wrists mode lists each wrist in the same indicator
+        const updateBothHandsInfo = () => {
+            const tracks = activeTracks();
+            const found = tracks.filter(track => track.position);
+
+            handInfo.textContent = found.length
+                ? `Detected: ${found.map(({ hand, position }) => `${hand} palm ${position.orientation} (${(position.confidence * 100).toFixed(0)}%)`).join(', ')}`
+                : '';
+            palmIndicator.textContent = tracks.map(({ hand, position }) =>
+                `${hand.toUpperCase()} - ${position ? `PALM ${position.orientation.toUpperCase()}` : 'SEARCHING'}`).join(' | ');
+            palmIndicator.className = 'palm-indicator';
+            palmIndicator.classList.toggle('hidden', !found.length);
+        };
+
+        // Hand tracks
+        function createHandTrack(hand) {
+            return {
+                hand,
+                filter: PoseFilter.createPoseFilter(loadTrackingParameters()),
+                state: TrackingState.createTrackingState(loadTrackingTimeouts()),
+                position: null, // Latest filtered (or predicted) pose
+                miss: null, // { message, handType, palmDir, confidence } from the latest detection without this hand
+                watchId: null,
+                scale: 1.0,
+                lighting: Lighting.createLightingSmoother(), // Light around the wrist, smoothed over time
+                lit: null // { source, key, canvas }: the watch image adjusted to that light
+            };
+        }
+
+        // Tracks for the selected hand, or both in both-wrists mode
+        function activeTracks() {
+            const { hand } = appState.snapshot;
+            if (hand === 'both') return [handTracks.left, handTracks.right];
+            if (hand === 'auto') return [handTracks[autoHand]];
+            return hand ? [handTracks[hand]] : [];
+        }
+
+        // The wrist that watch selection, customization and scaling apply to
+        function editedTrack() {
+            const { hand } = appState.snapshot;
+            if (hand === 'auto') return handTracks[autoHand];
+            return handTracks[hand === 'both' ? editedHand : hand || editedHand];
+        }
+
+        function getTrackWatch(track) {
+            return watchCatalog.find(entry => entry.id === track.watchId) || null;
+        }
+
+        // Hand selection event listeners
+        function selectHand(hand) {
+            const previous = editedTrack();
+            if (hand === 'auto') autoHand = previous.hand;
+            appState.dispatch({ type: ACTIONS.CHOOSE_HAND, hand });
+
+            // A wrist without a watch of its own starts with the one on screen
+            activeTracks().forEach(track => {
+                if (!track.watchId && previous.watchId) {
+                    track.watchId = previous.watchId;
+                    track.scale = previous.scale;
+                }
+            });
+            resetTracking();
+            showEditedWatch();
+
+            tryAutoStartCamera();
+            if (hand === 'both') loadSecondHandDetector();
+        }
+
+        [autoHandBtn, leftHandBtn, rightHandBtn, bothHandsBtn].forEach(button => {
+            button.addEventListener('click', () => selectHand(button.dataset.hand));
+        });
+
+        editedHandSelect.addEventListener('change', () => {
+            editedHand = editedHandSelect.value;
+            showEditedWatch();
+        });
+
+        // Application state
+        // Every change of the app state re-renders the status line, the detection button and
+        // the hand buttons from it, and starts or stops the detection loops
+        function isDetecting() {
+            return appState.snapshot.state === STATES.DETECTING;
+        }
+
+        function renderAppState(snapshot, previous = null) {
+            const status = AppState.statusFor(snapshot);
+            // Progress messages (photo detection, camera requests) stay up until the state's own text changes
+            if (!previous || status.message !== AppState.statusFor(previous).message) {
+                updateStatus(status.message, status.type);
+            }
+
+            const control = AppState.detectionControl(snapshot);
+            toggleDetectionBtn.disabled = !control.enabled;
+            toggleDetectionBtn.innerHTML = control.action === 'stop'
+                ? '<i class="material-icons mr-2">pause</i> Stop Detection'
+                : '<i class="material-icons mr-2">play_arrow</i> Start Detection';
+
+            [autoHandBtn, leftHandBtn, rightHandBtn, bothHandsBtn].forEach(button => {
+                button.classList.toggle('active', button.dataset.hand === snapshot.hand);
+            });
+            editedHandControls.classList.toggle('hidden', snapshot.hand !== 'both');
+
+            const wasDetecting = previous?.state === STATES.DETECTING;
+            if (snapshot.state === STATES.DETECTING && !wasDetecting) {
+                startDetectionLoops();
+            } else if (snapshot.state !== STATES.DETECTING && wasDetecting) {
+                resetTracking();
+            }
+        }
+
+        appState.subscribe(renderAppState);
+
+        // Auto-start camera when both hand and watch are selected
+        function tryAutoStartCamera() {
+            if (appState.snapshot.state === STATES.WATCH_READY && inputMode === 'video'
+                && appState.snapshot.source === 'camera' && cameraManager.state === CameraManager.STATES.STOPPED) {
+                startCamera();
+            }
+        }
+
+        // Load hand detection model
+        function loadHandDetectionModel() {
+            // Prevent multiple loading attempts; callers can await the one in flight
+            if (!modelLoadPromise) {
+                const loading = initializeHandDetectionModel().finally(() => {
+                    if (modelLoadPromise === loading) modelLoadPromise = null;
+                });
+                modelLoadPromise = loading;
+            }
+            return modelLoadPromise;
+        }
+
+        async function initializeHandDetectionModel() {
+            const generation = detectorGeneration;
+            appState.dispatch({ type: ACTIONS.MODEL_LOADING });
+            try {
+                // Check if tfjs is available; loadHandDetector checks the detection libraries
+                if (!window.tf) {
+                    throw new Error("TensorFlow.js is not loaded");
+                }
+
+                // handpose's model requests only resolve offline once the service worker is in control
+                await serviceWorkerReady;
+                const detector = await HandDetectors.loadHandDetector(HAND_DETECTOR_BACKEND, getHandDetectionLibraries(), HAND_DETECTOR_CONFIG);
+                // Reset or destroyed while loading
+                if (generation !== detectorGeneration) {
+                    detector.dispose();
+                    return;
+                }
+                handDetector = detector;
+                if (handDetector.name !== HAND_DETECTOR_BACKEND) {
+                    console.warn(`Hand detector "${HAND_DETECTOR_BACKEND}" is unavailable, using "${handDetector.name}"`);
+                }
+
+                console.log(`Hand detection model loaded successfully (${handDetector.name})`);
+                appState.dispatch({ type: ACTIONS.MODEL_LOADED });
+                if (appState.snapshot.hand === 'both') loadSecondHandDetector();
+            } catch (error) {
+                if (generation !== detectorGeneration) return;
+                console.error("Model loading failed:", error);
+                showError(navigator.onLine
+                    ? `Failed to load hand detection model: ${error.message}. Please refresh and try again.`
+                    : "The hand detection model is not available offline on this device. Connect to the network once and reload.");
+                appState.dispatch({ type: ACTIONS.FAIL, cause: 'model', status: "Model loading failed" });
+            }
+        }
+
+        function getHandDetectionLibraries() {
+            return { handPoseDetection: window.handPoseDetection, handpose: window.handpose };
+        }
+
+        function disposeHandDetectors() {
+            detectorGeneration++;
+            modelLoadPromise = null;
+            handDetector?.dispose();
+            secondHandDetector?.dispose();
+            handDetector = null;
+            secondHandDetector = null;
+        }
+
+        // Single-hand detectors (handpose) return at most one hand per call, so both-wrists
+        // mode runs a second instance on the frame with the first hand blanked out. Each
+        // instance keeps following its own hand between frames.
+        async function loadSecondHandDetector() {
+            if (secondHandDetector || !handDetector || handDetector.maxHands > 1) return;
+            const generation = detectorGeneration;
+            try {
+                const detector = await HandDetectors.loadHandDetector(handDetector.name, getHandDetectionLibraries(), HAND_DETECTOR_CONFIG);
+                if (generation !== detectorGeneration) {
+                    detector.dispose();
+                    return;
+                }
+                secondHandDetector = detector;
+            } catch (error) {
+                if (generation !== detectorGeneration) return;
+                console.error("Second hand detector failed to load:", error);
+                showError("Could not load tracking for a second hand. Only one wrist will be tracked.");
+            }
+        }
+
+        // Camera
+        // cameraManager (camera-manager.js) owns the stream: it works down the constraint
+        // ladder, reconnects when the camera goes away and releases it while the page is hidden
+        const cameraManager = CameraManager.createCameraManager({
+            getUserMedia: constraints => navigator.mediaDevices.getUserMedia(constraints),
+            getLadder: () => CameraManager.constraintLadder(cameraChoice),
+            onStream: attachCameraStream,
+            onReconnecting: () => {
+                appState.dispatch({ type: ACTIONS.SOURCE_LOST });
+                resetTracking();
+                updateStatus('Camera disconnected. Reconnecting...', 'warning');
+            },
+            onError: handleCameraError
+        });
+
+        async function startCamera() {
+            clearError();
+            if (!navigator.mediaDevices?.getUserMedia) {
+                showError("Camera access not supported in this browser. Please try a modern browser like Chrome or Firefox.");
+                appState.dispatch({ type: ACTIONS.FAIL, cause: 'source', status: "Camera unavailable" });
+                return;
+            }
+
+            updateStatus('Requesting camera access...', 'warning');
+            await cameraManager.start();
+        }
+
+        function attachCameraStream(stream) {
+            showActiveCamera(stream);
+            videoElement.removeAttribute('src');
+            videoElement.srcObject = stream;
+            videoElement.onloadedmetadata = () => {
+                videoElement.play();
+                setupCanvasesAfterVideo();
+            };
+        }
+
+        // Also drops a stream that is still being requested
+        function stopCamera() {
+            cameraManager.stop();
+            videoElement.srcObject = null;
+        }
+
+        // Errors that no step of the constraint ladder got past
+        function handleCameraError(error) {
+            console.error("Camera access error:", error);
+            let errorMessage = "Cannot access camera. ";
+
+            switch(error.name) {
+                case 'NotAllowedError':
+                    errorMessage += "Please allow camera access and refresh, or use \"Try On a Photo\" instead.";
+                    break;
+                case 'NotFoundError':
+                    errorMessage += "No camera found. Use \"Try On a Photo\" to upload a picture of your wrist.";
+                    break;
+                case 'NotReadableError':
+                    errorMessage += "Camera is in use by another application.";
+                    break;
+                default:
+                    errorMessage += "Please check permissions and try again.";
+            }
+
+            showError(errorMessage);
+            appState.dispatch({
+                type: ACTIONS.FAIL,
+                cause: 'source',
+                status: error.name === 'NotAllowedError' ? "Camera access denied" : "Camera unavailable"
+            });
+        }
+
+        // Release the camera while the page is hidden to save battery, and bring it back on return.
+        // In photo mode the camera is already stopped.
+        listen(document, 'visibilitychange', () => {
+            if (inputMode !== 'video') return;
+            if (document.hidden) {
+                if (cameraManager.suspend()) appState.dispatch({ type: ACTIONS.SOURCE_LOST });
+            } else if (cameraManager.resume()) {
+                resetTracking();
+            }
+        });
+
+        // Camera choice
+        // The picker lists every camera once permission reveals their names; the facing
+        // button switches between front and rear. The last camera used is remembered.
+        function loadCameraChoice() {
+            try {
+                return JSON.parse(localStorage.getItem(CAMERA_STORAGE_KEY)) || {};
+            } catch (error) {
+                return {};
+            }
+        }
+
+        function saveCameraChoice(choice) {
+            cameraChoice = choice;
+            try {
+                localStorage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(choice));
+            } catch (error) {
+                console.warn('Could not store the camera choice:', error);
+            }
+        }
+
+        // Mirroring and the picker follow the camera that actually started
+        function showActiveCamera(stream) {
+            const [track] = stream.getVideoTracks();
+            const settings = track?.getSettings?.() || {};
+            cameraFacing = CameraDevices.activeFacing(settings, track?.label);
+            if (settings.deviceId) saveCameraChoice({ deviceId: settings.deviceId, facing: cameraFacing });
+            refreshCameraList();
+        }
+
+        async function refreshCameraList() {
+            if (!navigator.mediaDevices?.enumerateDevices) return;
+            try {
+                cameras = CameraDevices.listCameras(await navigator.mediaDevices.enumerateDevices());
+            } catch (error) {
+                console.warn("Could not list cameras:", error);
+                cameras = [];
+            }
+            renderCameraControls();
+        }
+
+        function renderCameraControls() {
+            cameraSelect.innerHTML = '';
+            cameras.forEach(camera => {
+                const option = document.createElement('option');
+                option.value = camera.deviceId;
+                option.textContent = camera.label;
+                cameraSelect.appendChild(option);
+            });
+            if (cameras.some(camera => camera.deviceId === cameraChoice.deviceId)) {
+                cameraSelect.value = cameraChoice.deviceId;
+            }
+            cameraFacingBtn.innerHTML = cameraFacing === CameraDevices.FACING.REAR
+                ? '<i class="material-icons mr-2">flip_camera_android</i> Front Camera'
+                : '<i class="material-icons mr-2">flip_camera_android</i> Rear Camera';
+            updateSourceButtons();
+        }
+
+        function switchCamera(choice) {
+            saveCameraChoice(choice);
+            if (inputMode !== 'video' || appState.snapshot.source !== 'camera') return;
+
+            stopCamera();
+            appState.dispatch({ type: ACTIONS.SOURCE_LOST });
+            resetTracking();
+            startCamera();
+        }
+
+        cameraSelect.addEventListener('change', () => {
+            const camera = cameras.find(entry => entry.deviceId === cameraSelect.value);
+            switchCamera({ deviceId: cameraSelect.value, facing: camera?.facing || cameraFacing });
+        });
+
+        cameraFacingBtn.addEventListener('click', () => {
+            const facing = CameraDevices.oppositeFacing(cameraFacing);
+            switchCamera({ deviceId: CameraDevices.findCamera(cameras, facing)?.deviceId || null, facing });
+        });
+
+        // Cameras plugged in or out while the page is open
+        if (navigator.mediaDevices) listen(navigator.mediaDevices, 'devicechange', refreshCameraList);
+
+        // Image upload handling
+        uploadButton.addEventListener('click', () => imageUpload.click());
+
+        imageUpload.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+
+            // Allow the same file to be picked again later
+            imageUpload.value = '';
+            if (!file) return;
+
+            clearError();
+            const previewUrl = URL.createObjectURL(file);
+            watchImage.src = previewUrl;
+            watchImage.classList.remove('hidden');
+            feedback.textContent = "Processing watch image...";
+
+            try {
+                const original = await loadImage(previewUrl);
+
+                // Picking another image cancels a job that is still running
+                const segmentation = await processWatchImage(file);
+                if (!segmentation) return;
+
+                // Let staff fix the automatic mask before the watch is committed
+                feedback.textContent = "Refine the cut-out, then click \"Use This Cut-Out\".";
+                const mask = await maskEditor.open({ image: original, ...segmentation });
+                if (!mask) {
+                    feedback.textContent = "Watch upload cancelled.";
+                    return;
+                }
+
+                const processedBlob = await createCutoutBlob(original, mask, segmentation.width, segmentation.height);
+                const processedImage = await loadImage(URL.createObjectURL(processedBlob));
+                const entry = addWatchToCatalog({
+                    id: `upload-${Date.now()}`,
+                    name: file.name.replace(/\.[^.]+$/, ''),
+                    src: processedImage.src,
+                    metadata: { source: 'upload' },
+                    settings: { scale: editedTrack().scale }
+                }, processedImage);
+
+                feedback.textContent = "Watch image processed successfully!";
+                selectWatch(entry.id);
+                await saveWatchToLibrary(entry, file, processedBlob);
+            } catch (error) {
+                console.error("Watch image processing failed:", error);
+                feedback.textContent = "";
+                showError("Error loading image. Try another.");
+            } finally {
+                URL.revokeObjectURL(previewUrl);
+            }
+        });
+
+        // Watch catalog
+        // Load watch definitions (options.watches, or the bundled manifest) and build the
+        // thumbnail strip. Bundled images resolve against the widget's files, the host's
+        // own against the page.
+        async function loadWatchCatalog() {
+            const source = options.watches || CATALOG_MANIFEST_URL;
+            const imageBase = options.watches ? location.href : baseUrl;
+            try {
+                let manifest = source;
+                if (!Array.isArray(source)) {
+                    const response = await fetch(source);
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    manifest = await response.json();
+                }
+                const entries = Array.isArray(manifest) ? manifest : manifest.watches || [];
+
+                // Images load in parallel but are added in manifest order, whichever arrives first
+                const images = await Promise.all(entries.map(definition =>
+                    loadImage(new URL(definition.image, imageBase).href).catch(error => {
+                        console.warn(`Skipping catalog watch "${definition.id}":`, error);
+                        return null;
+                    })));
+                entries.forEach((definition, index) => {
+                    const image = images[index];
+                    if (!image) return;
+                    addWatchToCatalog({
+                        id: definition.id,
+                        name: definition.name || definition.id,
+                        src: image.src,
+                        metadata: definition.metadata || {}
+                    }, image);
+                });
+            } catch (error) {
+                console.warn("Watch catalog could not be loaded:", error);
+            }
+        }
+
+        function loadImage(src) {
+            return new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error(`Failed to load ${src}`));
+                img.src = src;
+            });
+        }
+
+        // Add a ready-to-draw watch image to the catalog (replacing an entry with the same id)
+        function addWatchToCatalog(definition, image) {
+            const entry = {
+                ...definition,
+                image,
+                width: image.naturalWidth || image.width,
+                height: image.naturalHeight || image.height
+            };
+
+            const existingIndex = watchCatalog.findIndex(watch => watch.id === entry.id);
+            if (existingIndex >= 0) {
+                watchCatalog[existingIndex] = entry;
+            } else {
+                watchCatalog.push(entry);
+            }
+
+            renderWatchCatalog();
+            return entry;
+        }
+
+        function renderWatchCatalog() {
+            watchCatalogElement.innerHTML = '';
+            watchCatalogElement.classList.toggle('hidden', watchCatalog.length === 0);
+
+            watchCatalog.forEach(watch => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = `catalog-item${watch.id === activeWatchId ? ' active' : ''}`;
+                item.dataset.watchId = watch.id;
+                item.title = watch.name;
+
+                const thumbnail = document.createElement('img');
+                thumbnail.src = watch.src;
+                thumbnail.alt = watch.name;
+
+                const label = document.createElement('span');
+                label.textContent = watch.name;
+
+                item.append(thumbnail, label);
+                watchCatalogElement.appendChild(item);
+            });
+        }
+
+        // Put a watch on the edited wrist; detection and camera keep running
+        function selectWatch(id) {
+            const watch = watchCatalog.find(entry => entry.id === id);
+            if (!watch) return;
+
+            const track = editedTrack();
+            track.watchId = watch.id;
+            if (watch.settings?.scale) track.scale = watch.settings.scale;
+            emit('watchChange', { hand: track.hand, watch: publicWatch(watch) });
+            watchCustomization = structuredClone(watch.settings?.customization || DEFAULT_CUSTOMIZATION);
+            dialSwapImage = null;
+            showActiveWatch(watch);
+            renderCustomizedWatch();
+            updateActiveWatchSize();
+
+            appState.dispatch({ type: ACTIONS.WATCH_LOADED });
+            redrawPhotoTryOn();
+            tryAutoStartCamera();
+        }
+
+        // Show the edited wrist's watch in the catalog and customization panel
+        function showEditedWatch() {
+            const watch = getTrackWatch(editedTrack());
+            if (!watch) {
+                syncWatchSizeControl();
+                return;
+            }
+
+            watchCustomization = structuredClone(watch.settings?.customization || DEFAULT_CUSTOMIZATION);
+            dialSwapImage = null;
+            showActiveWatch(watch);
+            if (!watch.rendered) renderCustomizedWatch();
+            if (watch.sizeMm === undefined) updateActiveWatchSize();
+        }
+
+        function showActiveWatch(watch) {
+            activeWatchId = watch.id;
+            syncCustomizationControls();
+            syncDimensionControls(watch);
+
+            watchImage.src = watch.src;
+            watchImage.alt = watch.name;
+            watchImage.classList.remove('hidden');
+
+            watchCatalogElement.querySelectorAll('.catalog-item').forEach(item => {
+                item.classList.toggle('active', item.dataset.watchId === watch.id);
+            });
+        }
+
+        watchCatalogElement.addEventListener('click', (event) => {
+            const item = event.target.closest('.catalog-item');
+            if (item) selectWatch(item.dataset.watchId);
+        });
+
+        function removeWatchFromCatalog(id) {
+            const watch = watchCatalog.find(entry => entry.id === id);
+            if (!watch) return;
+
+            watchCatalog = watchCatalog.filter(entry => entry !== watch);
+            if (watch.src.startsWith('blob:')) URL.revokeObjectURL(watch.src);
+
+            // Wrists wearing the removed watch fall back to the first remaining one
+            Object.values(handTracks).forEach(track => {
+                if (track.watchId === id) track.watchId = watchCatalog[0]?.id || null;
+            });
+
+            if (activeWatchId === id) {
+                activeWatchId = null;
+                if (watchCatalog.length) {
+                    selectWatch(watchCatalog[0].id);
+                } else {
+                    watchImage.classList.add('hidden');
+                    watchContext.clearRect(0, 0, watchCanvas.width, watchCanvas.height);
+                    appState.dispatch({ type: ACTIONS.WATCH_REMOVED });
+                }
+            }
+            renderWatchCatalog();
+        }
+
+        // Clamp, apply and remember the watch scale for the edited wrist and its watch
+        function setWatchScale(scale) {
+            const track = editedTrack();
+            track.scale = Math.max(0.5, Math.min(3.0, scale));
+            syncWatchSizeControl();
+            redrawPhotoTryOn();
+            updateActiveWatchSettings({ scale: track.scale });
+        }
+
+        function updateActiveWatchSettings(changes) {
+            const watch = watchCatalog.find(entry => entry.id === activeWatchId);
+            if (!watch) return;
+
+            watch.settings = { ...watch.settings, ...changes };
+            if (watch.inLibrary) persistWatchSettings(watch);
+        }
+
+        const persistWatchSettings = debounce((watch) => {
+            WatchLibrary.updateSettings(watch.id, watch.settings)
+                .catch(error => console.warn("Could not save watch settings:", error));
+        }, 500);
+
+        // Watch customization
+        // The active watch is recolored into its own canvas whenever a control changes;
+        // drawWatch simply draws each watch's `rendered` image, so changes show up on the next frame.
+        function getCustomizationBase(watch) {
+            if (!watch.customizationBase) {
+                const scale = Math.min(1, CUSTOMIZATION_MAX_SIZE / Math.max(watch.width, watch.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(watch.width * scale));
+                canvas.height = Math.max(1, Math.round(watch.height * scale));
+
+                const context = canvas.getContext('2d', { willReadFrequently: true });
+                context.drawImage(watch.image, 0, 0, canvas.width, canvas.height);
+                const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+
+                watch.customizationBase = {
+                    imageData,
+                    regions: WatchCustomization.segmentWatchRegions(imageData.data, canvas.width, canvas.height)
+                };
+            }
+            return watch.customizationBase;
+        }
+
+        function renderCustomizedWatch() {
+            const watch = watchCatalog.find(entry => entry.id === activeWatchId);
+            if (!watch || !watchCustomization) return;
+
+            // Lighting-adjusted copies were made from the previous rendering
+            Object.values(handTracks).forEach(track => {
+                track.lit = null;
+            });
+
+            const { strap, dial } = watchCustomization;
+            const swapsDial = dial.mode === 'image' && dialSwapImage;
+            if (strap.material === 'original' && dial.mode !== 'tint' && !swapsDial) {
+                watch.rendered = watch.image;
+                redrawPhotoTryOn();
+                return;
+            }
+
+            const { imageData, regions } = getCustomizationBase(watch);
+            const pixels = new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+            WatchCustomization.recolorStrap(pixels.data, regions.labels, strap);
+            WatchCustomization.tintDial(pixels.data, regions.labels, dial);
+
+            // Per watch, so a different watch on the other wrist keeps its own colors
+            watch.customizationCanvas ||= document.createElement('canvas');
+            const customizationCanvas = watch.customizationCanvas;
+            const customizationContext = customizationCanvas.getContext('2d');
+            customizationCanvas.width = pixels.width;
+            customizationCanvas.height = pixels.height;
+            customizationContext.putImageData(pixels, 0, 0);
+
+            if (swapsDial && regions.dial) {
+                // Cover-fit the new dial inside the dial circle
+                const { x, y, radius } = regions.dial;
+                const cover = Math.max((radius * 2) / dialSwapImage.width, (radius * 2) / dialSwapImage.height);
+                const drawWidth = dialSwapImage.width * cover;
+                const drawHeight = dialSwapImage.height * cover;
+
+                customizationContext.save();
+                customizationContext.beginPath();
+                customizationContext.arc(x, y, radius, 0, 2 * Math.PI);
+                customizationContext.clip();
+                customizationContext.drawImage(dialSwapImage, x - drawWidth / 2, y - drawHeight / 2, drawWidth, drawHeight);
+                customizationContext.restore();
+            }
+
+            watch.rendered = customizationCanvas;
+            redrawPhotoTryOn();
+        }
+
+        function scheduleCustomizationRender() {
+            if (customizationRenderPending) return;
+            customizationRenderPending = true;
+            requestAnimationFrame(() => {
+                customizationRenderPending = false;
+                renderCustomizedWatch();
+            });
+        }
+
+        function syncCustomizationControls() {
+            const { strap, dial } = watchCustomization;
+            strapMaterialSelect.value = strap.material;
+            strapHueInput.value = strap.hue;
+            strapSaturationInput.value = strap.saturation;
+            dialModeSelect.value = dial.mode;
+            dialColorInput.value = dial.color;
+            dialStrengthInput.value = dial.strength;
+
+            strapHueInput.disabled = strapSaturationInput.disabled = strap.material === 'original';
+            dialColorInput.disabled = dialStrengthInput.disabled = dial.mode !== 'tint';
+            dialImageButton.disabled = dial.mode !== 'image';
+            syncWatchSizeControl();
+        }
+
+        function syncWatchSizeControl() {
+            const percent = Math.round(editedTrack().scale * 100);
+            watchSizeInput.value = percent;
+            watchSizeValue.textContent = `${percent}%`;
+        }
+
+        function onCustomizationInput() {
+            if (!watchCustomization) return;
+
+            watchCustomization = {
+                strap: {
+                    material: strapMaterialSelect.value,
+                    hue: Number(strapHueInput.value),
+                    saturation: Number(strapSaturationInput.value)
+                },
+                dial: {
+                    mode: dialModeSelect.value,
+                    color: dialColorInput.value,
+                    strength: Number(dialStrengthInput.value)
+                }
+            };
+
+            syncCustomizationControls();
+            scheduleCustomizationRender();
+            updateActiveWatchSettings({ customization: watchCustomization });
+        }
+
+        // Picking a material starts from that material's color
+        strapMaterialSelect.addEventListener('change', () => {
+            const preset = WatchCustomization.MATERIALS[strapMaterialSelect.value];
+            if (preset) {
+                strapHueInput.value = preset.hue;
+                strapSaturationInput.value = preset.saturation;
+            }
+            onCustomizationInput();
+        });
+
+        [strapHueInput, strapSaturationInput, dialColorInput, dialStrengthInput].forEach(input => {
+            input.addEventListener('input', onCustomizationInput);
+        });
+
+        dialModeSelect.addEventListener('change', () => {
+            onCustomizationInput();
+            if (dialModeSelect.value === 'image' && !dialSwapImage) dialImageUpload.click();
+        });
+
+        dialImageButton.addEventListener('click', () => dialImageUpload.click());
+
+        dialImageUpload.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            dialImageUpload.value = '';
+            if (!file) return;
+
+            try {
+                dialSwapImage = await loadImage(URL.createObjectURL(file));
+                scheduleCustomizationRender();
+            } catch (error) {
+                showError("Could not load that dial image.");
+            }
+        });
+
+        watchSizeInput.addEventListener('input', () => setWatchScale(Number(watchSizeInput.value) / 100));
+        perspectiveToggle.addEventListener('change', redrawPhotoTryOn);
+        strapWrapToggle.addEventListener('change', redrawPhotoTryOn);
+        lightingToggle.addEventListener('change', redrawPhotoTryOn);
+
+        resetCustomizationBtn.addEventListener('click', () => {
+            if (!watchCustomization) return;
+            watchCustomization = structuredClone(DEFAULT_CUSTOMIZATION);
+            dialSwapImage = null;
+            syncCustomizationControls();
+            scheduleCustomizationRender();
+            updateActiveWatchSettings({ customization: watchCustomization });
+            setWatchScale(1.0);
+        });
+
+        // Tracking smoothing
+        // Filter parameters are edited through the sliders in the "Tracking Smoothing" panel;
+        // each slider's data-filter-param names its parameter (e.g. "position.beta"). Both
+        // wrists share the same settings.
+        function loadTrackingParameters() {
+            try {
+                return JSON.parse(localStorage.getItem(TRACKING_STORAGE_KEY)) || {};
+            } catch (error) {
+                return {};
+            }
+        }
+
+        function saveTrackingParameters() {
+            try {
+                localStorage.setItem(TRACKING_STORAGE_KEY, JSON.stringify(handTracks.left.filter.getParameters()));
+            } catch (error) {
+                console.warn('Could not store the tracking settings:', error);
+            }
+        }
+
+        function syncTrackingControls() {
+            const parameters = handTracks.left.filter.getParameters();
+            trackingInputs.forEach(input => {
+                const value = input.dataset.filterParam.split('.').reduce((group, key) => group[key], parameters);
+                input.value = value;
+                input.nextElementSibling.textContent = value;
+            });
+        }
+
+        // Applies to every wrist and is remembered; used by the sliders and setSmoothing()
+        function applyTrackingParameters(changes) {
+            Object.values(handTracks).forEach(track => track.filter.setParameters(changes));
+            saveTrackingParameters();
+        }
+
+        trackingInputs.forEach(input => {
+            input.addEventListener('input', () => {
+                const [group, key] = input.dataset.filterParam.split('.');
+                const value = Number(input.value);
+                applyTrackingParameters(key ? { [group]: { [key]: value } } : { [group]: value });
+                input.nextElementSibling.textContent = value;
+            });
+        });
+
+        function loadTrackingTimeouts() {
+            try {
+                return JSON.parse(localStorage.getItem(TRACKING_TIMEOUTS_STORAGE_KEY)) || {};
+            } catch (error) {
+                return {};
+            }
+        }
+
+        function saveTrackingTimeouts() {
+            try {
+                localStorage.setItem(TRACKING_TIMEOUTS_STORAGE_KEY, JSON.stringify(handTracks.left.state.getTimeouts()));
+            } catch (error) {
+                console.warn('Could not store the tracking timeouts:', error);
+            }
+        }
+
+        function syncTrackingTimeoutControls() {
+            const timeouts = handTracks.left.state.getTimeouts();
+            trackingTimeoutInputs.forEach(input => {
+                input.value = timeouts[input.dataset.trackingTimeout];
+                input.nextElementSibling.textContent = input.value;
+            });
+        }
+
+        // Applies to every wrist and is remembered; used by the sliders and setTrackingTimeouts()
+        function applyTrackingTimeouts(changes) {
+            Object.values(handTracks).forEach(track => track.state.setTimeouts(changes));
+            saveTrackingTimeouts();
+        }
+
+        trackingTimeoutInputs.forEach(input => {
+            input.addEventListener('input', () => {
+                applyTrackingTimeouts({ [input.dataset.trackingTimeout]: Number(input.value) });
+                input.nextElementSibling.textContent = input.value;
+            });
+        });
+
+        trackingDefaultsBtn.addEventListener('click', () => {
+            Object.values(handTracks).forEach(track => {
+                track.filter.setParameters(PoseFilter.DEFAULT_PARAMETERS);
+                track.state.setTimeouts(TrackingState.DEFAULT_TIMEOUTS);
+            });
+            saveTrackingParameters();
+            saveTrackingTimeouts();
+            syncTrackingControls();
+            syncTrackingTimeoutControls();
+        });
+        syncTrackingTimeoutControls();
+        syncTrackingControls();
+
+        // Real-world sizing
+        // Catalog metadata supplies case diameter and lug-to-lug length; the Size fields
+        // override them per watch (and are the only source for uploads).
+        function getWatchDimensions(watch) {
+            return { ...watch.metadata, ...watch.settings?.dimensions };
+        }
+
+        function updateActiveWatchSize() {
+            const watch = watchCatalog.find(entry => entry.id === activeWatchId);
+            if (!watch) return;
+
+            const { imageData, regions } = getCustomizationBase(watch);
+            // Whole watch image in mm, or null when the watch has no dimensions
+            watch.sizeMm = WatchSizing.measureWatch(getWatchDimensions(watch), regions, imageData.width, imageData.height);
+            redrawPhotoTryOn();
+        }
+
+        function syncDimensionControls(watch) {
+            const { caseDiameterMm, lugToLugMm } = getWatchDimensions(watch);
+            caseDiameterInput.value = caseDiameterMm || '';
+            lugToLugInput.value = lugToLugMm || '';
+        }
+
+        function onDimensionInput() {
+            const readMm = input => Number(input.value) > 0 ? Number(input.value) : null;
+            updateActiveWatchSettings({
+                dimensions: { caseDiameterMm: readMm(caseDiameterInput), lugToLugMm: readMm(lugToLugInput) }
+            });
+            updateActiveWatchSize();
+        }
+
+        caseDiameterInput.addEventListener('input', onDimensionInput);
+        lugToLugInput.addEventListener('input', onDimensionInput);
+
+        function loadWristCalibration() {
+            try {
+                const calibration = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY));
+                return calibration?.knuckleSpanMm > 0 ? calibration : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        function saveWristCalibration(calibration) {
+            wristCalibration = calibration;
+            try {
+                if (calibration) {
+                    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibration));
+                } else {
+                    localStorage.removeItem(CALIBRATION_STORAGE_KEY);
+                }
+            } catch (error) {
+                console.warn('Could not store the wrist calibration:', error);
+            }
+            updateCalibrationSummary();
+            redrawPhotoTryOn();
+        }
+
+        function updateCalibrationSummary() {
+            const text = wristCalibration
+                ? `Calibrated by ${wristCalibration.method === 'card' ? 'card' : 'wrist measurement'} (knuckle span ${wristCalibration.knuckleSpanMm.toFixed(0)} mm)`
+                : 'Using an average wrist. Calibrate for true size.';
+            calibrationSummary.textContent = text;
+            calibrationStatus.textContent = text;
+        }
+
+        function openCalibrationDialog() {
+            cardCalibration = null;
+            calibrationCanvas.classList.add('hidden');
+            updateCalibrationSummary();
+            calibrationDialog.classList.remove('hidden');
+        }
+
+        function closeCalibrationDialog() {
+            cardCalibration = null;
+            calibrationDialog.classList.add('hidden');
+        }
+
+        // Plausible adult knuckle spans; anything outside is almost certainly a mis-click
+        function isPlausibleKnuckleSpan(mm) {
+            return mm >= 40 && mm <= 110;
+        }
+
+        saveCircumferenceBtn.addEventListener('click', () => {
+            const circumference = Number(wristCircumferenceInput.value);
+            const knuckleSpanMm = WatchSizing.knuckleSpanFromCircumference(circumference);
+
+            if (!(circumference > 0) || !isPlausibleKnuckleSpan(knuckleSpanMm)) {
+                showError("Enter your wrist circumference in millimeters, for example 165.");
+                return;
+            }
+
+            saveWristCalibration({ method: 'circumference', circumferenceMm: circumference, knuckleSpanMm });
+            feedback.textContent = "Wrist size saved.";
+            closeCalibrationDialog();
+        });
+
+        // Freeze the current frame so both ends of the card can be clicked
+        captureCardFrameBtn.addEventListener('click', () => {
+            const measured = activeTracks().find(track => track.position?.span);
+            if (!measured) {
+                showError("Show your hand with the card next to it first, so both can be measured.");
+                return;
+            }
+
+            const source = inputMode === 'photo' ? photoElement : videoElement;
+            calibrationCanvas.width = overlayCanvas.width;
+            calibrationCanvas.height = overlayCanvas.height;
+            const context = calibrationCanvas.getContext('2d');
+            context.save();
+            if (inputMode !== 'photo' && isMirroredSource()) {
+                context.translate(calibrationCanvas.width, 0);
+                context.scale(-1, 1);
+            }
+            context.drawImage(source, 0, 0, calibrationCanvas.width, calibrationCanvas.height);
+            context.restore();
+            cardCalibration = {
+                knuckleSpanPx: measured.position.span,
+                frame: context.getImageData(0, 0, calibrationCanvas.width, calibrationCanvas.height),
+                points: []
+            };
+
+            calibrationCanvas.classList.remove('hidden');
+            calibrationStatus.textContent = 'Click the left and right ends of the card.';
+        });
+
+        calibrationCanvas.addEventListener('click', (event) => {
+            if (!cardCalibration || cardCalibration.points.length >= 2) return;
+
+            const rect = calibrationCanvas.getBoundingClientRect();
+            const point = {
+                x: (event.clientX - rect.left) * (calibrationCanvas.width / rect.width),
+                y: (event.clientY - rect.top) * (calibrationCanvas.height / rect.height)
+            };
+            cardCalibration.points.push(point);
+
+            const context = calibrationCanvas.getContext('2d');
+            context.putImageData(cardCalibration.frame, 0, 0);
+            context.strokeStyle = context.fillStyle = '#22c55e';
+            context.lineWidth = 3;
+            cardCalibration.points.forEach(({ x, y }) => {
+                context.beginPath();
+                context.arc(x, y, 6, 0, 2 * Math.PI);
+                context.fill();
+            });
+
+            if (cardCalibration.points.length < 2) return;
+
+            const [a, b] = cardCalibration.points;
+            context.beginPath();
+            context.moveTo(a.x, a.y);
+            context.lineTo(b.x, b.y);
+            context.stroke();
+
+            const knuckleSpanMm = WatchSizing.knuckleSpanFromCard(Math.hypot(b.x - a.x, b.y - a.y), cardCalibration.knuckleSpanPx);
+            if (!isPlausibleKnuckleSpan(knuckleSpanMm)) {
+                cardCalibration.points = [];
+                calibrationStatus.textContent = 'That measurement looks wrong. Click the two short ends of the card again.';
+                return;
+            }
+
+            saveWristCalibration({ method: 'card', knuckleSpanMm });
+            feedback.textContent = "Card calibration saved.";
+        });
+
+        calibrateButton.addEventListener('click', openCalibrationDialog);
+        clearCalibrationBtn.addEventListener('click', () => {
+            saveWristCalibration(null);
+            feedback.textContent = "Using an average wrist size.";
+        });
+        calibrationCloseBtn.addEventListener('click', closeCalibrationDialog);
+        updateCalibrationSummary();
+
+        // Watch library
+        // Processed uploads are kept in IndexedDB so they survive reloads
+        async function loadWatchLibrary() {
+            try {
+                const records = await WatchLibrary.list();
+                for (const record of records) {
+                    await addLibraryRecordToCatalog(record);
+                }
+            } catch (error) {
+                console.warn("Watch library unavailable:", error);
+            }
+        }
+
+        async function addLibraryRecordToCatalog(record) {
+            const image = await loadImage(URL.createObjectURL(record.processedBlob));
+            return addWatchToCatalog({
+                id: record.id,
+                name: record.name,
+                src: image.src,
+                metadata: record.metadata,
+                settings: record.settings,
+                inLibrary: true
+            }, image);
+        }
+
+        async function saveWatchToLibrary(entry, sourceBlob, processedBlob) {
+            try {
+                await WatchLibrary.save({
+                    id: entry.id,
+                    name: entry.name,
+                    sourceBlob,
+                    processedBlob,
+                    settings: entry.settings,
+                    metadata: entry.metadata
+                });
+                entry.inLibrary = true;
+                if (!libraryDialog.classList.contains('hidden')) renderLibraryList();
+            } catch (error) {
+                console.warn("Could not save watch to the library:", error);
+                showError("The watch could not be saved to this device's library. It will be lost on reload.");
+            }
+        }
+
+        function renderLibraryList() {
+            const savedWatches = watchCatalog.filter(watch => watch.inLibrary);
+            libraryList.innerHTML = '';
+            libraryEmpty.classList.toggle('hidden', savedWatches.length > 0);
+            libraryExportJsonBtn.disabled = libraryExportZipBtn.disabled = savedWatches.length === 0;
+
+            savedWatches.forEach(watch => {
+                const item = document.createElement('li');
+                item.className = `library-item${watch.id === activeWatchId ? ' active' : ''}`;
+                item.dataset.watchId = watch.id;
+
+                const thumbnail = document.createElement('img');
+                thumbnail.src = watch.src;
+                thumbnail.alt = '';
+
+                const nameInput = document.createElement('input');
+                nameInput.type = 'text';
+                nameInput.value = watch.name;
+                nameInput.className = 'library-name';
+                nameInput.setAttribute('aria-label', 'Watch name');
+
+                const useButton = document.createElement('button');
+                useButton.className = 'secondary-button';
+                useButton.dataset.action = 'use';
+                useButton.textContent = 'Use';
+
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'tool-button';
+                deleteButton.dataset.action = 'delete';
+                deleteButton.title = 'Delete from library';
+                deleteButton.innerHTML = '<i class="material-icons">delete</i>';
+
+                item.append(thumbnail, nameInput, useButton, deleteButton);
+                libraryList.appendChild(item);
+            });
+        }
+
+        libraryButton.addEventListener('click', () => {
+            renderLibraryList();
+            libraryDialog.classList.remove('hidden');
+        });
+
+        libraryCloseBtn.addEventListener('click', () => libraryDialog.classList.add('hidden'));
+
+        libraryList.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.closest('.library-item').dataset.watchId;
+
+            if (button.dataset.action === 'use') {
+                selectWatch(id);
+                libraryDialog.classList.add('hidden');
+            } else if (button.dataset.action === 'delete') {
+                const watch = watchCatalog.find(entry => entry.id === id);
+                if (!confirm(`Delete "${watch.name}" from the library?`)) return;
+
+                try {
+                    await WatchLibrary.remove(id);
+                    removeWatchFromCatalog(id);
+                    renderLibraryList();
+                } catch (error) {
+                    console.error("Could not delete watch:", error);
+                    showError("Could not delete the watch from the library.");
+                }
+            }
+        });
+
+        libraryList.addEventListener('change', async (event) => {
+            if (!event.target.classList.contains('library-name')) return;
+            const id = event.target.closest('.library-item').dataset.watchId;
+            const name = event.target.value.trim();
+            const watch = watchCatalog.find(entry => entry.id === id);
+            if (!name || !watch) {
+                event.target.value = watch?.name || '';
+                return;
+            }
+
+            try {
+                await WatchLibrary.rename(id, name);
+                watch.name = name;
+                renderWatchCatalog();
+            } catch (error) {
+                console.error("Could not rename watch:", error);
+                showError("Could not rename the watch.");
+            }
+        });
+
+        async function exportWatchLibrary(format) {
+            try {
+                const records = await WatchLibrary.list();
+                const blob = format === 'zip' ? await WatchLibrary.exportZip(records) : await WatchLibrary.exportJSON(records);
+
+                const link = document.createElement('a');
+                link.download = `watch-library-${new Date().toISOString().slice(0, 10)}.${format}`;
+                link.href = URL.createObjectURL(blob);
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            } catch (error) {
+                console.error("Library export failed:", error);
+                showError(`Could not export the library: ${error.message}`);
+            }
+        }
+
+        libraryExportJsonBtn.addEventListener('click', () => exportWatchLibrary('json'));
+        libraryExportZipBtn.addEventListener('click', () => exportWatchLibrary('zip'));
+        libraryImportBtn.addEventListener('click', () => libraryImportInput.click());
+
+        libraryImportInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            libraryImportInput.value = '';
+            if (!file) return;
+
+            clearError();
+            try {
+                const records = await WatchLibrary.importFile(file);
+                for (const record of records) {
+                    const saved = await WatchLibrary.save(record);
+                    await addLibraryRecordToCatalog(saved);
+                }
+                renderLibraryList();
+                feedback.textContent = `Imported ${records.length} watch${records.length === 1 ? '' : 'es'}.`;
+            } catch (error) {
+                console.error("Library import failed:", error);
+                showError(`Could not import the library: ${error.message}`);
+            }
+        });
+
+        // Still-photo try-on
+        handPhotoButton.addEventListener('click', () => handPhotoUpload.click());
+
+        handPhotoUpload.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            handPhotoUpload.value = '';
+            if (!file) return;
+
+            clearError();
+            // Kept while the photo's wrist is on screen; the next photo revokes it
+            const url = URL.createObjectURL(file);
+            try {
+                const photo = await loadImage(url);
+                if (!(await startPhotoTryOn(photo))) URL.revokeObjectURL(url);
+            } catch (error) {
+                URL.revokeObjectURL(url);
+                console.error("Photo try-on failed:", error);
+                showError("Could not read that photo. Please try another image.");
+            }
+        });
+
+        // Run hand detection once on an uploaded photo and composite the watch over it.
+        // Resolves with whether a wrist was found.
+        async function startPhotoTryOn(photo) {
+            if (!appState.snapshot.hand) {
+                showError("Please select which hand to use first.");
+                return false;
+            }
+
+            stopDetection();
+
+            if (photoElement.src.startsWith('blob:')) {
+                URL.revokeObjectURL(photoElement.src);
+            }
+
+            inputMode = 'photo';
+            videoElement.pause();
+            // The camera isn't needed behind a still, and left running it would reconnect
+            // or resume over the photo
+            if (appState.snapshot.source === 'camera' && cameraManager.state !== CameraManager.STATES.STOPPED) {
+                stopCamera();
+                cameraStoppedForPhoto = true;
+                appState.dispatch({ type: ACTIONS.SOURCE_LOST });
+            }
+            updateSourceButtons();
+            photoElement.src = photo.src;
+            photoElement.classList.remove('hidden');
+            videoElement.classList.add('hidden');
+            videoContainer.classList.add('photo-mode');
+
+            resizeCanvases(photo.naturalWidth, photo.naturalHeight);
+            overlayContext.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+            watchContext.clearRect(0, 0, watchCanvas.width, watchCanvas.height);
+
+            if (!handDetector) {
+                updateStatus("Loading hand detection model...", 'warning');
+                await loadHandDetectionModel();
+                if (!handDetector) return false;
+            }
+
+            updateStatus("Finding your wrist in the photo...", 'warning');
+
+            // A still has no motion history to smooth against
+            resetTracking();
+            const found = await detectWrists(photoElement, { flipHorizontal: false });
+            found.forEach(track => emit('handDetected', { hand: track.hand, source: 'photo' }));
+
+            if (!found.length) return false;
+
+            if (found.some(getTrackWatch)) {
+                drawWatch();
+                if (found.length < activeTracks().length) return true; // The miss for the other wrist stays up
+                const wrists = appState.snapshot.hand === 'both' ? 'wrists' : `${found[0].hand} wrist`;
+                updateStatus(`Watch placed on your ${wrists}. Use "Save Image" to download it.`);
+            } else {
+                updateStatus('Wrist found. Choose or upload a watch to place it.', 'warning');
+            }
+            return true;
+        }
+
+        // Re-render the still composite after the watch or its scale changes
+        function redrawPhotoTryOn() {
+            if (inputMode === 'photo' && activeTracks().some(track => track.position)) {
+                drawWatch();
+            }
+        }
+
+        // Return from a still photo to whichever video source was active
+        function leavePhotoMode() {
+            inputMode = 'video';
+            photoElement.classList.add('hidden');
+            videoContainer.classList.remove('photo-mode');
+            resetTracking();
+            updateSourceButtons();
+            renderAppState(appState.snapshot);
+
+            if (cameraStoppedForPhoto) {
+                cameraStoppedForPhoto = false;
+                if (appState.snapshot.source === 'camera') startCamera();
+            } else if (appState.snapshot.sourceReady) {
+                setupCanvasesAfterVideo();
+            }
+        }
+
+        // Video sources
+        // The live camera and local video files both feed videoElement, so detectLoop,
+        // estimateHands and drawWatch work the same for either. Only a front camera is mirrored.
+        function isMirroredSource() {
+            return appState.snapshot.source === 'camera' && CameraDevices.isMirrored(cameraFacing);
+        }
+
+        function useCameraSource() {
+            if (inputMode === 'photo') leavePhotoMode();
+            if (appState.snapshot.source === 'camera' && cameraManager.state !== CameraManager.STATES.STOPPED) return;
+
+            releaseVideoFile();
+            appState.dispatch({ type: ACTIONS.SOURCE_LOST, source: 'camera' });
+            resetTracking();
+            updateSourceButtons();
+            startCamera();
+        }
+
+        function startVideoFile(file) {
+            clearError();
+
+            stopCamera();
+            releaseVideoFile();
+            appState.dispatch({ type: ACTIONS.SOURCE_LOST, source: 'file' });
+            // After the switch to the file, so a camera stopped for the photo stays off
+            if (inputMode === 'photo') leavePhotoMode();
+            resetTracking();
+            updateSourceButtons();
+
+            videoElement.srcObject = null;
+            videoElement.loop = true;
+            videoElement.muted = true;
+            videoElement.src = URL.createObjectURL(file);
+            videoElement.onloadedmetadata = () => {
+                videoSeek.max = videoElement.duration;
+                videoElement.play();
+                setupCanvasesAfterVideo();
+            };
+            videoElement.onerror = () => {
+                showError("This video file cannot be played. Try an MP4 or WebM file.");
+                appState.dispatch({ type: ACTIONS.FAIL, cause: 'source', status: "Video file failed to load" });
+            };
+        }
+
+        function releaseVideoFile() {
+            videoElement.onerror = null;
+            if (videoElement.src.startsWith('blob:')) {
+                URL.revokeObjectURL(videoElement.src);
+            }
+            videoElement.removeAttribute('src');
+            videoElement.load();
+        }
+
+        // Positions from a previous source must not be smoothed into the new one
+        function resetTracking() {
+            Object.values(handTracks).forEach(resetHandTrack);
+            handednessStabilizer.reset();
+            overlayContext.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+            watchContext.clearRect(0, 0, watchCanvas.width, watchCanvas.height);
+            updateHandInfo('unknown', 'unknown', 0);
+        }
+
+        function resetHandTrack(track) {
+            track.position = null;
+            track.miss = null;
+            track.state.reset();
+            track.filter.reset();
+            track.lighting.reset();
+        }
+
+        function updateSourceButtons() {
+            cameraSourceBtn.classList.toggle('active', inputMode === 'video' && appState.snapshot.source === 'camera');
+            videoFileButton.classList.toggle('active', inputMode === 'video' && appState.snapshot.source === 'file');
+            handPhotoButton.classList.toggle('active', inputMode === 'photo');
+            videoFileControls.classList.toggle('hidden', inputMode !== 'video' || appState.snapshot.source !== 'file');
+            cameraControls.classList.toggle('hidden', inputMode !== 'video' || appState.snapshot.source !== 'camera' || cameras.length < 2);
+        }
+
+        function formatTime(seconds) {
+            if (!Number.isFinite(seconds)) return '0:00';
+            const minutes = Math.floor(seconds / 60);
+            return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+        }
+
+        function updateVideoFileControls() {
+            const playing = !videoElement.paused;
+            videoPlayPauseBtn.innerHTML = `<i class="material-icons">${playing ? 'pause' : 'play_arrow'}</i>`;
+            videoPlayPauseBtn.title = playing ? 'Pause video' : 'Play video';
+            if (!isSeeking) videoSeek.value = videoElement.currentTime;
+            videoTime.textContent = `${formatTime(videoElement.currentTime)} / ${formatTime(videoElement.duration)}`;
+        }
+
+        cameraSourceBtn.addEventListener('click', useCameraSource);
+        videoFileButton.addEventListener('click', () => videoFileUpload.click());
+
+        videoFileUpload.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            videoFileUpload.value = '';
+            if (file) startVideoFile(file);
+        });
+
+        videoPlayPauseBtn.addEventListener('click', () => {
+            if (videoElement.paused) {
+                videoElement.play();
+            } else {
+                videoElement.pause();
+            }
+        });
+
+        // Detection keeps running on the paused frame while scrubbing
+        videoSeek.addEventListener('input', () => {
+            isSeeking = true;
+            videoElement.currentTime = Number(videoSeek.value);
+        });
+        videoSeek.addEventListener('change', () => {
+            isSeeking = false;
+        });
+
+        ['play', 'pause', 'timeupdate', 'durationchange'].forEach(type => {
+            videoElement.addEventListener(type, () => {
+                if (appState.snapshot.source === 'file') updateVideoFileControls();
+            });
+        });
+
+        // Toggle Detection
+        toggleDetectionBtn.addEventListener('click', () => {
+            if (isDetecting()) {
+                stopDetection();
+            } else {
+                startDetection();
+            }
+        });
+
+        // Export Image
+        exportImageBtn.addEventListener('click', exportCurrentView);
+
+        // Improved image processing for metallic watches
+        // Background removal runs in segmentation-worker.js so large photos don't block the page.
+        // Resolves with { mask, width, height }, or null if a newer upload cancelled it.
+        async function processWatchImage(file) {
+            cancelWatchProcessing();
+            const jobId = ++segmentationJobCounter;
+
+            const bitmap = await createImageBitmap(file);
+            if (jobId !== segmentationJobCounter) {
+                bitmap.close();
+                return null;
+            }
+
+            const worker = getSegmentationWorker();
+            if (!worker) {
+                return processWatchImageOnMainThread(bitmap);
+            }
+
+            return new Promise((resolve, reject) => {
+                segmentationJob = { id: jobId, resolve, reject };
+                worker.postMessage({ jobId, bitmap }, [bitmap]);
+            });
+        }
+
+        function getSegmentationWorker() {
+            if (segmentationWorker) return segmentationWorker;
+            if (!window.Worker || typeof OffscreenCanvas === 'undefined') return null;
+
+            try {
+                segmentationWorker = new Worker(assetUrl('segmentation-worker.js'));
+            } catch (error) {
+                // e.g. pages opened from file:// may not start workers
+                console.warn("Segmentation worker unavailable, processing on the main thread:", error);
+                return null;
+            }
+
+            segmentationWorker.onmessage = handleSegmentationMessage;
+            segmentationWorker.onerror = (event) => {
+                const job = segmentationJob;
+                segmentationJob = null;
+                segmentationWorker.terminate();
+                segmentationWorker = null;
+                job?.reject(new Error(event.message || "Segmentation worker failed"));
+            };
+            return segmentationWorker;
+        }
+
+        function handleSegmentationMessage({ data }) {
+            if (!segmentationJob || data.jobId !== segmentationJob.id) return;
+
+            if (data.type === 'progress') {
+                feedback.textContent = `Removing background... ${Math.round(data.progress * 100)}%`;
+                return;
+            }
+
+            const job = segmentationJob;
+            segmentationJob = null;
+
+            if (data.type === 'done') {
+                job.resolve({ mask: data.mask, width: data.width, height: data.height });
+            } else {
+                job.reject(new Error(data.message));
+            }
+        }
+
+        // The worker is busy in a tight loop and cannot read messages, so cancel by terminating it
+        function cancelWatchProcessing() {
+            if (!segmentationJob) return;
+
+            segmentationWorker.terminate();
+            segmentationWorker = null;
+            segmentationJob.resolve(null);
+            segmentationJob = null;
+        }
+
+        // Fallback for browsers without OffscreenCanvas: same pipeline, but it blocks the page
+        function processWatchImageOnMainThread(bitmap) {
+            processingCanvas.width = bitmap.width;
+            processingCanvas.height = bitmap.height;
+            processingContext.drawImage(bitmap, 0, 0);
+            bitmap.close();
+
+            const { data, width, height } = processingContext.getImageData(0, 0, processingCanvas.width, processingCanvas.height);
+            return { mask: WatchSegmentation.segmentWatch(data, width, height), width, height };
+        }
+
+        // Composite the original through the (refined) mask into a transparent PNG
+        function createCutoutBlob(image, mask, width, height) {
+            processingCanvas.width = width;
+            processingCanvas.height = height;
+            processingContext.drawImage(image, 0, 0, width, height);
+            processingContext.globalCompositeOperation = 'destination-in';
+            processingContext.drawImage(MaskEditor.maskToCanvas(mask, width, height), 0, 0);
+            processingContext.globalCompositeOperation = 'source-over';
+
+            return new Promise(resolve => processingCanvas.toBlob(resolve, 'image/png'));
+        }
+
+        // Hand and wrist detection
+        // `input` is the live video or an uploaded photo; photos are not mirrored.
+        // Resolves with the tracks whose hand was found in this frame.
+        async function detectWrists(input = videoElement, { flipHorizontal = true } = {}) {
+            if ((input instanceof HTMLVideoElement && input.readyState < input.HAVE_ENOUGH_DATA) || !handDetector) return [];
+
+            try {
+                const hands = await estimateHands(input, flipHorizontal);
+                const tracks = activeTracks();
+                const { hand: selectedHand, source } = appState.snapshot;
+                const where = inputMode === 'photo' ? null : source === 'file' ? 'in the video' : 'to the camera';
+                overlayContext.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+
+                if (!hands.length) {
+                    if (selectedHand === 'auto') handednessStabilizer.update(null);
+                    tracks.forEach(track => reportTrackingMiss(track, where
+                        ? `Show your ${selectedHand === 'auto' ? 'hand' : AppState.describeHands(selectedHand)} ${where}`
+                        : `No hand found in the photo. Try a clearer picture of your ${selectedHand === 'both' ? 'wrists' : selectedHand === 'auto' ? 'wrist' : `${selectedHand} wrist`}.`));
+                    return [];
+                }
+
+                let assigned = assignHands(hands, flipHorizontal);
+                const found = [];
+
+                if (selectedHand === 'auto') {
+                    // Keep following the hand wearing the watch, otherwise take the clearest one.
+                    // Its side only counts as a vote, so a misread frame leaves the watch where it is.
+                    const hand = assigned[autoHand] || hands.reduce((best, entry) => (entry.score > best.score ? entry : best));
+                    const observed = resolveHandType(hand, flipHorizontal);
+                    if (inputMode === 'photo') handednessStabilizer.reset(observed);
+                    const side = handednessStabilizer.update(observed);
+                    if (!side) return [];
+                    if (side !== autoHand) switchAutoHand(side);
+                    assigned = { [autoHand]: hand };
+                }
+
+                for (const track of tracks) {
+                    const hand = assigned[track.hand];
+                    if (!hand) {
+                        if (selectedHand === 'both') {
+                            reportTrackingMiss(track, `Please show your ${track.hand} hand as well`);
+                            continue;
+                        }
+
+                        // The one hand in view is the other hand
+                        const handType = resolveHandType(hands[0], flipHorizontal);
+                        reportTrackingMiss(track, inputMode === 'photo'
+                            ? `The photo shows a ${handType} hand, but the ${track.hand} hand is selected`
+                            : `Please show your ${track.hand} hand`,
+                            handType, determinePalmDirection(hands[0].landmarks), hands[0].score);
+                        continue;
+                    }
+
+                    const palmDirection = determinePalmDirection(hand.landmarks);
+
+                    // Calculate wrist measurements
+                    const placement = computeWristPlacement(hand.landmarks, palmDirection);
+                    const plane = WatchPerspective.estimateWristPlane(hand.landmarks);
+                    // Sampled with the toggle off too, so turning it on compares straight away
+                    track.lighting.update(sampleWristLighting(input, placement, flipHorizontal), performance.now());
+
+                    // Update visuals
+                    drawLandmarks(hand.landmarks);
+                    drawWristRegion(placement.x, placement.y, placement.width, placement.height, placement.angle, palmDirection);
+
+                    const currentWristPosition = {
+                        x: placement.x,
+                        y: placement.y,
+                        width: placement.width,
+                        height: placement.height,
+                        span: placement.span,
+                        depthGradientX: plane ? plane.gradient.x : 0,
+                        depthGradientY: plane ? plane.gradient.y : 0,
+                        spanRatio: plane ? plane.spanRatio : 1,
+                        rotation: placement.rotation,
+                        confidence: hand.score,
+                        orientation: palmDirection
+                    };
+
+                    // Position smoothing, kept per wrist
+                    track.position = track.filter.update(currentWristPosition, performance.now());
+                    track.miss = null;
+                    found.push(track);
+                }
+
+                if (found.length === tracks.length) {
+                    updateStatus(found.map(({ hand, position }) =>
+                        `${hand} hand detected (${position.orientation}, ${(position.confidence * 100).toFixed(0)}%)`).join(', '));
+                }
+                if (selectedHand === 'both') updateBothHandsInfo();
+                return found;
+            } catch (error) {
+                console.error("Hand detection error:", error);
+                updateStatus("Error detecting hand", 'error');
+                return [];
+            }
+        }
+
+        // "Either Hand" mode: the watch, its scale and the tracking move to the other wrist
+        function switchAutoHand(side) {
+            const from = handTracks[autoHand];
+            const to = handTracks[side];
+            to.watchId = from.watchId;
+            to.scale = from.scale;
+            if (from.position) emit('handLost', { hand: from.hand, source: inputMode === 'photo' ? 'photo' : appState.snapshot.source });
+            resetHandTrack(from);
+            autoHand = side;
+            syncWatchSizeControl();
+        }
+
+        // Run the detector once, or for a single-hand detector in both-wrists mode a second
+        // time with the first hand masked out. Resolves with [{ landmarks, handedness, score }].
+        async function estimateHands(input, flipHorizontal) {
+            const hands = await handDetector.estimate(input, { flipHorizontal });
+            if (appState.snapshot.hand !== 'both' || hands.length !== 1 || !secondHandDetector) return hands;
+
+            const width = input.videoWidth || input.naturalWidth || input.width;
+            const height = input.videoHeight || input.naturalHeight || input.height;
+            if (handMaskCanvas.width !== width || handMaskCanvas.height !== height) {
+                handMaskCanvas.width = width;
+                handMaskCanvas.height = height;
+            }
+            handMaskContext.drawImage(input, 0, 0, width, height);
+
+            // Landmarks are in display coordinates; the mask goes on the unflipped frame
+            const box = handBounds(hands[0].landmarks, HAND_MASK_PADDING);
+            handMaskContext.fillStyle = '#000';
+            handMaskContext.fillRect(flipHorizontal ? width - box.x - box.width : box.x, box.y, box.width, box.height);
+
+            hands.push(...await secondHandDetector.estimate(handMaskCanvas, { flipHorizontal }));
+            return hands;
+        }
+
+        // Visualization functions
+        function drawLandmarks(landmarks) {
+            // Draw all landmarks
+            landmarks.forEach((landmark, index) => {
+                const [x, y] = landmark;
+
+                overlayContext.beginPath();
+                overlayContext.arc(x, y, 3, 0, 2 * Math.PI);
+                overlayContext.fillStyle = '#ff6b6b';
+                overlayContext.fill();
+
+                // Label key landmarks
+                if ([0, 4, 5, 9, 13, 17].includes(index)) {
+                    overlayContext.fillStyle = '#fff';
+                    overlayContext.font = '10px Arial';
+                    overlayContext.fillText(index.toString(), x + 5, y - 5);
+                }
+            });
+
+            // Draw hand connections
+            const connections = [
+                [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
+                [0, 5], [5, 6], [6, 7], [7, 8], // Index
+                [0, 9], [9, 10], [10, 11], [11, 12], // Middle
+                [0, 13], [13, 14], [14, 15], [15, 16], // Ring
+                [0, 17], [17, 18], [18, 19], [19, 20] // Pinky
+            ];
+
+            overlayContext.strokeStyle = '#4ecdc4';
+            overlayContext.lineWidth = 2;
+            connections.forEach(([start, end]) => {
+                const [x1, y1] = landmarks[start];
+                const [x2, y2] = landmarks[end];
+
+                overlayContext.beginPath();
+                overlayContext.moveTo(x1, y1);
+                overlayContext.lineTo(x2, y2);
+                overlayContext.stroke();
+            });
+        }
+
+        function drawWristRegion(x, y, width, height, rotation, orientation) {
+            overlayContext.save();
+            overlayContext.translate(x, y);
+            overlayContext.rotate(rotation);
+
+            // Draw watch region
+            overlayContext.strokeStyle = orientation === 'up' ? '#22c55e' : '#f59e0b';
+            overlayContext.lineWidth = 3;
+            overlayContext.strokeRect(-width/2, -height/2, width, height);
+
+            // Draw center cross
+            overlayContext.beginPath();
+            overlayContext.moveTo(-10, 0);
+            overlayContext.lineTo(10, 0);
+            overlayContext.moveTo(0, -10);
+            overlayContext.lineTo(0, 10);
+            overlayContext.stroke();
+
+            overlayContext.restore();
+        }
+
+        // Watch rendering function
+        // Draws every tracked wrist's watch; `opacities` maps a hand to its fade (default 1)
+        function drawWatch(opacities = {}) {
+            watchContext.clearRect(0, 0, watchCanvas.width, watchCanvas.height);
+            activeTracks().forEach(track => drawWatchOnWrist(track, opacities[track.hand] ?? 1));
+        }
+
+        function drawWatchOnWrist(track, opacity) {
+            const watch = getTrackWatch(track);
+            if (!track.position || !watch) return;
+
+            const adjustment = lightingToggle.checked
+                ? Lighting.lightingAdjustment(track.lighting.value)
+                : Lighting.NEUTRAL_ADJUSTMENT;
+            const image = getLitWatchImage(track, watch.rendered || watch.image, adjustment);
+            const { x, y, width, span, rotation, orientation, depthGradientX, depthGradientY, spanRatio } = track.position;
+
+            let baseWatchWidth, baseWatchHeight;
+            if (watch.sizeMm && span) {
+                // True to size: the watch's mm dimensions against the measured knuckle span
+                ({ width: baseWatchWidth, height: baseWatchHeight } =
+                    WatchSizing.watchSizeOnScreen(watch.sizeMm, span, wristCalibration?.knuckleSpanMm));
+            } else {
+                // No dimensions known: fit the watch to the wrist region
+                const watchSizeMultiplier = 0.95; // Balanced size
+                baseWatchWidth = width * watchSizeMultiplier;
+                baseWatchHeight = baseWatchWidth * (watch.height / watch.width);
+            }
+
+            watchContext.save();
+            watchContext.globalAlpha = opacity;
+
+            // Corrected flip logic for hand orientation
+            const watchRotationOnScreen = rotation + (shouldFlipWatch(track.hand, orientation) ? Math.PI : 0);
+
+            const finalWidth = baseWatchWidth * track.scale;
+            const finalHeight = baseWatchHeight * track.scale;
+
+            // The shadow follows the light too: darker and sharper under hard light
+            watchContext.shadowColor = `rgba(0, 0, 0, ${adjustment.shadowAlpha.toFixed(3)})`;
+            watchContext.shadowBlur = adjustment.shadowBlur;
+            watchContext.shadowOffsetX = 2;
+            watchContext.shadowOffsetY = 2;
+
+            // The on-screen knuckle span shrinks as the wrist turns; undo that before the
+            // warp foreshortens the watch itself
+            const depthCorrection = perspectiveToggle.checked ? (spanRatio || 1) : 1;
+            const wristDiameter = width / WATCH_SIZE_RATIO.width * depthCorrection;
+            const watchSprite = strapWrapToggle.checked
+                ? getWrappedWatchImage(watch, image, finalWidth * depthCorrection, finalHeight * depthCorrection, wristDiameter)
+                : image;
+
+            if (perspectiveToggle.checked) {
+                drawWatchInPerspective(watchSprite, {
+                    x, y, rotation: watchRotationOnScreen,
+                    width: finalWidth * depthCorrection,
+                    height: finalHeight * depthCorrection
+                }, { x: depthGradientX || 0, y: depthGradientY || 0 });
+                watchContext.restore();
+                return;
+            }
+
+            watchContext.translate(x, y);
+            watchContext.rotate(watchRotationOnScreen);
+            watchContext.drawImage(
+                watchSprite,
+                -finalWidth / 2,
+                -finalHeight / 2,
+                finalWidth,
+                finalHeight
+            );
+
+            watchContext.restore();
+        }
+
+        // Lighting
+        // The frame around each found wrist is sampled at detection time (lighting.js) so the
+        // watch can be drawn as bright, contrasty and warm as the scene next to it.
+        // `placement` is in display coordinates, which are mirrored for a front camera.
+        const lightingCanvas = document.createElement('canvas');
+        lightingCanvas.width = lightingCanvas.height = LIGHTING_SAMPLE_SIZE;
+        const lightingContext = lightingCanvas.getContext('2d', { willReadFrequently: true });
+
+        function sampleWristLighting(input, placement, flipHorizontal) {
+            const frameWidth = input.videoWidth || input.naturalWidth || input.width;
+            const frameHeight = input.videoHeight || input.naturalHeight || input.height;
+            const size = Math.max(placement.width, placement.height) * LIGHTING_SAMPLE_SCALE;
+            const centerX = flipHorizontal ? frameWidth - placement.x : placement.x;
+
+            const left = Math.max(0, centerX - size / 2);
+            const top = Math.max(0, placement.y - size / 2);
+            const right = Math.min(frameWidth, centerX + size / 2);
+            const bottom = Math.min(frameHeight, placement.y + size / 2);
+            if (right - left < 2 || bottom - top < 2) return null;
+
+            lightingContext.drawImage(input, left, top, right - left, bottom - top, 0, 0, LIGHTING_SAMPLE_SIZE, LIGHTING_SAMPLE_SIZE);
+            return Lighting.estimateLighting(lightingContext.getImageData(0, 0, LIGHTING_SAMPLE_SIZE, LIGHTING_SAMPLE_SIZE).data);
+        }
+
+        // The watch image adjusted to the wrist's light. Works on a copy capped like the
+        // customized watch and read once per image, so a large uploaded photo doesn't slow
+        // the render loop; redone only when the rounded adjustment changes.
+        function getLitWatchImage(track, image, adjustment) {
+            if (adjustment === Lighting.NEUTRAL_ADJUSTMENT) return image;
+
+            const round = value => Math.round(value * 50) / 50;
+            const rounded = {
+                brightness: round(adjustment.brightness),
+                contrast: round(adjustment.contrast),
+                gains: adjustment.gains.map(round)
+            };
+            const key = JSON.stringify(rounded);
+            if (track.lit?.source === image && track.lit.key === key) return track.lit.canvas;
+
+            if (track.lit?.source !== image) {
+                const width = image.naturalWidth || image.width;
+                const height = image.naturalHeight || image.height;
+                const scale = Math.min(1, LIT_WATCH_MAX_SIZE / Math.max(width, height));
+                const canvas = track.lit?.canvas || document.createElement('canvas');
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                const context = canvas.getContext('2d', { willReadFrequently: true });
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                track.lit = { source: image, key: null, canvas, original: context.getImageData(0, 0, canvas.width, canvas.height) };
+            }
+
+            const { canvas, original } = track.lit;
+            const pixels = new ImageData(new Uint8ClampedArray(original.data), original.width, original.height);
+            Lighting.adjustPixels(pixels.data, rounded);
+            canvas.getContext('2d').putImageData(pixels, 0, 0);
+            track.lit.key = key;
+            return canvas;
+        }
+
+        // Warp the watch onto the wrist plane estimated from landmark depth
+        function drawWatchInPerspective(image, placement, depthGradient) {
+            if (perspectiveCanvas.width !== watchCanvas.width || perspectiveCanvas.height !== watchCanvas.height) {
+                perspectiveCanvas.width = watchCanvas.width;
+                perspectiveCanvas.height = watchCanvas.height;
+            } else {
+                perspectiveContext.clearRect(0, 0, perspectiveCanvas.width, perspectiveCanvas.height);
+            }
+
+            // A typical webcam field of view is close to 55° across the longer side
+            const focalLength = Math.max(watchCanvas.width, watchCanvas.height);
+            const quad = WatchPerspective.projectWatchQuad(placement, depthGradient, { focalLength });
+            const imageWidth = image.naturalWidth || image.width;
+            const imageHeight = image.naturalHeight || image.height;
+
+            WatchPerspective.drawImageQuad(perspectiveContext, image, imageWidth, imageHeight, quad);
+
+            // Drawn in one go so the mesh triangles share a single shadow
+            watchContext.drawImage(perspectiveCanvas, 0, 0);
+        }
+
+        // Render a watch (`image` is its current rendering) at its drawn size with the straps bent around a wrist of the given
+        // on-screen diameter. Watches without a distinct case and strap are returned flat.
+        function getWrappedWatchImage(watch, image, drawWidth, drawHeight, wristDiameter) {
+            const { imageData, regions } = getCustomizationBase(watch);
+            if (!regions.distinctCase || !regions.horizontal) return image;
+
+            const imageWidth = image.naturalWidth || image.width;
+            const imageHeight = image.naturalHeight || image.height;
+            const toImage = imageWidth / imageData.width;
+            const strips = StrapWrap.computeWrapStrips({
+                imageWidth,
+                caseStart: regions.caseRange.x * toImage,
+                caseEnd: (regions.caseRange.x + regions.caseRange.width) * toImage,
+                radius: wristDiameter / 2 * imageWidth / drawWidth
+            });
+
+            const spriteWidth = Math.max(1, Math.ceil(drawWidth));
+            const spriteHeight = Math.max(1, Math.ceil(drawHeight));
+            if (wrapCanvas.width !== spriteWidth || wrapCanvas.height !== spriteHeight) {
+                wrapCanvas.width = spriteWidth;
+                wrapCanvas.height = spriteHeight;
+            }
+            wrapContext.setTransform(1, 0, 0, 1, 0, 0);
+            wrapContext.clearRect(0, 0, spriteWidth, spriteHeight);
+            wrapContext.setTransform(spriteWidth / imageWidth, 0, 0, spriteHeight / imageHeight, 0, 0);
+            StrapWrap.drawWrappedWatch(wrapContext, image, imageHeight, strips);
+            return wrapCanvas;
+        }
+
+        // Detection control functions
+        // START and PAUSE only move the state; renderAppState starts the loops on entering
+        // 'detecting', and the loops end by themselves once it is left
+        function startDetection() {
+            if (inputMode === 'photo') {
+                leavePhotoMode();
+            }
+            appState.dispatch({ type: ACTIONS.START });
+        }
+
+        function stopDetection() {
+            appState.dispatch({ type: ACTIONS.PAUSE });
+        }
+
+        function startDetectionLoops() {
+            Object.values(handTracks).forEach(resetHandTrack);
+            if (appState.snapshot.hand === 'both') loadSecondHandDetector();
+            detectLoop();
+            cancelAnimationFrame(renderFrameId);
+            renderLoop();
+        }
+
+        // Main detection loop
+        async function detectLoop() {
+            if (!isDetecting()) return;
+
+            const currentTime = performance.now();
+            if (currentTime - lastFrameTime < DETECTION_INTERVAL_MS) {
+                requestAnimationFrame(detectLoop);
+                return;
+            }
+            lastFrameTime = currentTime;
+
+            let found = [];
+            try {
+                found = await detectWrists(videoElement, { flipHorizontal: isMirroredSource() });
+            } catch (error) {
+                console.error("Detection loop error:", error);
+            }
+
+            if (isDetecting()) {
+                const now = performance.now();
+                found.forEach(track => track.state.detected(now));
+            }
+
+            requestAnimationFrame(detectLoop);
+        }
+
+        // Draw every display frame; between (or during slow) detections the pose filter
+        // extrapolates the wrist from its recent motion
+        function renderLoop() {
+            if (!isDetecting()) return;
+
+            const now = performance.now();
+            const opacities = {};
+            activeTracks().forEach(track => {
+                const { state, opacity, changed } = track.state.update(now);
+                if (changed) showTrackingState(track, state);
+                if (state === TrackingState.STATES.LOST) return;
+
+                // A briefly lost hand keeps its last pose instead of drifting along the prediction
+                if (state !== TrackingState.STATES.BRIEFLY_LOST) {
+                    track.position = track.filter.predict(now) || track.position;
+                }
+                opacities[track.hand] = opacity;
+            });
+            drawWatch(opacities);
+
+            renderFrameId = requestAnimationFrame(renderLoop);
+        }
+
+        // Misses only reach the status line once the watch is gone; while it is being held
+        // the briefly-lost status stays up instead of flickering
+        function reportTrackingMiss(track, message, handType = 'unknown', palmDir = 'unknown', confidence = 0) {
+            track.miss = { message, handType, palmDir, confidence };
+            if (inputMode === 'photo' || track.state.state === TrackingState.STATES.LOST) {
+                showTrackingMiss(track);
+            }
+        }
+
+        function showTrackingMiss(track) {
+            const { message, handType, palmDir, confidence } = track.miss || {
+                message: `Show your ${track.hand} hand ${appState.snapshot.source === 'file' ? 'in the video' : 'to the camera'}`,
+                handType: 'unknown'
+            };
+            updateStatus(message, 'warning');
+            if (appState.snapshot.hand === 'both') {
+                updateBothHandsInfo();
+            } else {
+                updateHandInfo(handType, palmDir, confidence);
+            }
+        }
+
+        function showTrackingState(track, state) {
+            const { STATES } = TrackingState;
+            const both = appState.snapshot.hand === 'both';
+            if (!both) {
+                palmIndicator.classList.remove(...Object.values(STATES).map(name => `tracking-${name}`));
+                palmIndicator.classList.add(`tracking-${state}`);
+            }
+
+            if (state === STATES.REACQUIRED) {
+                emit('handDetected', { hand: track.hand, source: appState.snapshot.source });
+            } else if (state === STATES.BRIEFLY_LOST) {
+                updateStatus(`Lost sight of your ${track.hand} hand, holding ${both ? 'its' : 'the'} watch...`, 'warning');
+                if (!both) palmIndicator.textContent = `${track.hand.toUpperCase()} HAND - SEARCHING`;
+            } else if (state === STATES.LOST) {
+                // Start the next detection fresh rather than blending from where the hand was
+                track.filter.reset();
+                track.position = null;
+                if (!activeTracks().some(other => other.position)) {
+                    overlayContext.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+                }
+                showTrackingMiss(track);
+                emit('handLost', { hand: track.hand, source: appState.snapshot.source });
+            }
+        }
+
+        // Export functionality
+        function exportCurrentView() {
+            const capture = captureCurrentView();
+            if (!capture) return;
+
+            // Saved images stay in the snapshot gallery too
+            addSnapshot(capture)
+                .then(exportSnapshot)
+                .catch(error => {
+                    console.error("Export failed:", error);
+                    showError("Could not save the image.");
+                });
+        }
+
+        // Current frame with the watches drawn on (and the landmarks, if the export options
+        // ask for them), the watch on each wrist that is wearing one and the settings used;
+        // null (after showing an error) when there is nothing to capture
+        function captureCurrentView() {
+            const isPhoto = inputMode === 'photo';
+            if (isPhoto ? !photoElement.naturalWidth : !appState.snapshot.sourceReady) {
+                showError(isPhoto ? "No photo to export." : "No video frame to export.");
+                return null;
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = isPhoto ? photoElement.naturalWidth : videoElement.videoWidth;
+            canvas.height = isPhoto ? photoElement.naturalHeight : videoElement.videoHeight;
+            drawCompositeFrame(canvas.getContext('2d'), canvas.width, canvas.height, { landmarks: exportOptions.landmarks });
+
+            const watches = activeTracks()
+                .filter(track => track.position && getTrackWatch(track))
+                .map(track => {
+                    const watch = getTrackWatch(track);
+                    const { brand, caseDiameterMm, lugToLugMm } = getWatchDimensions(watch);
+                    return {
+                        hand: track.hand,
+                        watchId: watch.id,
+                        name: watch.name,
+                        brand,
+                        caseDiameterMm,
+                        lugToLugMm,
+                        scale: track.scale,
+                        customization: watch.settings?.customization || DEFAULT_CUSTOMIZATION
+                    };
+                });
+            const settings = {
+                source: isPhoto ? 'photo' : appState.snapshot.source,
+                mirrored: !isPhoto && isMirroredSource(),
+                hands: appState.snapshot.hand,
+                detector: handDetector?.name || null,
+                perspective: perspectiveToggle.checked,
+                strapWrap: strapWrapToggle.checked,
+                lighting: lightingToggle.checked,
+                calibration: wristCalibration?.method || null,
+                landmarks: exportOptions.landmarks
+            };
+            return { canvas, watches, settings };
+        }
+
+        // Video frame (mirrored like on screen for the camera) or photo, with the watches on
+        // top. The landmark overlay and watches are drawn in the same mirrored coordinates.
+        function drawCompositeFrame(context, width, height, { landmarks = false } = {}) {
+            const isPhoto = inputMode === 'photo';
+            context.save();
+            if (!isPhoto && isMirroredSource()) {
+                context.translate(width, 0);
+                context.scale(-1, 1);
+            }
+            context.drawImage(isPhoto ? photoElement : videoElement, 0, 0, width, height);
+            context.restore();
+
+            if (landmarks) {
+                context.drawImage(overlayCanvas, 0, 0, width, height);
+            }
+            if (activeTracks().some(track => track.position && getTrackWatch(track))) {
+                context.drawImage(watchCanvas, 0, 0, width, height);
+            }
+        }
+
+        // Export options
+        // Saved images are scaled to the chosen size, optionally captioned, encoded as PNG,
+        // JPEG or WebP and tagged with an XMP packet describing the watches and settings
+        // (image-export.js). The options panel's inputs name their option in data-export-option.
+        function loadExportOptions() {
+            try {
+                return { ...DEFAULT_EXPORT_OPTIONS, ...JSON.parse(localStorage.getItem(EXPORT_STORAGE_KEY)) };
+            } catch (error) {
+                return { ...DEFAULT_EXPORT_OPTIONS };
+            }
+        }
+
+        function saveExportOptions() {
+            try {
+                localStorage.setItem(EXPORT_STORAGE_KEY, JSON.stringify(exportOptions));
+            } catch (error) {
+                console.warn('Could not store the export options:', error);
+            }
+        }
+
+        function syncExportControls() {
+            exportOptionInputs.forEach(input => {
+                const value = exportOptions[input.dataset.exportOption];
+                if (input.type === 'checkbox') {
+                    input.checked = value;
+                } else {
+                    input.value = value;
+                }
+            });
+        }
+
+        exportOptionInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                const option = input.dataset.exportOption;
+                exportOptions[option] = input.type === 'checkbox' ? input.checked
+                    : option === 'maxSide' ? Number(input.value)
+                    : input.value;
+                saveExportOptions();
+            });
+        });
+        syncExportControls();
+
+        // Band under the image with the watches on the left and the brand on the right
+        function drawExportCaption(context, text, width, top, height) {
+            context.fillStyle = '#111827';
+            context.fillRect(0, top, width, height);
+
+            const padding = Math.round(height * 0.35);
+            const middle = top + height / 2;
+            context.textBaseline = 'middle';
+
+            const brand = exportOptions.brand.trim();
+            let brandWidth = 0;
+            if (brand) {
+                context.font = `600 ${Math.round(height * 0.32)}px Inter, sans-serif`;
+                context.fillStyle = '#9ca3af';
+                context.textAlign = 'right';
+                brandWidth = Math.min(context.measureText(brand).width, width / 3);
+                context.fillText(brand, width - padding, middle, width / 3);
+            }
+
+            context.font = `600 ${Math.round(height * 0.4)}px Inter, sans-serif`;
+            context.fillStyle = '#ffffff';
+            context.textAlign = 'left';
+            context.fillText(text, padding, middle, Math.max(0, width - brandWidth - padding * 3));
+        }
+
+        // Encodes a snapshot with the current export options and downloads it
+        async function exportSnapshot(snapshot) {
+            const { FORMATS, exportSize, captionText, buildXmp, detectImageType, embedXmp, formatForType } = ImageExport;
+            const format = FORMATS[exportOptions.format] || FORMATS.png;
+            const size = exportSize(snapshot.width, snapshot.height, exportOptions.maxSide);
+            const caption = captionText(snapshot.watches);
+            const captionHeight = exportOptions.caption ? Math.max(32, Math.round(size.width * 0.06)) : 0;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = size.width;
+            canvas.height = size.height + captionHeight;
+            const context = canvas.getContext('2d');
+            const image = await createImageBitmap(snapshot.blob);
+            context.drawImage(image, 0, 0, size.width, size.height);
+            image.close();
+            if (captionHeight) drawExportCaption(context, caption, size.width, size.height, captionHeight);
+
+            let bytes = new Uint8Array(await (await canvasToBlob(canvas, format.type, format.quality)).arrayBuffer());
+            // Browsers encode types they don't support as PNG
+            const type = detectImageType(bytes);
+
+            if (exportOptions.metadata) {
+                bytes = embedXmp(bytes, buildXmp({
+                    description: caption || 'No watch',
+                    creatorTool: APP_NAME,
+                    createDate: new Date(snapshot.takenAt),
+                    details: {
+                        watches: snapshot.watches,
+                        settings: {
+                            ...snapshot.settings,
+                            format: formatForType(type),
+                            width: canvas.width,
+                            height: canvas.height,
+                            caption: exportOptions.caption ? caption : null
+                        }
+                    }
+                }));
+            }
+
+            const saved = FORMATS[formatForType(type)];
+            downloadBlob(new Blob([bytes], { type }), saved.extension, snapshot.takenAt);
+            feedback.textContent = saved === format
+                ? "Image saved successfully!"
+                : `This browser can't save ${format.label} images, so it was saved as ${saved.label}.`;
+            setTimeout(() => feedback.textContent = "", 3000);
+        }
+
+        // Recording
+        // recordingCanvas is redrawn from the video and watchCanvas every display frame and
+        // streamed to MediaRecorder as WebM. With the GIF option, downscaled frames from the
+        // first GIF_MAX_SECONDS are kept too and encoded locally (gif-encoder.js) afterwards.
+        function getRecordingMimeType() {
+            if (typeof MediaRecorder === 'undefined' || !recordingCanvas.captureStream) return null;
+            return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+        }
+
+        function startRecording() {
+            const isPhoto = inputMode === 'photo';
+            if (isPhoto ? !photoElement.naturalWidth : !appState.snapshot.sourceReady) {
+                showError(isPhoto ? "No photo to record." : "No video to record yet.");
+                return;
+            }
+
+            const mimeType = getRecordingMimeType();
+            const withGif = recordGifToggle.checked;
+            if (!mimeType && !withGif) {
+                showError("This browser can't record WebM video. Tick \"Also make a looping GIF\" to record a GIF instead.");
+                return;
+            }
+            clearError();
+
+            recordingCanvas.width = watchCanvas.width;
+            recordingCanvas.height = watchCanvas.height;
+            const gifScale = Math.min(1, GIF_MAX_WIDTH / recordingCanvas.width);
+
+            const session = {
+                recorder: null,
+                chunks: [],
+                mimeType,
+                startedAt: performance.now(),
+                limitMs: Number(recordingLimitSelect.value) * 1000,
+                frameId: null,
+                limitTimer: null,
+                gifFrames: withGif ? [] : null,
+                gifWidth: Math.round(recordingCanvas.width * gifScale),
+                gifHeight: Math.round(recordingCanvas.height * gifScale),
+                lastGifFrameAt: -Infinity
+            };
+            recording = session;
+            drawRecordingFrame();
+
+            if (mimeType) {
+                session.recorder = new MediaRecorder(recordingCanvas.captureStream(RECORDING_FPS), { mimeType });
+                session.recorder.addEventListener('dataavailable', (event) => {
+                    if (event.data.size) session.chunks.push(event.data);
+                });
+                session.recorder.start(1000);
+            }
+
+            // A timer rather than the frame loop, which pauses in background tabs
+            session.limitTimer = setTimeout(stopRecording, session.limitMs);
+            updateRecordingControls();
+        }
+
+        function drawRecordingFrame() {
+            const session = recording;
+            if (!session) return;
+
+            drawCompositeFrame(recordingContext, recordingCanvas.width, recordingCanvas.height);
+
+            const elapsed = performance.now() - session.startedAt;
+            if (session.gifFrames && elapsed < GIF_MAX_SECONDS * 1000 &&
+                elapsed - session.lastGifFrameAt >= 1000 / GIF_FPS) {
+                gifFrameCanvas.width = session.gifWidth;
+                gifFrameCanvas.height = session.gifHeight;
+                gifFrameContext.drawImage(recordingCanvas, 0, 0, session.gifWidth, session.gifHeight);
+                session.gifFrames.push({
+                    data: gifFrameContext.getImageData(0, 0, session.gifWidth, session.gifHeight).data,
+                    time: elapsed
+                });
+                session.lastGifFrameAt = elapsed;
+            }
+
+            recordingStatus.textContent = `${formatTime(elapsed / 1000)} / ${formatTime(session.limitMs / 1000)}`;
+            session.frameId = requestAnimationFrame(drawRecordingFrame);
+        }
+
+        async function stopRecording() {
+            const session = recording;
+            if (!session) return;
+            recording = null;
+            cancelAnimationFrame(session.frameId);
+            clearTimeout(session.limitTimer);
+            updateRecordingControls();
+
+            let videoBlob = null;
+            if (session.recorder) {
+                if (session.recorder.state !== 'inactive') {
+                    await new Promise(resolve => {
+                        session.recorder.addEventListener('stop', resolve, { once: true });
+                        session.recorder.stop();
+                    });
+                }
+                session.recorder.stream.getTracks().forEach(track => track.stop());
+                if (session.chunks.length) {
+                    videoBlob = new Blob(session.chunks, { type: session.mimeType.split(';')[0] });
+                }
+            }
+
+            if (!videoBlob && !session.gifFrames?.length) {
+                showError("Nothing was recorded. Try again with the video playing.");
+                return;
+            }
+            showRecordedClip(videoBlob, session);
+        }
+
+        function updateRecordingControls() {
+            const active = !!recording;
+            recordButton.classList.toggle('recording', active);
+            recordButton.innerHTML = active
+                ? '<i class="material-icons mr-2">stop</i> Stop Recording'
+                : '<i class="material-icons mr-2">fiber_manual_record</i> Record';
+            recordingStatus.classList.toggle('hidden', !active);
+            recordingLimitSelect.disabled = active;
+            recordGifToggle.disabled = active;
+        }
+
+        // Preview dialog: the WebM plays in place, the GIF appears once it is encoded
+        async function showRecordedClip(videoBlob, session) {
+            discardRecordedClip();
+            const clip = {
+                videoUrl: videoBlob ? URL.createObjectURL(videoBlob) : null,
+                gifUrl: null
+            };
+            recordedClip = clip;
+
+            recordingPreview.classList.toggle('hidden', !clip.videoUrl);
+            saveVideoBtn.classList.toggle('hidden', !clip.videoUrl);
+            if (clip.videoUrl) recordingPreview.src = clip.videoUrl;
+            gifPreview.classList.add('hidden');
+            saveGifBtn.classList.add('hidden');
+            gifStatus.classList.toggle('hidden', !session.gifFrames);
+            recordingDialog.classList.remove('hidden');
+            if (!session.gifFrames) return;
+
+            try {
+                const bytes = await encodeRecordedGif(clip, session);
+                if (!bytes) return; // Discarded while encoding
+                clip.gifUrl = URL.createObjectURL(new Blob([bytes], { type: 'image/gif' }));
+                gifPreview.src = clip.gifUrl;
+                gifPreview.classList.remove('hidden');
+                saveGifBtn.classList.remove('hidden');
+                gifStatus.textContent = `Looping GIF: ${session.gifFrames.length} frames, ${Math.ceil(bytes.length / 1024)} KB`;
+            } catch (error) {
+                console.error("GIF encoding failed:", error);
+                if (recordedClip === clip) gifStatus.textContent = "Could not make the GIF.";
+            }
+        }
+
+        // Encodes one frame at a time so the page stays responsive; null if the clip was discarded
+        async function encodeRecordedGif(clip, session) {
+            const frames = session.gifFrames;
+            const encoder = GifEncoder.createGifEncoder({ width: session.gifWidth, height: session.gifHeight });
+            for (let i = 0; i < frames.length; i++) {
+                if (recordedClip !== clip) return null;
+                gifStatus.textContent = `Encoding GIF… ${Math.round((i / frames.length) * 100)}%`;
+                await new Promise(resolve => setTimeout(resolve));
+
+                const next = frames[i + 1];
+                encoder.addFrame(frames[i].data, next ? next.time - frames[i].time : 1000 / GIF_FPS);
+            }
+            return recordedClip === clip ? encoder.finish() : null;
+        }
+
+        function discardRecordedClip() {
+            if (recordedClip) {
+                if (recordedClip.videoUrl) URL.revokeObjectURL(recordedClip.videoUrl);
+                if (recordedClip.gifUrl) URL.revokeObjectURL(recordedClip.gifUrl);
+                recordedClip = null;
+            }
+            recordingPreview.pause();
+            recordingPreview.removeAttribute('src');
+            recordingPreview.load();
+            gifPreview.removeAttribute('src');
+            recordingDialog.classList.add('hidden');
+        }
+
+        function downloadFile(url, extension, timestamp = Date.now()) {
+            const link = document.createElement('a');
+            link.download = `virtual-watch-tryOn-${timestamp}.${extension}`;
+            link.href = url;
+            link.click();
+        }
+
+        function downloadBlob(blob, extension, timestamp) {
+            const url = URL.createObjectURL(blob);
+            downloadFile(url, extension, timestamp);
+            setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+        }
+
+        recordButton.addEventListener('click', () => {
+            if (recording) {
+                stopRecording();
+            } else {
+                startRecording();
+            }
+        });
+        recordingDiscardBtn.addEventListener('click', discardRecordedClip);
+        saveVideoBtn.addEventListener('click', () => {
+            if (recordedClip?.videoUrl) downloadFile(recordedClip.videoUrl, 'webm');
+        });
+        saveGifBtn.addEventListener('click', () => {
+            if (recordedClip?.gifUrl) downloadFile(recordedClip.gifUrl, 'gif');
+        });
+
+        // Snapshot gallery
+        // Snapshots are kept as PNG blobs for the session, captioned with the watches they
+        // show. Two to four of them can be laid out side by side (snapshot-sheet.js) and
+        // saved as one image.
+        function canvasToBlob(canvas, type = 'image/png', quality) {
+            return new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Could not encode image")), type, quality);
+            });
+        }
+
+        async function addSnapshot({ canvas, watches, settings }) {
+            const blob = await canvasToBlob(canvas);
+            const snapshot = {
+                id: `snapshot-${++snapshotCounter}`,
+                blob,
+                url: URL.createObjectURL(blob),
+                width: canvas.width,
+                height: canvas.height,
+                watches,
+                settings,
+                caption: SnapshotSheet.snapshotCaption(watches),
+                takenAt: Date.now()
+            };
+            snapshots.push(snapshot);
+            renderSnapshotGallery();
+            emit('capture', publicSnapshot(snapshot));
+            return snapshot;
+        }
+
+        async function takeSnapshot() {
+            const capture = captureCurrentView();
+            if (!capture) return;
+
+            try {
+                await addSnapshot(capture);
+                feedback.textContent = "Snapshot added to the gallery.";
+                setTimeout(() => feedback.textContent = "", 3000);
+            } catch (error) {
+                console.error("Snapshot failed:", error);
+                showError("Could not take the snapshot.");
+            }
+        }
+
+        function removeSnapshot(id) {
+            const snapshot = snapshots.find(entry => entry.id === id);
+            if (!snapshot) return;
+            URL.revokeObjectURL(snapshot.url);
+            snapshots = snapshots.filter(entry => entry !== snapshot);
+            selectedSnapshots = selectedSnapshots.filter(entry => entry !== id);
+            renderSnapshotGallery();
+        }
+
+        function renderSnapshotGallery() {
+            const { MIN_COMPARE, MAX_COMPARE } = SnapshotSheet;
+            snapshotGallery.classList.toggle('hidden', snapshots.length === 0);
+            compareSnapshotsBtn.disabled = !SnapshotSheet.canCompare(selectedSnapshots);
+            snapshotHint.textContent = selectedSnapshots.length
+                ? `${selectedSnapshots.length} of ${MAX_COMPARE} selected for comparison`
+                : `Select ${MIN_COMPARE}–${MAX_COMPARE} snapshots to compare them side by side.`;
+
+            snapshotList.innerHTML = '';
+            snapshots.forEach(snapshot => {
+                const selected = selectedSnapshots.includes(snapshot.id);
+                const item = document.createElement('li');
+                item.className = `snapshot-item${selected ? ' selected' : ''}`;
+                item.dataset.snapshotId = snapshot.id;
+
+                const select = document.createElement('label');
+                select.className = 'snapshot-select';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = selected;
+                checkbox.disabled = !selected && selectedSnapshots.length >= MAX_COMPARE;
+                checkbox.setAttribute('aria-label', `Compare ${snapshot.caption}`);
+                const thumbnail = document.createElement('img');
+                thumbnail.src = snapshot.url;
+                thumbnail.alt = snapshot.caption;
+                select.append(checkbox, thumbnail);
+
+                const caption = document.createElement('p');
+                caption.className = 'snapshot-caption';
+                caption.textContent = snapshot.caption;
+                caption.title = new Date(snapshot.takenAt).toLocaleTimeString();
+
+                const actions = document.createElement('div');
+                actions.className = 'snapshot-actions';
+                const downloadButton = document.createElement('button');
+                downloadButton.className = 'tool-button';
+                downloadButton.dataset.action = 'download';
+                downloadButton.title = 'Save image';
+                downloadButton.innerHTML = '<i class="material-icons">download</i>';
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'tool-button';
+                deleteButton.dataset.action = 'delete';
+                deleteButton.title = 'Remove snapshot';
+                deleteButton.innerHTML = '<i class="material-icons">delete</i>';
+                actions.append(downloadButton, deleteButton);
+
+                item.append(select, caption, actions);
+                snapshotList.appendChild(item);
+            });
+        }
+
+        async function renderComparisonSheet(ids) {
+            const picked = ids.map(id => snapshots.find(entry => entry.id === id));
+            const images = await Promise.all(picked.map(snapshot => createImageBitmap(snapshot.blob)));
+            const layout = SnapshotSheet.layoutSheet(picked);
+
+            comparisonCanvas.width = layout.width;
+            comparisonCanvas.height = layout.height;
+            const context = comparisonCanvas.getContext('2d');
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, layout.width, layout.height);
+            context.fillStyle = '#374151';
+            context.font = '600 18px Inter, sans-serif';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+
+            layout.cells.forEach((cell, index) => {
+                const { x, y, width, height } = cell.image;
+                context.drawImage(images[index], x, y, width, height);
+                context.fillText(picked[index].caption, cell.caption.x, cell.caption.y, cell.caption.width);
+                images[index].close();
+            });
+        }
+
+        async function openComparison() {
+            if (!SnapshotSheet.canCompare(selectedSnapshots)) return;
+            try {
+                await renderComparisonSheet(selectedSnapshots);
+                comparisonDialog.classList.remove('hidden');
+            } catch (error) {
+                console.error("Comparison failed:", error);
+                showError("Could not build the comparison.");
+            }
+        }
+
+        snapshotButton.addEventListener('click', takeSnapshot);
+        compareSnapshotsBtn.addEventListener('click', openComparison);
+        comparisonCloseBtn.addEventListener('click', () => comparisonDialog.classList.add('hidden'));
+
+        saveComparisonBtn.addEventListener('click', () => {
+            downloadFile(comparisonCanvas.toDataURL('image/png'), 'png');
+        });
+
+        snapshotList.addEventListener('change', (event) => {
+            if (event.target.type !== 'checkbox') return;
+            const id = event.target.closest('.snapshot-item').dataset.snapshotId;
+            selectedSnapshots = SnapshotSheet.toggleSelection(selectedSnapshots, id);
+            renderSnapshotGallery();
+        });
+
+        snapshotList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const snapshot = snapshots.find(entry => entry.id === button.closest('.snapshot-item').dataset.snapshotId);
+
+            if (button.dataset.action === 'download') {
+                exportSnapshot(snapshot).catch(error => {
+                    console.error("Export failed:", error);
+                    showError("Could not save the image.");
+                });
+            } else if (button.dataset.action === 'delete') {
+                removeSnapshot(snapshot.id);
+            }
+        });
+
+        // Touch and gesture handling for mobile
+        let touchStartDistance = 0;
+        let touchStartScale = 1.0;
+
+        // Touch event listeners for pinch-to-zoom
+        watchCanvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+
+            if (e.touches.length === 2) {
+                // Calculate initial distance between two fingers
+                const touch1 = e.touches[0];
+                const touch2 = e.touches[1];
+                touchStartDistance = Math.hypot(
+                    touch2.clientX - touch1.clientX,
+                    touch2.clientY - touch1.clientY
+                );
+                touchStartScale = editedTrack().scale;
+            }
+        });
+
+        watchCanvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+
+            if (e.touches.length === 2) {
+                // Calculate current distance
+                const touch1 = e.touches[0];
+                const touch2 = e.touches[1];
+                const currentDistance = Math.hypot(
+                    touch2.clientX - touch1.clientX,
+                    touch2.clientY - touch1.clientY
+                );
+
+                // Calculate scale change
+                const scaleChange = currentDistance / touchStartDistance;
+                setWatchScale(touchStartScale * scaleChange);
+            }
+        });
+
+        // Mouse wheel for desktop zoom
+        watchCanvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+
+            const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
+            setWatchScale(editedTrack().scale * zoomFactor);
+        });
+
+        // Keyboard shortcuts, while focus is inside the widget
+        if (!container.hasAttribute('tabindex')) container.tabIndex = -1;
+        container.addEventListener('keydown', (e) => {
+            // The mask editor handles its own shortcuts while open
+            if (maskEditor.isOpen()) return;
+
+            switch(e.key) {
+                case ' ': // Spacebar to toggle detection
+                    e.preventDefault();
+                    if (!toggleDetectionBtn.disabled) {
+                        toggleDetectionBtn.click();
+                    }
+                    break;
+                case 'r':
+                case 'R':
+                    if (e.ctrlKey) { // Ctrl+R to reset scale
+                        e.preventDefault();
+                        setWatchScale(1.0);
+                    }
+                    break;
+                case 's':
+                case 'S':
+                    if (e.ctrlKey) { // Ctrl+S to save image
+                        e.preventDefault();
+                        exportCurrentView();
+                    }
+                    break;
+                case 'Escape':
+                    stopDetection();
+                    break;
+            }
+        });
+
+        // Performance monitoring
+        let frameCount = 0;
+        let fpsStartTime = Date.now();
+
+        function updateFPS() {
+            frameCount++;
+            const currentTime = Date.now();
+
+            if (currentTime - fpsStartTime >= 1000) {
+                const fps = Math.round((frameCount * 1000) / (currentTime - fpsStartTime));
+
+                // Only show FPS in console for debugging
+                if (isDetecting()) {
+                    console.log(`FPS: ${fps}`);
+                }
+
+                frameCount = 0;
+                fpsStartTime = currentTime;
+            }
+        }
+
+        // Add FPS monitoring to detect loop
+        const originalDetectLoop = detectLoop;
+        detectLoop = async function() {
+            updateFPS();
+            return originalDetectLoop.call(this);
+        };
+
+        // Cleanup function for when page is unloaded
+        listen(window, 'beforeunload', stopCamera);
+
+        function updateConnectionStatus() {
+            offlineBadge.classList.toggle('hidden', navigator.onLine);
+        }
+
+        listen(window, 'online', updateConnectionStatus);
+        listen(window, 'offline', updateConnectionStatus);
+        updateConnectionStatus();
+
+        // Back to the first step: no hand, no watch on either wrist, no video source and no model
+        function resetApp() {
+            stopCamera();
+            releaseVideoFile();
+            videoElement.classList.add('hidden');
+            disposeHandDetectors();
+            Object.values(handTracks).forEach(track => {
+                track.watchId = null;
+            });
+            activeWatchId = null;
+            watchImage.classList.add('hidden');
+            renderWatchCatalog();
+            clearError();
+            appState.dispatch({ type: ACTIONS.RESET });
+            if (inputMode === 'photo') leavePhotoMode();
+            resetTracking();
+            updateSourceButtons();
+        }
+
+        // Shared setup once any video source (camera or file) has frames
+        function setupCanvasesAfterVideo() {
+            if (inputMode !== 'video') return; // A photo is on screen; leavePhotoMode comes back here
+            videoElement.classList.remove('hidden');
+            videoElement.classList.toggle('mirrored', isMirroredSource());
+
+            resizeCanvases(videoElement.videoWidth, videoElement.videoHeight);
+            appState.dispatch({ type: ACTIONS.SOURCE_READY });
+            if (!handDetector) loadHandDetectionModel();
+        }
+
+        // The one place the canvases are sized: to the source's pixels. CSS stretches them
+        // over the container, so page resizes need nothing here.
+        function resizeCanvases(width, height) {
+            [overlayCanvas.width, overlayCanvas.height] =
+                [watchCanvas.width, watchCanvas.height] =
+                [width, height];
+        }
+
+        // Camera frames change size mid-stream when a phone rotates
+        videoElement.addEventListener('resize', () => {
+            if (inputMode === 'video' && appState.snapshot.sourceReady) {
+                resizeCanvases(videoElement.videoWidth, videoElement.videoHeight);
+            }
+        });
+
+        // Additional utility functions
+        function debounce(func, wait) {
+            let timeout;
+            return function executedFunction(...args) {
+                const later = () => {
+                    clearTimeout(timeout);
+                    func(...args);
+                };
+                clearTimeout(timeout);
+                timeout = setTimeout(later, wait);
+            };
+        }
+
+        // Public API
+        // Plain copies so host pages can't reach into the catalog or snapshot list
+        function publicWatch(watch) {
+            return { id: watch.id, name: watch.name, image: watch.src, metadata: { ...watch.metadata } };
+        }
+
+        function publicSnapshot(snapshot) {
+            const { blob, width, height, watches, settings, takenAt } = snapshot;
+            return { blob, width, height, watches, settings, takenAt };
+        }
+
+        function setHand(hand) {
+            if (!['left', 'right', 'both', 'auto'].includes(hand)) throw new Error(`Unknown hand "${hand}"`);
+            selectHand(hand);
+        }
+
+        // Puts a catalog watch (by id) or a new one ({ id, name, image, metadata }) on a wrist;
+        // resolves to the watch once its image has loaded
+        async function setWatch(watch, { hand } = {}) {
+            if (hand && appState.snapshot.hand === 'both') {
+                editedHand = editedHandSelect.value = hand;
+            } else if (hand && hand !== appState.snapshot.hand) {
+                setHand(hand);
+            }
+            if (typeof watch === 'object') {
+                const image = await loadImage(new URL(watch.image, location.href).href);
+                addWatchToCatalog({
+                    id: watch.id,
+                    name: watch.name || watch.id,
+                    src: image.src,
+                    metadata: watch.metadata || {}
+                }, image);
+                watch = watch.id;
+            }
+            if (!watchCatalog.some(entry => entry.id === watch)) {
+                throw new Error(`Unknown watch "${watch}"`);
+            }
+            selectWatch(watch);
+            return publicWatch(getTrackWatch(editedTrack()));
+        }
+
+        // Starting scale on both wrists, and the perspective, strap-wrap and lighting toggles
+        function applyPlacement({ scale, perspective, strapWrap, lighting }) {
+            if (scale !== undefined) {
+                Object.values(handTracks).forEach(track => {
+                    track.scale = Math.max(0.5, Math.min(3.0, scale));
+                });
+                syncWatchSizeControl();
+            }
+            if (perspective !== undefined) perspectiveToggle.checked = perspective;
+            if (strapWrap !== undefined) strapWrapToggle.checked = strapWrap;
+            if (lighting !== undefined) lightingToggle.checked = lighting;
+        }
+
+        const isDuration = value => Number.isFinite(value) && value >= 0;
+
+        // One Euro filter parameters for both wrists, in the shape of PoseFilter.DEFAULT_PARAMETERS,
+        // e.g. { position: { beta: 0.05 }, maxPredictionMs: 100 }
+        function setSmoothing(parameters) {
+            for (const [key, value] of Object.entries(parameters || {})) {
+                const defaults = PoseFilter.DEFAULT_PARAMETERS[key];
+                if (defaults === undefined) throw new Error(`Unknown smoothing parameter "${key}"`);
+                const entries = typeof defaults === 'object' ? Object.entries(value || {}) : [[null, value]];
+                if (typeof defaults === 'object' && (!value || typeof value !== 'object')) {
+                    throw new Error(`Smoothing parameter "${key}" takes { ${Object.keys(defaults).join(', ')} }`);
+                }
+                entries.forEach(([field, number]) => {
+                    const name = field ? `${key}.${field}` : key;
+                    if (field && !(field in defaults)) throw new Error(`Unknown smoothing parameter "${name}"`);
+                    if (!isDuration(number)) throw new Error(`Smoothing parameter "${name}" must be a number of at least 0`);
+                });
+            }
+            applyTrackingParameters(parameters);
+            syncTrackingControls();
+        }
+
+        // Milliseconds for the tracking-loss states of both wrists: { tracking, brieflyLost, reacquired }
+        function setTrackingTimeouts(timeouts) {
+            for (const [key, value] of Object.entries(timeouts || {})) {
+                if (!(key in TrackingState.DEFAULT_TIMEOUTS)) throw new Error(`Unknown tracking timeout "${key}"`);
+                if (!isDuration(value)) throw new Error(`Tracking timeout "${key}" must be a number of milliseconds`);
+            }
+            applyTrackingTimeouts(timeouts);
+            syncTrackingTimeoutControls();
+        }
+
+        // The current view as a PNG snapshot, also added to the gallery
+        async function capture() {
+            const view = captureCurrentView();
+            if (!view) throw new Error('Nothing to capture yet');
+            return publicSnapshot(await addSnapshot(view));
+        }
+
+        // Stops the camera, detection and recording and empties the container
+        function destroy() {
+            if (destroyed) return;
+            destroyed = true;
+
+            if (recording) {
+                const session = recording;
+                recording = null;
+                cancelAnimationFrame(session.frameId);
+                clearTimeout(session.limitTimer);
+                if (session.recorder?.state !== 'inactive') session.recorder?.stop();
+                session.recorder?.stream.getTracks().forEach(track => track.stop());
+            }
+            appState.dispatch({ type: ACTIONS.RESET });
+            cancelAnimationFrame(renderFrameId);
+            cancelWatchProcessing();
+            segmentationWorker?.terminate();
+            segmentationWorker = null;
+            maskEditor.destroy();
+            discardRecordedClip();
+            stopCamera();
+            releaseVideoFile();
+            disposeHandDetectors();
+            if (photoElement.src.startsWith('blob:')) URL.revokeObjectURL(photoElement.src);
+            snapshots.forEach(snapshot => URL.revokeObjectURL(snapshot.url));
+            snapshots = [];
+
+            windowListeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+            windowListeners.length = 0;
+            Object.keys(eventListeners).forEach(event => { eventListeners[event] = []; });
+            container.innerHTML = '';
+            container.classList.remove('watch-try-on');
+        }
+
+        renderAppState(appState.snapshot);
+        console.log(`${APP_NAME} initialized successfully!`);
+        setHand(options.hand || 'auto');
+        if (options.placement) applyPlacement(options.placement);
+        loadWatchCatalog();
+        loadWatchLibrary();
+
+        return {
+            setWatch,
+            setHand,
+            capture,
+            on,
+            setSmoothing,
+            setTrackingTimeouts,
+            reset: resetApp,
+            destroy
+        };
+    }
+
+    return { mount, registerServiceWorker };
+});
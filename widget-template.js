@@ -0,0 +1,422 @@
+// Try-on widget markup
+// The elements WatchTryOn.mount renders into its container. Ids get a per-instance
+// prefix (as do the attributes that refer to them) so several widgets can share a page.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.WidgetTemplate = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MARKUP = `
+<!-- Hand Selection -->
+<div id="hand-selection" class="hand-selection">
+    <h3 class="text-lg font-semibold text-gray-700 mb-2">Select Which Hand to Try Watch On:</h3>
+    <div class="hand-buttons">
+        <button id="autoHandBtn" class="hand-button" data-hand="auto">
+            <span class="material-icons mr-2">waving_hand</span>
+            Either Hand
+        </button>
+        <button id="leftHandBtn" class="hand-button" data-hand="left">
+            <span class="material-icons mr-2">back_hand</span>
+            Left Hand
+        </button>
+        <button id="rightHandBtn" class="hand-button" data-hand="right">
+            <span class="material-icons mr-2">front_hand</span>
+            Right Hand
+        </button>
+        <button id="bothHandsBtn" class="hand-button" data-hand="both">
+            <span class="material-icons mr-2">compare</span>
+            Both Wrists
+        </button>
+    </div>
+    <p class="text-sm text-gray-500 mt-2">The watch goes on whichever wrist you show, or choose one hand, or both wrists to compare two watches</p>
+    <div id="editedHandControls" class="edited-hand hidden">
+        <label for="editedHandSelect">Watch choice, customization and size apply to</label>
+        <select id="editedHandSelect">
+            <option value="left">Left wrist</option>
+            <option value="right">Right wrist</option>
+        </select>
+    </div>
+</div>
+
+<div id="status-container" class="mb-4">
+    <div class="detection-info">
+        <div>
+            <span id="statusIndicator" class="status-indicator inactive"></span>
+            <span id="detectionStatus" class="text-blue-600 font-medium">Please select a hand first</span>
+            <span id="offlineBadge" class="offline-badge hidden" title="No network connection. Running from files saved on this device.">Offline</span>
+        </div>
+        <div id="handInfo" class="text-sm text-gray-600"></div>
+    </div>
+</div>
+
+<!-- Input Source -->
+<div id="sourceSelection" class="source-buttons">
+    <button id="cameraSourceBtn" class="source-button active">
+        <i class="material-icons mr-2">videocam</i> Live Camera
+    </button>
+    <button id="videoFileButton" class="source-button">
+        <i class="material-icons mr-2">movie</i> Video File
+    </button>
+    <button id="handPhotoButton" class="source-button">
+        <i class="material-icons mr-2">add_a_photo</i> Try On a Photo
+    </button>
+</div>
+
+<div class="video-container">
+    <video id="videoElement" class="try-on-video hidden" playsinline muted></video>
+    <img id="photoElement" class="try-on-photo hidden" alt="Uploaded wrist photo">
+    <canvas id="overlayCanvas" class="overlay-canvas"></canvas>
+    <canvas id="watchCanvas" class="watch-canvas"></canvas>
+    <div id="palmIndicator" class="palm-indicator hidden"></div>
+</div>
+
+<!-- Camera Choice -->
+<div id="cameraControls" class="camera-controls hidden">
+    <label for="cameraSelect" class="text-sm text-gray-600">Camera</label>
+    <select id="cameraSelect"></select>
+    <button id="cameraFacingBtn" class="secondary-button">
+        <i class="material-icons mr-2">flip_camera_android</i> Rear Camera
+    </button>
+</div>
+
+<!-- Video File Playback -->
+<div id="videoFileControls" class="video-file-controls hidden">
+    <button id="videoPlayPause" class="playback-button" title="Pause video">
+        <i class="material-icons">pause</i>
+    </button>
+    <input type="range" id="videoSeek" min="0" max="0" step="0.01" value="0" aria-label="Seek video">
+    <span id="videoTime" class="text-sm text-gray-600">0:00 / 0:00</span>
+</div>
+
+<!-- Watch Catalog -->
+<div id="watchCatalog" class="watch-catalog hidden" aria-label="Watch catalog"></div>
+
+<!-- Watch Customization -->
+<details id="customizePanel" class="customize-panel">
+    <summary class="font-semibold text-gray-700">
+        <i class="material-icons mr-2">palette</i> Customize Watch
+    </summary>
+    <div class="customize-grid">
+        <fieldset>
+            <legend>Strap</legend>
+            <label>Material
+                <select id="strapMaterial">
+                    <option value="original">Original</option>
+                    <option value="leather">Leather</option>
+                    <option value="rubber">Rubber</option>
+                    <option value="steel">Steel</option>
+                </select>
+            </label>
+            <label>Hue <input type="range" id="strapHue" min="0" max="360" value="28" disabled></label>
+            <label>Saturation <input type="range" id="strapSaturation" min="0" max="100" value="55" disabled></label>
+        </fieldset>
+        <fieldset>
+            <legend>Dial</legend>
+            <label>Style
+                <select id="dialMode">
+                    <option value="original">Original</option>
+                    <option value="tint">Tint</option>
+                    <option value="image">Custom image</option>
+                </select>
+            </label>
+            <label>Color <input type="color" id="dialColor" value="#1e3a8a" disabled></label>
+            <label>Strength <input type="range" id="dialStrength" min="0" max="100" value="60" disabled></label>
+            <button id="dialImageButton" class="secondary-button" disabled>Choose Dial Image</button>
+            <input type="file" id="dialImageUpload" accept="image/*" class="hidden">
+        </fieldset>
+        <fieldset>
+            <legend>Size</legend>
+            <label>Scale <input type="range" id="watchSize" min="50" max="300" value="100"></label>
+            <span id="watchSizeValue" class="text-sm text-gray-600">100%</span>
+            <label>Case diameter (mm) <input type="number" id="caseDiameter" min="20" max="60" step="0.5"></label>
+            <label>Lug to lug (mm) <input type="number" id="lugToLug" min="20" max="70" step="0.5"></label>
+            <p id="calibrationSummary" class="text-xs text-gray-500"></p>
+            <button id="calibrateButton" class="secondary-button">
+                <i class="material-icons mr-2">straighten</i> Calibrate
+            </button>
+        </fieldset>
+    </div>
+    <button id="resetCustomization" class="secondary-button mt-3">Reset</button>
+</details>
+
+<!-- Tracking Smoothing -->
+<details id="trackingPanel" class="customize-panel">
+    <summary class="font-semibold text-gray-700">
+        <i class="material-icons mr-2">tune</i> Tracking Smoothing
+    </summary>
+    <p class="text-sm text-gray-500 mt-2">A lower cutoff steadies the watch while your hand is still; a higher responsiveness cuts lag when it moves fast.</p>
+    <div class="customize-grid">
+        <fieldset>
+            <legend>Position</legend>
+            <label>Cutoff (Hz) <input type="range" data-filter-param="position.minCutoff" min="0.05" max="5" step="0.05"><output></output></label>
+            <label>Responsiveness <input type="range" data-filter-param="position.beta" min="0" max="0.1" step="0.001"><output></output></label>
+        </fieldset>
+        <fieldset>
+            <legend>Size</legend>
+            <label>Cutoff (Hz) <input type="range" data-filter-param="scale.minCutoff" min="0.05" max="5" step="0.05"><output></output></label>
+            <label>Responsiveness <input type="range" data-filter-param="scale.beta" min="0" max="0.1" step="0.001"><output></output></label>
+        </fieldset>
+        <fieldset>
+            <legend>Rotation</legend>
+            <label>Cutoff (Hz) <input type="range" data-filter-param="rotation.minCutoff" min="0.05" max="5" step="0.05"><output></output></label>
+            <label>Responsiveness <input type="range" data-filter-param="rotation.beta" min="0" max="2" step="0.01"><output></output></label>
+        </fieldset>
+        <fieldset>
+            <legend>Prediction</legend>
+            <label>Predict ahead up to (ms) <input type="range" data-filter-param="maxPredictionMs" min="0" max="400" step="10"><output></output></label>
+            <label>Velocity cutoff (Hz) <input type="range" data-filter-param="dCutoff" min="0.1" max="5" step="0.1"><output></output></label>
+        </fieldset>
+        <fieldset>
+            <legend>Tracking Loss</legend>
+            <label>Hold after last detection (ms) <input type="range" data-tracking-timeout="tracking" min="100" max="1500" step="50"><output></output></label>
+            <label>Fade out over (ms) <input type="range" data-tracking-timeout="brieflyLost" min="0" max="3000" step="100"><output></output></label>
+            <label>Fade back in over (ms) <input type="range" data-tracking-timeout="reacquired" min="0" max="1000" step="50"><output></output></label>
+        </fieldset>
+    </div>
+    <button id="trackingDefaults" class="secondary-button mt-3">Defaults</button>
+</details>
+
+<!-- Export Options -->
+<details id="exportPanel" class="customize-panel">
+    <summary class="font-semibold text-gray-700">
+        <i class="material-icons mr-2">image</i> Export Options
+    </summary>
+    <p class="text-sm text-gray-500 mt-2">Applies to "Save Image" and to snapshots saved from the gallery.</p>
+    <div class="customize-grid">
+        <fieldset>
+            <legend>File</legend>
+            <label>Format
+                <select id="exportFormat" data-export-option="format">
+                    <option value="png">PNG</option>
+                    <option value="jpeg">JPEG</option>
+                    <option value="webp">WebP</option>
+                </select>
+            </label>
+            <label>Longest side
+                <select id="exportResolution" data-export-option="maxSide">
+                    <option value="0">Original</option>
+                    <option value="2048">2048 px</option>
+                    <option value="1280">1280 px</option>
+                    <option value="640">640 px</option>
+                </select>
+            </label>
+        </fieldset>
+        <fieldset>
+            <legend>Contents</legend>
+            <label class="inline-option"><input type="checkbox" id="exportLandmarks" data-export-option="landmarks"> Hand landmarks</label>
+            <label class="inline-option"><input type="checkbox" id="exportCaption" data-export-option="caption"> Caption with watch and size</label>
+            <label>Caption brand <input type="text" id="exportBrand" data-export-option="brand" maxlength="60"></label>
+            <label class="inline-option"><input type="checkbox" id="exportMetadata" data-export-option="metadata"> Embed watch details</label>
+        </fieldset>
+    </div>
+</details>
+
+<div class="controls mt-6 flex flex-col items-center">
+    <input type="file" id="imageUpload" accept="image/*" class="hidden">
+    <input type="file" id="handPhotoUpload" accept="image/*" class="hidden">
+    <input type="file" id="videoFileUpload" accept="video/*" class="hidden">
+    <div class="flex flex-wrap justify-center gap-2">
+        <button id="uploadButton" class="upload-button">
+            <i class="material-icons mr-2">watch</i> Upload Watch Image
+        </button>
+        <button id="toggleDetection" class="control-button" disabled>
+            <i class="material-icons mr-2">play_arrow</i> Start Detection
+        </button>
+        <button id="libraryButton" class="control-button">
+            <i class="material-icons mr-2">collections</i> Library
+        </button>
+        <button id="exportImage" class="control-button">
+            <i class="material-icons mr-2">download</i> Save Image
+        </button>
+        <button id="snapshotButton" class="control-button">
+            <i class="material-icons mr-2">add_a_photo</i> Snapshot
+        </button>
+        <button id="recordButton" class="control-button">
+            <i class="material-icons mr-2">fiber_manual_record</i> Record
+        </button>
+    </div>
+    <div class="flex flex-wrap justify-center items-center gap-4 mt-3">
+        <label class="toggle-option">
+            Max length
+            <select id="recordingLimit" class="recording-limit">
+                <option value="5">5 s</option>
+                <option value="10" selected>10 s</option>
+                <option value="15">15 s</option>
+                <option value="30">30 s</option>
+            </select>
+        </label>
+        <label class="toggle-option">
+            <input type="checkbox" id="recordGifToggle"> Also make a looping GIF (first 5 s)
+        </label>
+        <span id="recordingStatus" class="recording-status hidden" aria-live="polite"></span>
+    </div>
+    <div class="flex flex-wrap justify-center gap-4 mt-3">
+        <label class="toggle-option">
+            <input type="checkbox" id="perspectiveToggle" checked> 3D perspective (tilts the watch with your wrist)
+        </label>
+        <label class="toggle-option">
+            <input type="checkbox" id="strapWrapToggle" checked> Wrap strap around wrist
+        </label>
+        <label class="toggle-option">
+            <input type="checkbox" id="lightingToggle" checked> Match lighting
+        </label>
+    </div>
+    <div id="feedback" class="mt-3 text-green-600 font-semibold"></div>
+    <div id="error" class="error-message"></div>
+</div>
+
+<!-- Snapshot Gallery -->
+<section id="snapshotGallery" class="snapshot-gallery mt-6 hidden">
+    <div class="snapshot-gallery-header">
+        <div>
+            <h3 class="text-lg font-semibold text-gray-700">Snapshots</h3>
+            <p id="snapshotHint" class="text-sm text-gray-500"></p>
+        </div>
+        <button id="compareSnapshots" class="control-button" disabled>
+            <i class="material-icons mr-2">view_module</i> Compare
+        </button>
+    </div>
+    <ul id="snapshotList" class="snapshot-list"></ul>
+</section>
+
+<!-- Cut-Out Refinement -->
+<div id="maskEditor" class="modal hidden" role="dialog" aria-modal="true" aria-labelledby="maskEditorTitle">
+    <div class="modal-content">
+        <h3 id="maskEditorTitle" class="text-lg font-semibold text-gray-700 mb-2">Refine Watch Cut-Out</h3>
+        <div class="mask-editor-toolbar">
+            <button id="maskKeepTool" class="tool-button active" title="Keep brush (B)">
+                <i class="material-icons mr-2">brush</i> Keep
+            </button>
+            <button id="maskEraseTool" class="tool-button" title="Erase brush (E)">
+                <i class="material-icons mr-2">auto_fix_normal</i> Erase
+            </button>
+            <label class="text-sm text-gray-600">
+                Brush size
+                <input type="range" id="maskBrushSize" min="4" max="120" value="24">
+            </label>
+            <button id="maskUndo" class="tool-button" title="Undo (Ctrl+Z)" disabled>
+                <i class="material-icons">undo</i>
+            </button>
+            <button id="maskRedo" class="tool-button" title="Redo (Ctrl+Y)" disabled>
+                <i class="material-icons">redo</i>
+            </button>
+            <label class="text-sm text-gray-600">
+                <input type="checkbox" id="maskShowOriginal"> View original
+            </label>
+        </div>
+        <div class="mask-editor-stage">
+            <canvas id="maskEditorCanvas" class="mask-editor-canvas"></canvas>
+        </div>
+        <div class="modal-actions">
+            <button id="maskCancel" class="secondary-button">Cancel</button>
+            <button id="maskApply" class="control-button">
+                <i class="material-icons mr-2">check</i> Use This Cut-Out
+            </button>
+        </div>
+    </div>
+</div>
+
+<!-- Saved Watch Library -->
+<div id="libraryDialog" class="modal hidden" role="dialog" aria-modal="true" aria-labelledby="libraryTitle">
+    <div class="modal-content">
+        <h3 id="libraryTitle" class="text-lg font-semibold text-gray-700 mb-1">Watch Library</h3>
+        <p class="text-sm text-gray-500 mb-3">Processed watches are saved on this device. Export the library to move it to another machine.</p>
+        <ul id="libraryList" class="library-list"></ul>
+        <p id="libraryEmpty" class="text-sm text-gray-500 hidden">No saved watches yet. Upload a watch image to add one.</p>
+        <input type="file" id="libraryImportInput" accept=".json,.zip,application/json,application/zip" class="hidden">
+        <div class="modal-actions">
+            <button id="libraryImport" class="secondary-button">
+                <i class="material-icons mr-2">upload_file</i> Import
+            </button>
+            <button id="libraryExportJson" class="secondary-button">Export JSON</button>
+            <button id="libraryExportZip" class="secondary-button">Export ZIP</button>
+            <button id="libraryClose" class="control-button">Done</button>
+        </div>
+    </div>
+</div>
+
+<!-- Wrist Calibration -->
+<div id="calibrationDialog" class="modal hidden" role="dialog" aria-modal="true" aria-labelledby="calibrationTitle">
+    <div class="modal-content">
+        <h3 id="calibrationTitle" class="text-lg font-semibold text-gray-700 mb-1">Calibrate Wrist Size</h3>
+        <p id="calibrationStatus" class="text-sm text-gray-500 mb-3"></p>
+        <section class="calibration-method">
+            <h4 class="font-semibold text-gray-700">Wrist measurement</h4>
+            <p class="text-sm text-gray-500">Wrap a tape measure or a strip of paper around your wrist where the watch sits.</p>
+            <label class="text-sm text-gray-600">Circumference (mm)
+                <input type="number" id="wristCircumference" min="100" max="260" step="1" placeholder="165">
+            </label>
+            <button id="saveCircumference" class="secondary-button">Use Measurement</button>
+        </section>
+        <section class="calibration-method">
+            <h4 class="font-semibold text-gray-700">Bank card</h4>
+            <p class="text-sm text-gray-500">Hold a bank or ID card flat beside your wrist while your hand is detected, capture the frame, then click both short ends of the card.</p>
+            <button id="captureCardFrame" class="secondary-button">
+                <i class="material-icons mr-2">photo_camera</i> Capture Frame
+            </button>
+            <canvas id="calibrationCanvas" class="calibration-canvas hidden"></canvas>
+        </section>
+        <div class="modal-actions">
+            <button id="clearCalibration" class="secondary-button">Use Average Wrist</button>
+            <button id="calibrationClose" class="control-button">Done</button>
+        </div>
+    </div>
+</div>
+
+<!-- Recorded Clip -->
+<div id="recordingDialog" class="modal hidden" role="dialog" aria-modal="true" aria-labelledby="recordingTitle">
+    <div class="modal-content">
+        <h3 id="recordingTitle" class="text-lg font-semibold text-gray-700 mb-3">Your Try-On Clip</h3>
+        <video id="recordingPreview" class="recording-preview" controls loop muted playsinline></video>
+        <img id="gifPreview" class="gif-preview hidden" alt="Looping GIF preview">
+        <p id="gifStatus" class="text-sm text-gray-500 mt-2 hidden"></p>
+        <div class="modal-actions">
+            <button id="recordingDiscard" class="secondary-button">Discard</button>
+            <button id="saveGif" class="secondary-button hidden">
+                <i class="material-icons mr-2">gif</i> Save GIF
+            </button>
+            <button id="saveVideo" class="control-button">
+                <i class="material-icons mr-2">download</i> Save Video
+            </button>
+        </div>
+    </div>
+</div>
+
+<!-- Snapshot Comparison -->
+<div id="comparisonDialog" class="modal hidden" role="dialog" aria-modal="true" aria-labelledby="comparisonTitle">
+    <div class="modal-content comparison-content">
+        <h3 id="comparisonTitle" class="text-lg font-semibold text-gray-700 mb-3">Side-by-Side Comparison</h3>
+        <canvas id="comparisonCanvas" class="comparison-canvas"></canvas>
+        <div class="modal-actions">
+            <button id="comparisonClose" class="secondary-button">Close</button>
+            <button id="saveComparison" class="control-button">
+                <i class="material-icons mr-2">download</i> Save Comparison
+            </button>
+        </div>
+    </div>
+</div>
+
+<div class="watch-preview mt-4 flex justify-center">
+    <img id="watchImage" alt="Watch Preview" class="watch-image hidden max-w-sm rounded-lg shadow-sm">
+</div>
+`;
+
+    const ID_ATTRIBUTES = ['id', 'for', 'aria-labelledby', 'aria-describedby', 'aria-controls'];
+    const ID_ATTRIBUTE_PATTERN = new RegExp(`(?<=\\s)(${ID_ATTRIBUTES.join('|')})="([^"]*)"`, 'g');
+
+    // MARKUP with every id, and every id reference, prefixed
+    function renderWidget(prefix) {
+        return MARKUP.replace(ID_ATTRIBUTE_PATTERN, (match, attribute, value) => {
+            const ids = value.split(/\s+/).filter(Boolean).map(id => prefix + id);
+            return `${attribute}="${ids.join(' ')}"`;
+        });
+    }
+
+    return {
+        MARKUP,
+        renderWidget
+    };
+});
@@ -0,0 +1,188 @@
+// Minimal ZIP archive support
+// Writes uncompressed (stored) archives and reads stored or deflated entries, which
+// covers archives exported by this app and ones re-zipped by common tools.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.ZipArchive = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const LOCAL_FILE_SIGNATURE = 0x04034b50;
+    const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+    const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+    const UTF8_FLAG = 0x0800;
+    const METHOD_STORED = 0;
+    const METHOD_DEFLATED = 8;
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    function dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // files: [{ name, data: Uint8Array, date? }] -> Uint8Array
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const entries = files.map(file => {
+            const name = encoder.encode(file.name);
+            return {
+                name,
+                data: file.data,
+                crc: crc32(file.data),
+                ...dosDateTime(file.date || new Date())
+            };
+        });
+
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const output = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(output.buffer);
+        let offset = 0;
+
+        for (const entry of entries) {
+            entry.offset = offset;
+            view.setUint32(offset, LOCAL_FILE_SIGNATURE, true);
+            view.setUint16(offset + 4, 20, true); // version needed
+            view.setUint16(offset + 6, UTF8_FLAG, true);
+            view.setUint16(offset + 8, METHOD_STORED, true);
+            view.setUint16(offset + 10, entry.time, true);
+            view.setUint16(offset + 12, entry.date, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true); // extra length
+            output.set(entry.name, offset + 30);
+            output.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        }
+
+        const centralOffset = offset;
+        for (const entry of entries) {
+            view.setUint32(offset, CENTRAL_DIRECTORY_SIGNATURE, true);
+            view.setUint16(offset + 4, 20, true); // version made by
+            view.setUint16(offset + 6, 20, true); // version needed
+            view.setUint16(offset + 8, UTF8_FLAG, true);
+            view.setUint16(offset + 10, METHOD_STORED, true);
+            view.setUint16(offset + 12, entry.time, true);
+            view.setUint16(offset + 14, entry.date, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            // extra, comment, disk number, internal and external attributes stay 0
+            view.setUint32(offset + 42, entry.offset, true);
+            output.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        }
+
+        view.setUint32(offset, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralOffset, true);
+        view.setUint32(offset + 16, centralOffset, true);
+
+        return output;
+    }
+
+    function findEndOfCentralDirectory(view) {
+        // The record is 22 bytes plus a comment of up to 64 KiB
+        const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+        for (let offset = view.byteLength - 22; offset >= stop; offset--) {
+            if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+                return offset;
+            }
+        }
+        throw new Error('Not a ZIP archive');
+    }
+
+    async function inflateRaw(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('Compressed ZIP entries are not supported in this browser');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // bytes: Uint8Array or ArrayBuffer -> [{ name, data: Uint8Array }] (directories skipped)
+    async function readZip(bytes) {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const decoder = new TextDecoder();
+
+        const end = findEndOfCentralDirectory(view);
+        const entryCount = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const files = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const expectedCrc = view.getUint32(offset + 16, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+
+            // Local headers may carry a different extra field than the central directory
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const start = localOffset + 30 + localNameLength + localExtraLength;
+            const raw = data.subarray(start, start + compressedSize);
+
+            let content;
+            if (method === METHOD_STORED) {
+                content = raw.slice();
+            } else if (method === METHOD_DEFLATED) {
+                content = await inflateRaw(raw);
+            } else {
+                throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+            }
+
+            if (crc32(content) !== expectedCrc) {
+                throw new Error(`CRC mismatch for ${name}`);
+            }
+            files.push({ name, data: content });
+        }
+
+        return files;
+    }
+
+    function isZip(bytes) {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        return data.length >= 4 && data[0] === 0x50 && data[1] === 0x4b && data[2] === 0x03 && data[3] === 0x04;
+    }
+
+    return { crc32, createZip, readZip, isZip };
+});